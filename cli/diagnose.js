@@ -0,0 +1,91 @@
+// cli/diagnose.js
+// Usage: npm run comfy -- diagnose [--server <url>] [--origin http://localhost:5173]
+//        [--skip-round-trip] [--timeout 10000] [--json] [--out report.json] [--verbose]
+import { parseArgs } from 'node:util';
+import { writeFile } from 'node:fs/promises';
+import comfyServerPool from '../src/services/comfyServerPool.js';
+import { runDiagnostics, DEFAULT_ORIGIN } from '../src/utils/comfy-diagnostic.js';
+import { withQuietConsole } from './quietConsole.js';
+
+const OPTIONS = {
+  server: { type: 'string' },
+  origin: { type: 'string', default: DEFAULT_ORIGIN },
+  'skip-round-trip': { type: 'boolean', default: false },
+  timeout: { type: 'string' },
+  json: { type: 'boolean', default: false },
+  out: { type: 'string' },
+  verbose: { type: 'boolean', default: false }
+};
+
+const LABELS = { pass: 'PASS', warn: 'WARN', fail: 'FAIL', skip: 'SKIP' };
+
+const print = (message) => process.stdout.write(`${message}\n`);
+
+// Node 20 has no global WebSocket; the ws package is installed for the mock server
+const loadWebSocket = async () => {
+  if (globalThis.WebSocket) return globalThis.WebSocket;
+  try {
+    const { default: WebSocket } = await import('ws');
+    return WebSocket;
+  } catch {
+    return undefined;
+  }
+};
+
+// The diagnose command with its options parsed
+const diagnose = async (values) => {
+  const server = values.server?.replace(/\/+$/, '');
+  const servers = comfyServerPool.getServers().map(s => s.id);
+  if (server && !servers.includes(server)) {
+    process.stderr.write(`--server must be one of the configured ComfyUI servers: ${servers.join(', ')}\n`);
+    return 1;
+  }
+
+  const timeoutMs = values.timeout !== undefined ? Number(values.timeout) : undefined;
+  if (timeoutMs !== undefined && !(timeoutMs > 0)) {
+    process.stderr.write('--timeout must be a positive number of milliseconds\n');
+    return 1;
+  }
+
+  if (!values.json) {
+    print(`Checking ComfyUI at ${comfyServerPool.getServer(server).url}`);
+  }
+
+  const report = await runDiagnostics({
+    server,
+    origin: values.origin,
+    roundTrip: !values['skip-round-trip'],
+    timeoutMs,
+    WebSocket: await loadWebSocket(),
+    onCheck: values.json ? undefined : (check) => {
+      print(`${LABELS[check.status]}  ${check.name} (${check.durationMs} ms): ${check.message}`);
+    }
+  });
+
+  if (values.out) {
+    await writeFile(values.out, `${JSON.stringify(report, null, 2)}\n`);
+  }
+
+  if (values.json) {
+    print(JSON.stringify(report, null, 2));
+  } else {
+    const { pass, warn, fail, skip } = report.summary;
+    print(`${report.ok ? 'OK' : 'FAILED'}: ${pass} passed, ${warn} warnings, ${fail} failed, ${skip} skipped`);
+    if (values.out) {
+      print(`Report saved to ${values.out}`);
+    }
+  }
+
+  return report.ok ? 0 : 1;
+};
+
+/**
+ * Check one ComfyUI server and print or save the report
+ * @param {Array<string>} args - Command line arguments after the command name
+ * @returns {Promise<number>} 0 when no check failed
+ */
+export const run = async (args) => {
+  const { values } = parseArgs({ args, options: OPTIONS });
+
+  return values.verbose ? diagnose(values) : withQuietConsole(['log', 'warn', 'error'], () => diagnose(values));
+};
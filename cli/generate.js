@@ -0,0 +1,268 @@
+// cli/generate.js
+// Usage: npm run comfy -- generate --type truck [--name "War Rig"] [--condition rusted]
+//        [--style military] [--color rust] [--feature spikes --feature armor]
+//        [--trait <id|type=value> ...] [--seed 1234] [--count 4] [--checkpoint <file>]
+//        [--sampler euler] [--size 768x768] [--server <url>] [--out outputs] [--record] [--verbose]
+import { parseArgs } from 'node:util';
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import config from '../src/config.js';
+import ComfyService from '../src/services/comfyService.js';
+import comfyServerPool from '../src/services/comfyServerPool.js';
+import { getAuthHeaders } from '../src/services/comfyAuth.js';
+import { PromptCancelledError, PromptRejectedError, WorkflowValidationError } from '../src/services/comfyErrors.js';
+import { getVehicleWorkflow, DEFAULT_SETTINGS } from '../src/workflows/vehicleWorkflow.js';
+import { withQuietConsole } from './quietConsole.js';
+
+const VEHICLE_TYPES = ['car', 'truck', 'motorcycle', 'tank'];
+
+const OPTIONS = {
+  type: { type: 'string', default: 'car' },
+  name: { type: 'string' },
+  condition: { type: 'string', default: 'weathered' },
+  style: { type: 'string', default: 'military' },
+  color: { type: 'string', default: 'rust' },
+  feature: { type: 'string', multiple: true, default: [] },
+  trait: { type: 'string', multiple: true, default: [] },
+  seed: { type: 'string' },
+  count: { type: 'string', default: '1' },
+  checkpoint: { type: 'string', default: DEFAULT_SETTINGS.checkpoint },
+  sampler: { type: 'string', default: DEFAULT_SETTINGS.sampler },
+  size: { type: 'string', default: `${DEFAULT_SETTINGS.width}x${DEFAULT_SETTINGS.height}` },
+  server: { type: 'string' },
+  out: { type: 'string', default: 'outputs' },
+  record: { type: 'boolean', default: false },
+  verbose: { type: 'boolean', default: false }
+};
+
+const print = (message) => process.stdout.write(`${message}\n`);
+
+// Supabase is only loaded when needed, so plain generations work without credentials
+const loadSupabase = async () => {
+  if (!config.supabaseUrl || !config.supabaseAnonKey) {
+    throw new Error('--record and --trait need VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY');
+  }
+  const { default: SupabaseService } = await import('../src/services/supabaseService.js');
+  // Sessions and assets are recorded as the user's own, as in the web app
+  const { SUPABASE_EMAIL, SUPABASE_PASSWORD } = process.env;
+  if (SUPABASE_EMAIL && SUPABASE_PASSWORD) {
+    const { default: authService } = await import('../src/services/authService.js');
+    await authService.signIn(SUPABASE_EMAIL, SUPABASE_PASSWORD);
+  }
+  return SupabaseService;
+};
+
+// Saving assets goes through Supabase too
+const loadIngest = () => import('../src/services/generationIngest.js');
+
+// Accept trait ids or "type=value" pairs such as "armor=heavy"
+const resolveTraits = async (SupabaseService, wanted) => {
+  const traits = await SupabaseService.getTraits();
+
+  return wanted.map(key => {
+    const [type, value] = key.split('=');
+    const trait = traits.find(t => t.id === key) ||
+      traits.find(t => value !== undefined &&
+        t.trait_type.toLowerCase() === type.toLowerCase() &&
+        t.trait_value.toLowerCase() === value.toLowerCase());
+
+    if (!trait) {
+      throw new Error(`Unknown trait "${key}"`);
+    }
+    return trait;
+  });
+};
+
+const printRejection = (error) => {
+  const problems = error.nodeErrors || error.problems || [];
+  console.error(problems.length > 0 ? 'ComfyUI cannot run this workflow:' : error.message);
+  problems.forEach(problem => console.error(`  - ${problem.message}`));
+};
+
+const downloadImage = async (image, outDir, promptId) => {
+  const response = await fetch(image.url, { headers: getAuthHeaders(image.url) });
+  if (!response.ok) {
+    throw new Error(`Download of ${image.filename} failed with status ${response.status}`);
+  }
+
+  const data = Buffer.from(await response.arrayBuffer());
+  const file = path.join(outDir, `${promptId.substring(0, 8)}_${image.filename}`);
+  await writeFile(file, data);
+  return { file, data };
+};
+
+// The generate command with its options parsed
+const generate = async (values) => {
+  if (!VEHICLE_TYPES.includes(values.type)) {
+    console.error(`Unknown --type "${values.type}", expected one of ${VEHICLE_TYPES.join(', ')}`);
+    return 1;
+  }
+
+  const [width, height] = values.size.split('x').map(Number);
+  const count = Number(values.count);
+  if (!width || !height || !Number.isInteger(count) || count < 1) {
+    console.error('--size must look like 768x768 and --count must be a positive integer');
+    return 1;
+  }
+
+  let SupabaseService = null;
+  let traits = [];
+  try {
+    SupabaseService = values.record || values.trait.length > 0 ? await loadSupabase() : null;
+    traits = values.trait.length > 0 ? await resolveTraits(SupabaseService, values.trait) : [];
+  } catch (error) {
+    console.error(error.message);
+    return 1;
+  }
+
+  const name = values.name || values.type;
+  const attributes = {
+    condition: values.condition,
+    style: values.style,
+    color: values.color,
+    features: values.feature
+  };
+  const firstSeed = values.seed !== undefined ? Number(values.seed) : Math.floor(Math.random() * 1000000000);
+  const server = values.server?.replace(/\/+$/, '');
+  const servers = comfyServerPool.getServers().map(s => s.id);
+  if (server && !servers.includes(server)) {
+    console.error(`--server must be one of the configured ComfyUI servers: ${servers.join(', ')}`);
+    return 1;
+  }
+
+  await mkdir(values.out, { recursive: true });
+
+  // Queue everything up front
+  const runs = [];
+  for (let i = 0; i < count; i++) {
+    const seed = firstSeed + i;
+    const workflow = getVehicleWorkflow({
+      name,
+      vehicleType: values.type,
+      attributes,
+      traits,
+      settings: { checkpoint: values.checkpoint, sampler: values.sampler, width, height, seed }
+    });
+
+    let session = null;
+    try {
+      if (i === 0) {
+        // Every run shares the same nodes and models, so checking one is enough
+        await ComfyService.validateWorkflow(workflow, server ? { server } : {});
+      }
+
+      session = values.record
+        ? await SupabaseService.createSession({
+          name,
+          vehicleType: values.type,
+          attributes,
+          traits: traits.map(trait => trait.id),
+          seed,
+          source: 'cli'
+        })
+        : null;
+
+      const queued = await ComfyService.queuePrompt(workflow, server ? { server } : {});
+      print(`Queued seed ${seed} as ${queued.prompt_id} on ${queued.server}`);
+
+      // The prompt runs whatever happens to its session from here on, so it is waited for
+      const run = { seed, queued, session };
+      runs.push(run);
+
+      if (session) {
+        try {
+          // Stored like the web app's sessions, so a re-run saves its outputs the same way
+          const parameters = {
+            ...session.parameters,
+            prompt_id: queued.prompt_id,
+            server: queued.server,
+            workflow,
+            ingest: (await loadIngest()).describeIngest({
+              metadata: {
+                prompt: workflow[6].inputs.text,
+                model: workflow[4].inputs.ckpt_name,
+                seed: workflow[3].inputs.seed,
+                width: workflow[5].inputs.width,
+                height: workflow[5].inputs.height
+              },
+              traitIds: traits.map(trait => trait.id)
+            })
+          };
+          run.session = { ...session, parameters };
+          run.session = await SupabaseService.updateSession(session.id, { status: 'in_progress', parameters });
+        } catch (error) {
+          console.error(`Could not record seed ${seed} on session ${session.id}, its outputs are saved once it finishes: ${error.message}`);
+        }
+      }
+    } catch (error) {
+      const rejected = error instanceof WorkflowValidationError || error instanceof PromptRejectedError;
+      if (rejected) {
+        printRejection(error);
+      } else {
+        console.error(`Could not queue seed ${seed}: ${error.message}`);
+      }
+      if (session) {
+        await SupabaseService.updateSession(session.id, { status: 'failed' }).catch(() => {});
+      }
+      // A workflow the server rejects once will be rejected for every seed
+      if (rejected && runs.length === 0) return 1;
+    }
+  }
+
+  let failures = count - runs.length;
+
+  for (const { seed, queued, session } of runs) {
+    try {
+      const entry = await ComfyService.waitForHistory(queued.prompt_id, {
+        lookupPromptId: session && (() => SupabaseService.getSessionPromptId(session.id))
+      });
+      const images = ComfyService.getOutputImages(entry.outputs, entry.server);
+      if (images.length === 0) {
+        throw new Error('ComfyUI finished the prompt but returned no images');
+      }
+
+      const downloads = [];
+      for (const image of images) {
+        const { file, data } = await downloadImage(image, values.out, entry.promptId);
+        downloads.push({ image, data });
+        print(`Seed ${seed}: saved ${file}`);
+      }
+
+      if (session) {
+        // Saves every image or none, and marks the session completed or failed
+        const { ingestOutputs } = await loadIngest();
+        await ingestOutputs(session, {
+          promptId: entry.promptId,
+          server: entry.server,
+          images: downloads.map(({ image, data }) => ({ ...image, blob: new Blob([data], { type: 'image/png' }) }))
+        });
+        print(`Seed ${seed}: recorded session ${session.id}`);
+      }
+    } catch (error) {
+      failures++;
+      console.error(`Seed ${seed} (${queued.prompt_id}) failed: ${error.message}`);
+      // A failed ingest has already marked the session failed, with the reason
+      if (session && !(error instanceof (await loadIngest()).IngestError)) {
+        const status = error instanceof PromptCancelledError ? 'cancelled' : 'failed';
+        await SupabaseService.updateSession(session.id, { status })
+          .catch(updateError => console.error(`Could not mark session ${session.id} ${status}:`, updateError.message));
+      }
+    }
+  }
+
+  print(`Done: ${count - failures} of ${count} generations succeeded`);
+  return failures > 0 ? 1 : 0;
+};
+
+/**
+ * Queue every run first so a pool of servers can work on them side by side,
+ * then wait for each in turn.
+ * @param {Array<string>} args - Command line arguments after the command name
+ * @returns {Promise<number>} Process exit code
+ */
+export const run = async (args) => {
+  const { values } = parseArgs({ args, options: OPTIONS });
+
+  // Keep batch logs to one line per event unless asked for more
+  return values.verbose ? generate(values) : withQuietConsole(['log', 'warn'], () => generate(values));
+};
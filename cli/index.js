@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+// cli/index.js
+// Usage: npm run comfy -- <command> [options]
+//   generate   Queue vehicle generations and download the results
+//   diagnose   Check a ComfyUI server and report the results, optionally as JSON
+import { register } from 'node:module';
+
+register('./resolveExtensions.js', import.meta.url);
+
+const COMMANDS = {
+  generate: () => import('./generate.js'),
+  diagnose: () => import('./diagnose.js')
+};
+
+const [command, ...args] = process.argv.slice(2);
+
+if (!COMMANDS[command]) {
+  console.error(command ? `Unknown command "${command}"` : 'No command given');
+  console.error(`Commands: ${Object.keys(COMMANDS).join(', ')}`);
+  process.exit(1);
+}
+
+const { run } = await COMMANDS[command]();
+process.exit(await run(args));
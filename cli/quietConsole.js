@@ -0,0 +1,25 @@
+// cli/quietConsole.js
+
+/**
+ * Run a command with console methods silenced and put them back afterwards.
+ * The services log every request and poll for the browser console, which
+ * would bury the command's own output.
+ * @param {Array<string>} methods - Console methods to silence, e.g. ['log', 'warn']
+ * @param {Function} action - The command, may be async
+ * @returns {Promise<*>} What the action returns
+ */
+export const withQuietConsole = async (methods, action) => {
+  const originals = methods.map(method => [method, console[method]]);
+  methods.forEach(method => {
+    console[method] = () => {};
+  });
+  try {
+    return await action();
+  } finally {
+    originals.forEach(([method, original]) => {
+      console[method] = original;
+    });
+  }
+};
+
+export default withQuietConsole;
@@ -0,0 +1,16 @@
+// cli/resolveExtensions.js
+// Module resolve hook so Node can load the app's src/ modules, which import
+// each other without file extensions the way Vite allows.
+
+const RELATIVE = /^\.{1,2}\//;
+
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    if (error.code !== 'ERR_MODULE_NOT_FOUND' || !RELATIVE.test(specifier)) {
+      throw error;
+    }
+    return nextResolve(`${specifier}.js`, context);
+  }
+}
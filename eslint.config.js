@@ -30,4 +30,10 @@ export default [
       ],
     },
   },
+  {
+    files: ['mock-server/**/*.js', 'cli/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ]
@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+// mock-server/index.js
+// Usage: npm run mock:comfy -- [--port 8188] [--host 127.0.0.1] [--step-delay 100]
+//        [--slow 1] [--fail node_errors|execution_error] [--drop-sockets] [--no-previews] [--no-cors]
+//        [--token <secret>]
+import { parseArgs } from 'node:util';
+import { createMockComfyServer } from './mockComfyServer.js';
+
+const { values } = parseArgs({
+  options: {
+    port: { type: 'string', default: '8188' },
+    host: { type: 'string', default: '127.0.0.1' },
+    'step-delay': { type: 'string', default: '100' },
+    slow: { type: 'string', default: '1' },
+    fail: { type: 'string' },
+    'drop-sockets': { type: 'boolean', default: false },
+    'no-previews': { type: 'boolean', default: false },
+    'no-cors': { type: 'boolean', default: false },
+    token: { type: 'string' }
+  }
+});
+
+if (values.fail && !['node_errors', 'execution_error'].includes(values.fail)) {
+  console.error(`Unknown --fail mode "${values.fail}", expected node_errors or execution_error`);
+  process.exit(1);
+}
+
+const mock = createMockComfyServer({
+  stepDelayMs: Number(values['step-delay']),
+  slowFactor: Number(values.slow),
+  failMode: values.fail || null,
+  dropSockets: values['drop-sockets'],
+  previews: !values['no-previews'],
+  cors: !values['no-cors'],
+  token: values.token || null
+});
+
+const address = await mock.listen(Number(values.port), values.host);
+console.log(`Mock ComfyUI listening on http://${address.address}:${address.port}`);
+console.log('Options:', mock.options);
+
+const shutdown = async () => {
+  await mock.close();
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,707 @@
+// mock-server/mockComfyServer.js
+// A stand-in for a ComfyUI server: same HTTP routes, same /ws event stream,
+// deterministic placeholder images and no GPU.
+import http from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { WebSocketServer } from 'ws';
+import { buildObjectInfo } from './objectInfo.js';
+import { placeholderPng } from './placeholderPng.js';
+
+export const DEFAULT_OPTIONS = {
+  stepDelayMs: 100,     // delay per sampler step
+  nodeDelayMs: 20,      // delay per non-sampler node
+  slowFactor: 1,        // multiplies every delay
+  failMode: null,       // null, 'node_errors' or 'execution_error'
+  dropSockets: false,   // terminate the client's sockets halfway through each sampler run
+  previews: true,       // send binary latent previews while sampling
+  cors: true,           // answer with CORS headers, like ComfyUI's --enable-cors-header
+  token: null,          // require this bearer token, like an authenticating reverse proxy
+  imageSize: 64         // width and height of placeholder images
+};
+
+// Put one of these in any string input of a prompt to trigger the behaviour
+// for that prompt only, e.g. "rusted truck [mock:execution_error]"
+const PROMPT_MARKERS = ['node_errors', 'execution_error', 'slow', 'drop_socket'];
+
+const OUTPUT_CLASSES = ['SaveImage', 'PreviewImage'];
+const GB = 1024 ** 3;
+// VRAM a loaded model occupies, so /system_stats moves as models come and go
+const MODEL_VRAM = {
+  CheckpointLoaderSimple: (name) => (/xl/i.test(name) ? 6.9 : 2.1) * GB,
+  VAELoader: () => 0.3 * GB,
+  LoraLoader: () => 0.15 * GB,
+  UpscaleModelLoader: () => 0.07 * GB
+};
+const MODEL_INPUT_NAMES = ['ckpt_name', 'vae_name', 'lora_name', 'model_name'];
+const BINARY_PREVIEW_IMAGE = 1;
+const PREVIEW_FORMAT_PNG = 2;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const isLink = (value) =>
+  Array.isArray(value) && value.length === 2 && typeof value[0] === 'string' && Number.isInteger(value[1]);
+
+class InterruptedError extends Error {}
+
+/**
+ * Validate a prompt the way ComfyUI's /prompt does
+ * @returns {Object|null} The 400 response body, or null when the prompt is valid
+ */
+export const validatePrompt = (prompt, objectInfo) => {
+  if (!prompt || typeof prompt !== 'object' || Array.isArray(prompt) || Object.keys(prompt).length === 0) {
+    return {
+      error: { type: 'invalid_prompt', message: 'Prompt has no properties', details: '', extra_info: {} },
+      node_errors: {}
+    };
+  }
+
+  for (const [id, node] of Object.entries(prompt)) {
+    if (!node?.class_type || !objectInfo[node.class_type]) {
+      return {
+        error: {
+          type: 'invalid_prompt',
+          message: `Cannot execute because node ${node?.class_type} does not exist.`,
+          details: `Node ID '#${id}'`,
+          extra_info: {}
+        },
+        node_errors: {}
+      };
+    }
+  }
+
+  const outputIds = Object.keys(prompt).filter(id => objectInfo[prompt[id].class_type].output_node);
+  if (outputIds.length === 0) {
+    return {
+      error: { type: 'prompt_no_outputs', message: 'Prompt has no outputs', details: '', extra_info: {} },
+      node_errors: {}
+    };
+  }
+
+  const nodeErrors = {};
+  for (const [id, node] of Object.entries(prompt)) {
+    const required = objectInfo[node.class_type].input.required;
+    const errors = [];
+
+    for (const [name, [type, inputOptions = {}]] of Object.entries(required)) {
+      const value = node.inputs?.[name];
+
+      if (value === undefined) {
+        errors.push({
+          type: 'required_input_missing',
+          message: 'Required input is missing',
+          details: name,
+          extra_info: { input_name: name }
+        });
+      } else if (isLink(value)) {
+        const source = prompt[value[0]];
+        const receivedType = source && objectInfo[source.class_type]?.output[value[1]];
+        if (!source) {
+          errors.push({
+            type: 'bad_linked_input',
+            message: 'Bad linked input, must be a length-2 list of [string, int]',
+            details: `${name}, ${JSON.stringify(value)}`,
+            extra_info: { input_name: name, received_value: value }
+          });
+        } else if (receivedType !== type) {
+          errors.push({
+            type: 'return_type_mismatch',
+            message: 'Return type mismatch between linked nodes',
+            details: `${name}, received_type(${receivedType}) mismatch input_type(${type})`,
+            extra_info: { input_name: name, input_config: [type, inputOptions], received_type: receivedType, linked_node: value }
+          });
+        }
+      } else if (Array.isArray(type) && !type.includes(value)) {
+        errors.push({
+          type: 'value_not_in_list',
+          message: 'Value not in list',
+          details: `${name}: '${value}' not in ${JSON.stringify(type)}`,
+          extra_info: { input_name: name, input_config: [type, inputOptions], received_value: value }
+        });
+      }
+    }
+
+    if (errors.length > 0) {
+      nodeErrors[id] = { errors, dependent_outputs: outputIds, class_type: node.class_type };
+    }
+  }
+
+  if (Object.keys(nodeErrors).length > 0) {
+    return {
+      error: { type: 'prompt_outputs_failed_validation', message: 'Prompt outputs failed validation', details: '', extra_info: {} },
+      node_errors: nodeErrors
+    };
+  }
+
+  return null;
+};
+
+// Depth-first order so every node runs after the nodes it links to
+const executionOrder = (prompt) => {
+  const order = [];
+  const visited = new Set();
+  const visit = (id) => {
+    if (visited.has(id) || !prompt[id]) return;
+    visited.add(id);
+    Object.values(prompt[id].inputs || {}).filter(isLink).forEach(([sourceId]) => visit(sourceId));
+    order.push(id);
+  };
+  Object.keys(prompt).forEach(visit);
+  return order;
+};
+
+const findMarkers = (prompt) => {
+  const text = JSON.stringify(prompt);
+  return Object.fromEntries(PROMPT_MARKERS.map(marker => [marker, text.includes(`[mock:${marker}]`)]));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+const readJson = async (req) => {
+  const body = await readBody(req);
+  if (body.length === 0) return {};
+  return JSON.parse(body.toString('utf8'));
+};
+
+// Minimal multipart/form-data parser, enough for /upload/image
+const parseMultipart = (body, contentType) => {
+  const boundary = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType || '');
+  if (!boundary) return {};
+
+  const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`);
+  const fields = {};
+  let start = body.indexOf(delimiter);
+
+  while (start !== -1) {
+    const next = body.indexOf(delimiter, start + delimiter.length);
+    if (next === -1) break;
+
+    const part = body.subarray(start + delimiter.length + 2, next - 2); // strip CRLFs
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const headers = part.subarray(0, headerEnd).toString('utf8');
+      const content = part.subarray(headerEnd + 4);
+      const name = /name="([^"]*)"/.exec(headers)?.[1];
+      const filename = /filename="([^"]*)"/.exec(headers)?.[1];
+      if (name) {
+        fields[name] = filename !== undefined ? { filename, content } : content.toString('utf8');
+      }
+    }
+    start = next;
+  }
+
+  return fields;
+};
+
+/**
+ * Create a mock ComfyUI server
+ * @param {Object} options - See DEFAULT_OPTIONS
+ * @returns {{ server: http.Server, options: Object, listen: Function, close: Function, reset: Function }}
+ */
+export const createMockComfyServer = (options = {}) => {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+
+  let state;
+  const reset = () => {
+    state = {
+      number: 0,
+      pending: [],
+      running: null,
+      history: new Map(),
+      files: new Map(),      // `${type}/${subfolder}/${filename}` -> Buffer
+      counters: new Map(),   // filename prefix -> last counter
+      inputFiles: new Set(),
+      loadedModels: new Map(), // model file -> bytes of VRAM
+      freeRequested: false   // /free waits for the running prompt, like ComfyUI
+    };
+  };
+  reset();
+
+  const sockets = new Map(); // WebSocket -> clientId
+  // Sockets authenticated by subprotocol get 'bearer' back, as browsers require
+  const wss = new WebSocketServer({
+    noServer: true,
+    handleProtocols: (protocols) => (protocols.has('bearer') ? 'bearer' : false)
+  });
+
+  // The proxy takes the token from the Authorization header or, for /ws,
+  // the token query parameter or the subprotocols. /mock stays open.
+  const authorized = (req, searchParams) => {
+    if (!settings.token) return true;
+    const protocols = (req.headers['sec-websocket-protocol'] || '').split(',').map(protocol => protocol.trim());
+    return req.headers.authorization === `Bearer ${settings.token}` ||
+      searchParams.get('token') === settings.token ||
+      protocols.includes(settings.token);
+  };
+
+  const fileKey = (type, subfolder, filename) => `${type}/${subfolder || ''}/${filename}`;
+  const delay = (ms, slow) => sleep(ms * settings.slowFactor * (slow ? 10 : 1));
+
+  const send = (clientId, type, data) => {
+    const message = JSON.stringify({ type, data });
+    sockets.forEach((socketClientId, socket) => {
+      if ((!clientId || socketClientId === clientId) && socket.readyState === socket.OPEN) {
+        socket.send(message);
+      }
+    });
+  };
+
+  const sendBinary = (clientId, buffer) => {
+    sockets.forEach((socketClientId, socket) => {
+      if ((!clientId || socketClientId === clientId) && socket.readyState === socket.OPEN) {
+        socket.send(buffer, { binary: true });
+      }
+    });
+  };
+
+  const queueRemaining = () => state.pending.length + (state.running ? 1 : 0);
+
+  const broadcastStatus = () => {
+    send(null, 'status', { status: { exec_info: { queue_remaining: queueRemaining() } } });
+  };
+
+  const dropSockets = (clientId) => {
+    sockets.forEach((socketClientId, socket) => {
+      if (!clientId || socketClientId === clientId) {
+        socket.terminate();
+      }
+    });
+  };
+
+  const previewFrame = (key, progress) => {
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(BINARY_PREVIEW_IMAGE, 0);
+    header.writeUInt32BE(PREVIEW_FORMAT_PNG, 4);
+    return Buffer.concat([header, placeholderPng(key, { size: settings.imageSize, progress })]);
+  };
+
+  const saveImages = (promptId, prompt, nodeId) => {
+    const node = prompt[nodeId];
+    const isTemp = node.class_type === 'PreviewImage';
+    const type = isTemp ? 'temp' : 'output';
+    const batchSize = Math.max(1, ...Object.values(prompt)
+      .filter(n => n.class_type === 'EmptyLatentImage')
+      .map(n => Number(n.inputs?.batch_size) || 1));
+    const seed = Object.values(prompt).find(n => n.class_type === 'KSampler')?.inputs?.seed ?? 0;
+
+    const rawPrefix = isTemp ? `ComfyUI_temp_${promptId.slice(0, 5)}` : String(node.inputs?.filename_prefix || 'ComfyUI');
+    const slash = rawPrefix.lastIndexOf('/');
+    const subfolder = slash === -1 ? '' : rawPrefix.slice(0, slash);
+    const prefix = slash === -1 ? rawPrefix : rawPrefix.slice(slash + 1);
+
+    const images = [];
+    for (let i = 0; i < batchSize; i++) {
+      const counterKey = `${type}/${rawPrefix}`;
+      const counter = (state.counters.get(counterKey) || 0) + 1;
+      state.counters.set(counterKey, counter);
+
+      const filename = `${prefix}_${String(counter).padStart(5, '0')}_.png`;
+      state.files.set(
+        fileKey(type, subfolder, filename),
+        placeholderPng(`${seed}:${i}:${rawPrefix}`, { size: settings.imageSize })
+      );
+      images.push({ filename, subfolder, type });
+    }
+    return images;
+  };
+
+  const execute = async (item) => {
+    const { promptId, prompt, clientId, markers } = item;
+    const messages = [];
+    const emit = (type, data, { record = true } = {}) => {
+      send(clientId, type, data);
+      if (record) messages.push([type, data]);
+    };
+
+    const executed = [];
+    const outputs = {};
+    let currentNode = null;
+    let status = 'success';
+
+    emit('execution_start', { prompt_id: promptId, timestamp: Date.now() });
+    emit('execution_cached', { nodes: [], prompt_id: promptId, timestamp: Date.now() });
+
+    try {
+      for (const nodeId of executionOrder(prompt)) {
+        if (item.interrupted) throw new InterruptedError();
+
+        currentNode = nodeId;
+        const node = prompt[nodeId];
+        emit('executing', { node: nodeId, display_node: nodeId, prompt_id: promptId }, { record: false });
+
+        if (node.class_type === 'KSampler') {
+          const steps = Number(node.inputs?.steps) || 20;
+          for (let step = 1; step <= steps; step++) {
+            await delay(settings.stepDelayMs, markers.slow);
+            if (item.interrupted) throw new InterruptedError();
+
+            if ((markers.execution_error || settings.failMode === 'execution_error') && step === Math.ceil(steps / 2)) {
+              throw Object.assign(new Error('Allocation on device 0 would exceed allowed memory. (out of memory)'), {
+                exceptionType: 'torch.OutOfMemoryError'
+              });
+            }
+
+            emit('progress', { value: step, max: steps, prompt_id: promptId, node: nodeId }, { record: false });
+            if (settings.previews) {
+              sendBinary(clientId, previewFrame(`${promptId}:${nodeId}`, step / steps));
+            }
+            if ((markers.drop_socket || settings.dropSockets) && step === Math.floor(steps / 2)) {
+              dropSockets(clientId);
+            }
+          }
+        } else {
+          await delay(settings.nodeDelayMs, markers.slow);
+        }
+
+        if (MODEL_VRAM[node.class_type]) {
+          const file = MODEL_INPUT_NAMES.map(name => node.inputs?.[name]).find(Boolean);
+          state.loadedModels.set(file, MODEL_VRAM[node.class_type](file));
+        }
+
+        if (OUTPUT_CLASSES.includes(node.class_type)) {
+          outputs[nodeId] = { images: saveImages(promptId, prompt, nodeId) };
+          emit('executed', { node: nodeId, display_node: nodeId, output: outputs[nodeId], prompt_id: promptId }, { record: false });
+        }
+        executed.push(nodeId);
+      }
+
+      emit('execution_success', { prompt_id: promptId, timestamp: Date.now() });
+      emit('executing', { node: null, prompt_id: promptId }, { record: false });
+    } catch (error) {
+      status = 'error';
+      const nodeType = prompt[currentNode]?.class_type;
+      if (error instanceof InterruptedError) {
+        emit('execution_interrupted', {
+          prompt_id: promptId, node_id: currentNode, node_type: nodeType, executed, timestamp: Date.now()
+        });
+      } else {
+        emit('execution_error', {
+          prompt_id: promptId,
+          node_id: currentNode,
+          node_type: nodeType,
+          executed,
+          exception_message: error.message,
+          exception_type: error.exceptionType || error.name,
+          traceback: [String(error.stack)],
+          current_inputs: {},
+          current_outputs: {},
+          timestamp: Date.now()
+        });
+      }
+    }
+
+    state.history.set(promptId, {
+      prompt: [item.number, promptId, prompt, { client_id: clientId }, item.outputIds],
+      outputs,
+      status: { status_str: status, completed: status === 'success', messages },
+      meta: Object.fromEntries(Object.keys(outputs).map(id => [id, {
+        node_id: id, display_node: id, parent_node: null, real_node_id: id
+      }]))
+    });
+  };
+
+  const processQueue = async () => {
+    if (state.running || state.pending.length === 0) return;
+
+    state.running = state.pending.shift();
+    broadcastStatus();
+    try {
+      await execute(state.running);
+    } finally {
+      state.running = null;
+      if (state.freeRequested) {
+        state.loadedModels.clear();
+        state.freeRequested = false;
+      }
+      broadcastStatus();
+      processQueue();
+    }
+  };
+
+  const queueEntry = (item) => [item.number, item.promptId, item.prompt, { client_id: item.clientId }, item.outputIds];
+
+  const systemStats = () => {
+    const total = 24 * GB;
+    const models = [...state.loadedModels.values()].reduce((sum, bytes) => sum + bytes, 0);
+    // Sampling needs working memory on top of the models, which torch keeps reserved
+    const torchReserved = 0.4 * GB + models + (state.running ? 3 * GB : 0.5 * GB);
+    const torchFree = state.running ? 0.2 * GB : 0.5 * GB;
+    const used = torchReserved + 0.8 * GB; // plus the CUDA context
+    return {
+      system: {
+        os: 'posix',
+        ram_total: 64 * 1024 ** 3,
+        ram_free: 48 * 1024 ** 3,
+        comfyui_version: '0.3.30-mock',
+        python_version: '3.11.9 (mock)',
+        pytorch_version: '2.5.1+cu124',
+        embedded_python: false,
+        argv: ['main.py', '--mock']
+      },
+      devices: [{
+        name: 'cuda:0 Mock GPU',
+        type: 'cuda',
+        index: 0,
+        vram_total: total,
+        vram_free: Math.round(total - used),
+        torch_vram_total: Math.round(torchReserved),
+        torch_vram_free: Math.round(torchFree)
+      }]
+    };
+  };
+
+  const json = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const routes = async (req, res, path, query) => {
+    const { method } = req;
+
+    if (method === 'GET' && path === '/system_stats') {
+      return json(res, 200, systemStats());
+    }
+
+    if (method === 'GET' && path === '/object_info') {
+      return json(res, 200, buildObjectInfo({ inputFiles: [...state.inputFiles] }));
+    }
+
+    if (method === 'GET' && path.startsWith('/object_info/')) {
+      const nodeClass = decodeURIComponent(path.slice('/object_info/'.length));
+      const info = buildObjectInfo({ inputFiles: [...state.inputFiles] })[nodeClass];
+      return json(res, 200, info ? { [nodeClass]: info } : {});
+    }
+
+    if (method === 'POST' && path === '/prompt') {
+      const body = await readJson(req);
+      const prompt = body.prompt;
+      const markers = findMarkers(prompt);
+      const objectInfo = buildObjectInfo({ inputFiles: [...state.inputFiles] });
+
+      let failure = validatePrompt(prompt, objectInfo);
+      if (!failure && (markers.node_errors || settings.failMode === 'node_errors')) {
+        // Reject the first enum input with a realistic value_not_in_list error
+        const [id, node] = Object.entries(prompt).find(([, n]) =>
+          Object.values(objectInfo[n.class_type].input.required).some(([type]) => Array.isArray(type))
+        ) || Object.entries(prompt)[0];
+        const [inputName, [choices]] = Object.entries(objectInfo[node.class_type].input.required)
+          .find(([, [type]]) => Array.isArray(type)) || ['', [[]]];
+        failure = {
+          error: { type: 'prompt_outputs_failed_validation', message: 'Prompt outputs failed validation', details: '', extra_info: {} },
+          node_errors: {
+            [id]: {
+              errors: [{
+                type: 'value_not_in_list',
+                message: 'Value not in list',
+                details: `${inputName}: '${node.inputs?.[inputName]}' not in ${JSON.stringify(choices)} (simulated)`,
+                extra_info: { input_name: inputName, received_value: node.inputs?.[inputName] }
+              }],
+              dependent_outputs: Object.keys(prompt).filter(nid => OUTPUT_CLASSES.includes(prompt[nid].class_type)),
+              class_type: node.class_type
+            }
+          }
+        };
+      }
+
+      if (failure) {
+        return json(res, 400, failure);
+      }
+
+      // Like ComfyUI: an explicit number sets the position, front puts the prompt before everything
+      const number = body.number !== undefined ? Number(body.number) : (body.front ? -state.number : state.number);
+      state.number++;
+      const item = {
+        number,
+        promptId: body.prompt_id || randomUUID(),
+        prompt,
+        clientId: body.client_id || null,
+        markers,
+        outputIds: Object.keys(prompt).filter(id => OUTPUT_CLASSES.includes(prompt[id].class_type)),
+        interrupted: false
+      };
+
+      const before = state.pending.findIndex(pending => pending.number > item.number);
+      state.pending.splice(before === -1 ? state.pending.length : before, 0, item);
+      broadcastStatus();
+      setImmediate(processQueue);
+
+      return json(res, 200, { prompt_id: item.promptId, number: item.number, node_errors: {} });
+    }
+
+    if (method === 'GET' && path === '/history') {
+      const entries = [...state.history.entries()];
+      const maxItems = Number(query.get('max_items')) || entries.length;
+      return json(res, 200, Object.fromEntries(entries.slice(-maxItems)));
+    }
+
+    if (method === 'GET' && path.startsWith('/history/')) {
+      const promptId = decodeURIComponent(path.slice('/history/'.length));
+      const entry = state.history.get(promptId);
+      return json(res, 200, entry ? { [promptId]: entry } : {});
+    }
+
+    if (method === 'POST' && path === '/history') {
+      const body = await readJson(req);
+      if (body.clear) state.history.clear();
+      (body.delete || []).forEach(id => state.history.delete(id));
+      return json(res, 200, {});
+    }
+
+    if (method === 'GET' && path === '/queue') {
+      return json(res, 200, {
+        queue_running: state.running ? [queueEntry(state.running)] : [],
+        queue_pending: state.pending.map(queueEntry)
+      });
+    }
+
+    if (method === 'POST' && path === '/queue') {
+      const body = await readJson(req);
+      if (body.clear) state.pending = [];
+      if (body.delete) state.pending = state.pending.filter(item => !body.delete.includes(item.promptId));
+      broadcastStatus();
+      return json(res, 200, {});
+    }
+
+    if (method === 'POST' && path === '/interrupt') {
+      const body = await readJson(req).catch(() => ({}));
+      if (state.running && (!body.prompt_id || body.prompt_id === state.running.promptId)) {
+        state.running.interrupted = true;
+      }
+      return json(res, 200, {});
+    }
+
+    if (method === 'POST' && path === '/free') {
+      const body = await readJson(req).catch(() => ({}));
+      if (body.unload_models || body.free_memory) {
+        if (state.running) {
+          state.freeRequested = true;
+        } else {
+          state.loadedModels.clear();
+        }
+      }
+      return json(res, 200, {});
+    }
+
+    if (method === 'GET' && path === '/view') {
+      const file = state.files.get(fileKey(query.get('type') || 'output', query.get('subfolder'), query.get('filename')));
+      if (!file) {
+        res.writeHead(404);
+        return res.end();
+      }
+      res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': file.length });
+      return res.end(file);
+    }
+
+    if (method === 'POST' && path === '/upload/image') {
+      const fields = parseMultipart(await readBody(req), req.headers['content-type']);
+      if (!fields.image?.filename) {
+        res.writeHead(400);
+        return res.end();
+      }
+
+      const type = fields.type || 'input';
+      const subfolder = fields.subfolder || '';
+      let name = fields.image.filename;
+      if (fields.overwrite !== 'true' && fields.overwrite !== '1') {
+        // ComfyUI keeps existing files and numbers the new one instead
+        const dot = name.lastIndexOf('.');
+        const [base, ext] = dot === -1 ? [name, ''] : [name.slice(0, dot), name.slice(dot)];
+        for (let i = 1; state.files.has(fileKey(type, subfolder, name)); i++) {
+          name = `${base} (${i})${ext}`;
+        }
+      }
+
+      state.files.set(fileKey(type, subfolder, name), fields.image.content);
+      if (type === 'input') {
+        state.inputFiles.add(subfolder ? `${subfolder}/${name}` : name);
+      }
+      return json(res, 200, { name, subfolder, type });
+    }
+
+    // Test hooks, not part of ComfyUI
+    if (path === '/mock/options') {
+      if (method === 'POST') {
+        Object.assign(settings, await readJson(req));
+      }
+      return json(res, 200, settings);
+    }
+
+    if (method === 'POST' && path === '/mock/reset') {
+      reset();
+      return json(res, 200, {});
+    }
+
+    res.writeHead(404);
+    res.end();
+  };
+
+  const server = http.createServer(async (req, res) => {
+    if (settings.cors) {
+      res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    }
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      return res.end();
+    }
+
+    const requestUrl = new URL(req.url, 'http://localhost');
+    // ComfyUI serves every route both with and without the /api prefix
+    const path = requestUrl.pathname.replace(/^\/api(?=\/)/, '');
+
+    if (!path.startsWith('/mock/') && !authorized(req, requestUrl.searchParams)) {
+      return json(res, 401, { error: 'Unauthorized' });
+    }
+
+    try {
+      await routes(req, res, path, requestUrl.searchParams);
+    } catch (error) {
+      console.error(`Mock ComfyUI error on ${req.method} ${path}:`, error);
+      if (!res.headersSent) {
+        json(res, 500, { error: error.message });
+      }
+    }
+  });
+
+  server.on('upgrade', (req, socket, head) => {
+    const requestUrl = new URL(req.url, 'http://localhost');
+    if (requestUrl.pathname.replace(/^\/api(?=\/)/, '') !== '/ws') {
+      socket.destroy();
+      return;
+    }
+    if (!authorized(req, requestUrl.searchParams)) {
+      socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      const clientId = requestUrl.searchParams.get('clientId') || randomUUID().replace(/-/g, '');
+      sockets.set(ws, clientId);
+      ws.on('close', () => sockets.delete(ws));
+      ws.send(JSON.stringify({
+        type: 'status',
+        data: { status: { exec_info: { queue_remaining: queueRemaining() } }, sid: clientId }
+      }));
+    });
+  });
+
+  return {
+    server,
+    options: settings,
+    reset,
+    listen: (port = 8188, host = '127.0.0.1') => new Promise(resolve => {
+      server.listen(port, host, () => resolve(server.address()));
+    }),
+    close: () => new Promise(resolve => {
+      sockets.forEach((_, socket) => socket.terminate());
+      wss.close();
+      server.close(() => resolve());
+    })
+  };
+};
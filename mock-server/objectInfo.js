@@ -0,0 +1,132 @@
+// mock-server/objectInfo.js
+// Node definitions in the shape ComfyUI returns from /object_info. Only the
+// nodes our workflow templates use are described.
+
+export const MODELS = {
+  checkpoints: [
+    'epicrealism_naturalSinRC1VAE.safetensors',
+    'sdxl/sd_xl_base_1.0.safetensors',
+    'v1-5-pruned-emaonly.safetensors'
+  ],
+  vae: [
+    'vae-ft-mse-840000-ema-pruned.safetensors',
+    'sdxl_vae.safetensors'
+  ],
+  loras: [
+    'rust_texture_v1.safetensors'
+  ],
+  upscale_models: [
+    '4x-UltraSharp.pth'
+  ]
+};
+
+const SAMPLERS = ['euler', 'euler_ancestral', 'heun', 'dpm_2', 'dpm_2_ancestral', 'lms', 'dpmpp_2m', 'dpmpp_sde', 'ddim', 'uni_pc'];
+const SCHEDULERS = ['normal', 'karras', 'exponential', 'sgm_uniform', 'simple', 'ddim_uniform'];
+
+const node = (name, category, required, output, options = {}) => ({
+  input: { required, optional: options.optional || {} },
+  input_order: { required: Object.keys(required), optional: Object.keys(options.optional || {}) },
+  output,
+  output_is_list: output.map(() => false),
+  output_name: options.outputNames || output,
+  name,
+  display_name: options.displayName || name,
+  description: '',
+  python_module: 'nodes',
+  category,
+  output_node: Boolean(options.outputNode)
+});
+
+/**
+ * Build the /object_info response
+ * @param {Object} state - Server state that feeds dynamic option lists
+ * @param {Array<string>} state.inputFiles - Files uploaded to the input directory
+ */
+export const buildObjectInfo = ({ inputFiles = [] } = {}) => ({
+  CheckpointLoaderSimple: node('CheckpointLoaderSimple', 'loaders', {
+    ckpt_name: [MODELS.checkpoints, {}]
+  }, ['MODEL', 'CLIP', 'VAE'], { displayName: 'Load Checkpoint' }),
+
+  VAELoader: node('VAELoader', 'loaders', {
+    vae_name: [MODELS.vae, {}]
+  }, ['VAE'], { displayName: 'Load VAE' }),
+
+  LoraLoader: node('LoraLoader', 'loaders', {
+    model: ['MODEL', {}],
+    clip: ['CLIP', {}],
+    lora_name: [MODELS.loras, {}],
+    strength_model: ['FLOAT', { default: 1, min: -100, max: 100, step: 0.01 }],
+    strength_clip: ['FLOAT', { default: 1, min: -100, max: 100, step: 0.01 }]
+  }, ['MODEL', 'CLIP'], { displayName: 'Load LoRA' }),
+
+  UpscaleModelLoader: node('UpscaleModelLoader', 'loaders', {
+    model_name: [MODELS.upscale_models, {}]
+  }, ['UPSCALE_MODEL'], { displayName: 'Load Upscale Model' }),
+
+  CLIPTextEncode: node('CLIPTextEncode', 'conditioning', {
+    text: ['STRING', { multiline: true, dynamicPrompts: true }],
+    clip: ['CLIP', {}]
+  }, ['CONDITIONING'], { displayName: 'CLIP Text Encode (Prompt)' }),
+
+  EmptyLatentImage: node('EmptyLatentImage', 'latent', {
+    width: ['INT', { default: 512, min: 16, max: 16384, step: 8 }],
+    height: ['INT', { default: 512, min: 16, max: 16384, step: 8 }],
+    batch_size: ['INT', { default: 1, min: 1, max: 4096 }]
+  }, ['LATENT'], { displayName: 'Empty Latent Image' }),
+
+  KSampler: node('KSampler', 'sampling', {
+    model: ['MODEL', {}],
+    seed: ['INT', { default: 0, min: 0, max: Number.MAX_SAFE_INTEGER }],
+    steps: ['INT', { default: 20, min: 1, max: 10000 }],
+    cfg: ['FLOAT', { default: 8, min: 0, max: 100, step: 0.1 }],
+    sampler_name: [SAMPLERS, {}],
+    scheduler: [SCHEDULERS, {}],
+    positive: ['CONDITIONING', {}],
+    negative: ['CONDITIONING', {}],
+    latent_image: ['LATENT', {}],
+    denoise: ['FLOAT', { default: 1, min: 0, max: 1, step: 0.01 }]
+  }, ['LATENT']),
+
+  VAEDecode: node('VAEDecode', 'latent', {
+    samples: ['LATENT', {}],
+    vae: ['VAE', {}]
+  }, ['IMAGE'], { displayName: 'VAE Decode' }),
+
+  VAEEncode: node('VAEEncode', 'latent', {
+    pixels: ['IMAGE', {}],
+    vae: ['VAE', {}]
+  }, ['LATENT'], { displayName: 'VAE Encode' }),
+
+  EmptyImage: node('EmptyImage', 'image', {
+    width: ['INT', { default: 512, min: 1, max: 16384, step: 1 }],
+    height: ['INT', { default: 512, min: 1, max: 16384, step: 1 }],
+    batch_size: ['INT', { default: 1, min: 1, max: 4096 }],
+    color: ['INT', { default: 0, min: 0, max: 0xFFFFFF, step: 1 }]
+  }, ['IMAGE']),
+
+  LoadImage: node('LoadImage', 'image', {
+    image: [[...inputFiles].sort(), { image_upload: true }]
+  }, ['IMAGE', 'MASK'], { displayName: 'Load Image' }),
+
+  ImageScale: node('ImageScale', 'image/upscaling', {
+    image: ['IMAGE', {}],
+    upscale_method: [['nearest-exact', 'bilinear', 'area', 'bicubic', 'lanczos'], {}],
+    width: ['INT', { default: 512, min: 0, max: 16384, step: 1 }],
+    height: ['INT', { default: 512, min: 0, max: 16384, step: 1 }],
+    crop: [['disabled', 'center'], {}]
+  }, ['IMAGE'], { displayName: 'Upscale Image' }),
+
+  ImageUpscaleWithModel: node('ImageUpscaleWithModel', 'image/upscaling', {
+    upscale_model: ['UPSCALE_MODEL', {}],
+    image: ['IMAGE', {}]
+  }, ['IMAGE'], { displayName: 'Upscale Image (using Model)' }),
+
+  SaveImage: node('SaveImage', 'image', {
+    images: ['IMAGE', {}],
+    filename_prefix: ['STRING', { default: 'ComfyUI' }]
+  }, [], { displayName: 'Save Image', outputNode: true }),
+
+  PreviewImage: node('PreviewImage', 'image', {
+    images: ['IMAGE', {}]
+  }, [], { displayName: 'Preview Image', outputNode: true })
+});
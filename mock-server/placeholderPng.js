@@ -0,0 +1,79 @@
+// mock-server/placeholderPng.js
+import zlib from 'node:zlib';
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const chunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+// FNV-1a, so the same key always gives the same colours
+const hash = (key) => {
+  let h = 0x811c9dc5;
+  for (const char of String(key)) {
+    h ^= char.charCodeAt(0);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+};
+
+/**
+ * Encode a deterministic RGB gradient PNG. The same key always produces
+ * byte-identical output.
+ * @param {string} key - Seed for the colours, e.g. the file name
+ * @param {Object} options - Image options
+ * @param {number} options.size - Width and height in pixels
+ * @param {number} options.progress - 0..1, blends from grey noise to the final colours (for previews)
+ * @returns {Buffer}
+ */
+export const placeholderPng = (key, { size = 64, progress = 1 } = {}) => {
+  const h = hash(key);
+  const from = [(h >>> 16) & 0xff, (h >>> 8) & 0xff, h & 0xff];
+  const to = [255 - from[0], 255 - from[1], 255 - from[2]];
+
+  const rows = [];
+  for (let y = 0; y < size; y++) {
+    const row = Buffer.alloc(1 + size * 3); // leading 0 = no filter
+    for (let x = 0; x < size; x++) {
+      const t = (x + y) / (2 * (size - 1));
+      const noise = ((hash(`${key}:${x}:${y}`) & 0xff) + 128) / 3;
+      for (let c = 0; c < 3; c++) {
+        const target = from[c] + (to[c] - from[c]) * t;
+        row[1 + x * 3 + c] = Math.round(noise + (target - noise) * progress);
+      }
+    }
+    rows.push(row);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(size, 0);
+  header.writeUInt32BE(size, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // colour type RGB
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(Buffer.concat(rows))),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+};
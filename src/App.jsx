@@ -6,6 +6,14 @@ import AssetsPage from './pages/AssetsPage';
 import AssetDetailPage from './pages/AssetDetailPage';
 import GenerationPage from './pages/GenerationPage';
 import SessionsPage from './pages/SessionsPage';
+import SessionDetailPage from './pages/SessionDetailPage';
+import ServerPage from './pages/ServerPage';
+import SettingsPage from './pages/SettingsPage';
+import LoginPage from './pages/LoginPage';
+import PendingGenerationsNotice from './components/PendingGenerationsNotice';
+import ProtectedRoute from './components/ProtectedRoute';
+import authService from './services/authService';
+import useAuth from './hooks/useAuth';
 
 // Add this near the top of your main JS file
 window.addEventListener('error', function(event) {
@@ -44,6 +52,7 @@ const Logo = styled.div`
 
 const Nav = styled.nav`
   display: flex;
+  align-items: center;
   gap: 24px;
 `;
 
@@ -69,6 +78,23 @@ const NavLink = styled(Link)`
   }
 `;
 
+const UserMenu = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 12px;
+  font-size: 0.9rem;
+  color: #bdbdbd;
+
+  button {
+    background: none;
+    border: 1px solid #757575;
+    border-radius: 4px;
+    color: white;
+    padding: 4px 10px;
+    cursor: pointer;
+  }
+`;
+
 const MainContent = styled.main`
   flex: 1;
   background-color: #f5f5f5;
@@ -81,7 +107,13 @@ const Footer = styled.footer`
   text-align: center;
 `;
 
+const handleSignOut = () => {
+  authService.signOut().catch(error => alert(`Could not sign out: ${error.message}`));
+};
+
 function App() {
+  const { user, role, can } = useAuth();
+
   return (
     <Router>
       <AppContainer>
@@ -91,18 +123,36 @@ function App() {
             <Nav>
               <NavLink to="/assets">Assets</NavLink>
               <NavLink to="/sessions">Sessions</NavLink>
-              <NavLink to="/generate">Generate</NavLink>
+              {can('generate') && <NavLink to="/generate">Generate</NavLink>}
+              <NavLink to="/server">Server</NavLink>
+              <NavLink to="/settings">Settings</NavLink>
+              {user ? (
+                <UserMenu>
+                  <span>{user.email} ({role})</span>
+                  <button type="button" onClick={handleSignOut}>Sign out</button>
+                </UserMenu>
+              ) : (
+                <NavLink to="/login">Sign in</NavLink>
+              )}
             </Nav>
           </NavContainer>
         </Header>
+
+        {/* Recovering generations writes sessions and assets, which needs a generator */}
+        {can('generate') && <PendingGenerationsNotice />}
         
         <MainContent>
           <Routes>
-            <Route path="/" element={<AssetsPage />} />
-            <Route path="/assets" element={<AssetsPage />} />
-            <Route path="/assets/:id" element={<AssetDetailPage />} />
-            <Route path="/sessions" element={<SessionsPage />} />
-            <Route path="/generate" element={<GenerationPage />} />
+            <Route path="/" element={<ProtectedRoute><AssetsPage /></ProtectedRoute>} />
+            <Route path="/assets" element={<ProtectedRoute><AssetsPage /></ProtectedRoute>} />
+            <Route path="/assets/:id" element={<ProtectedRoute><AssetDetailPage /></ProtectedRoute>} />
+            <Route path="/sessions" element={<ProtectedRoute><SessionsPage /></ProtectedRoute>} />
+            <Route path="/sessions/:id" element={<ProtectedRoute><SessionDetailPage /></ProtectedRoute>} />
+            <Route path="/generate" element={<ProtectedRoute permission="generate"><GenerationPage /></ProtectedRoute>} />
+            <Route path="/server" element={<ProtectedRoute><ServerPage /></ProtectedRoute>} />
+            {/* Open to everyone, since signing in needs a configured Supabase project */}
+            <Route path="/settings" element={<SettingsPage />} />
+            <Route path="/login" element={<LoginPage />} />
           </Routes>
         </MainContent>
         
@@ -19,9 +19,11 @@ const Card = styled.div`
   }
 `;
 
+// Square thumbnails keep every card the same height, see VirtualGrid
 const AssetImage = styled.img`
-  max-width: 100%;
-  height: auto;
+  width: 100%;
+  aspect-ratio: 1;
+  object-fit: cover;
   border-radius: 4px;
   margin-bottom: 12px;
 `;
@@ -29,6 +31,10 @@ const AssetImage = styled.img`
 const AssetTitle = styled.h3`
   margin: 0 0 8px 0;
   color: #333;
+  display: -webkit-box;
+  -webkit-line-clamp: 2;
+  -webkit-box-orient: vertical;
+  overflow: hidden;
 `;
 
 const AssetType = styled.span`
@@ -44,6 +50,8 @@ const TraitsList = styled.div`
   display: flex;
   flex-wrap: wrap;
   gap: 6px;
+  max-height: 48px;
+  overflow: hidden;
 `;
 
 const TraitTag = styled.span`
@@ -0,0 +1,53 @@
+// src/components/ComfyImage.jsx
+import React, { useState, useEffect } from 'react';
+import ComfyService from '../services/comfyService';
+import { requiresAuth } from '../services/comfyAuth';
+
+/**
+ * An output image served by ComfyUI's /view. An `<img src>` can't send
+ * credentials, so images of servers that need them are downloaded with the
+ * authenticated client and shown from an object URL.
+ * @param {Object} props
+ * @param {Object} props.image - Image as returned by ComfyService.getOutputImages
+ * @param {string} props.alt - Alternative text
+ */
+const ComfyImage = ({ image, alt, ...rest }) => {
+  const authenticated = requiresAuth(image.url);
+  const [src, setSrc] = useState(authenticated ? null : image.url);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    if (!authenticated) {
+      setSrc(image.url);
+      return undefined;
+    }
+
+    let objectUrl = null;
+    let cancelled = false;
+    setSrc(null);
+    setFailed(false);
+
+    ComfyService.getImageBlob(image)
+      .then(blob => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setSrc(objectUrl);
+      })
+      .catch(() => {
+        if (!cancelled) setFailed(true);
+      });
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) {
+        URL.revokeObjectURL(objectUrl);
+      }
+    };
+  }, [image, authenticated]);
+
+  if (failed) return <span>Could not load {image.filename}</span>;
+  if (!src) return <span>Loading {image.filename}...</span>;
+  return <img src={src} alt={alt} {...rest} />;
+};
+
+export default ComfyImage;
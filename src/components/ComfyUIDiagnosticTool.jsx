@@ -1,282 +1,239 @@
 // src/components/ComfyUIDiagnosticTool.jsx
 import React, { useState } from 'react';
-import { useComfyUI } from '../hooks/useComfyUI';
+import styled from 'styled-components';
+import comfyServerPool from '../services/comfyServerPool';
+import { runDiagnostics, DIAGNOSTIC_CHECKS } from '../utils/comfy-diagnostic';
+import ModelAvailabilityTable from './ModelAvailabilityTable';
 
+const STATUS_COLORS = {
+  pass: '#2e7d32',
+  warn: '#ef6c00',
+  fail: '#c62828',
+  skip: '#757575',
+  running: '#007bff',
+  pending: '#bdbdbd'
+};
+
+const PanelContainer = styled.div`
+  background-color: #fff;
+  border-radius: 8px;
+  padding: 24px;
+  box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);
+  margin-bottom: 24px;
+`;
+
+const Actions = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 12px;
+  margin-bottom: 16px;
+
+  select {
+    padding: 8px;
+    border: 1px solid #ddd;
+    border-radius: 4px;
+  }
+`;
+
+const CheckList = styled.ul`
+  list-style: none;
+  padding: 0;
+  display: flex;
+  flex-direction: column;
+  gap: 8px;
+`;
+
+const CheckItem = styled.li`
+  padding: 10px 12px;
+  border: 1px solid #e0e0e0;
+  border-left: 4px solid ${props => STATUS_COLORS[props.status]};
+  border-radius: 6px;
+  background-color: #f9f9f9;
+
+  details {
+    margin-top: 6px;
+    font-size: 0.85rem;
+  }
+
+  pre {
+    overflow-x: auto;
+    background-color: #f0f0f0;
+    padding: 8px;
+    border-radius: 4px;
+  }
+`;
+
+const CheckHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  gap: 12px;
+  font-weight: bold;
+  color: #333;
+`;
+
+const StatusBadge = styled.span`
+  flex-shrink: 0;
+  color: ${props => STATUS_COLORS[props.status]};
+  text-transform: uppercase;
+  font-size: 0.8rem;
+`;
+
+const CheckMessage = styled.div`
+  margin-top: 4px;
+  font-size: 0.9rem;
+  color: #555;
+`;
+
+const Summary = styled.p`
+  font-weight: bold;
+  color: ${props => props.ok ? STATUS_COLORS.pass : STATUS_COLORS.fail};
+`;
+
+const downloadReport = (report) => {
+  const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+  const objectUrl = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = objectUrl;
+  link.download = `comfy-diagnostics-${new URL(report.server.url).host.replace(/[^\w.-]/g, '_')}-${report.startedAt.replace(/[:.]/g, '-')}.json`;
+  link.click();
+  URL.revokeObjectURL(objectUrl);
+};
+
+/**
+ * Runs the checks of utils/comfy-diagnostic against a server of the pool and
+ * shows the report as it comes in; the same report `npm run comfy -- diagnose`
+ * produces can be downloaded as JSON.
+ */
 const ComfyUIDiagnosticTool = () => {
-  const [diagnosticResults, setDiagnosticResults] = useState(null);
-  const [isRunningDiagnostics, setIsRunningDiagnostics] = useState(false);
-  const [testWorkflowResult, setTestWorkflowResult] = useState(null);
-  
-  const { 
-    isConnected, 
-    error: hookError,
-    submitJob
-  } = useComfyUI();
-  
-  // Run basic connection diagnostic
-  const runConnectionDiagnostic = async () => {
-    setIsRunningDiagnostics(true);
-    setDiagnosticResults(null);
-    console.log("ComfyUI API URL:", process.env.REACT_APP_COMFYUI_API_URL);
-    console.log("ComfyUI WS URL:", process.env.REACT_APP_COMFYUI_WS_URL);
-    
+  const servers = comfyServerPool.getServers();
+  const [serverId, setServerId] = useState(servers[0].id);
+  const [roundTrip, setRoundTrip] = useState(true);
+  const [results, setResults] = useState([]);
+  const [report, setReport] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleRun = async () => {
+    setIsRunning(true);
+    setResults([]);
+    setReport(null);
+    setError(null);
+
     try {
-      const results = {
-        apiEndpoint: false,
-        wsEndpoint: false,
-        systemStats: null,
-        history: null,
-        errors: []
-      };
-      
-      // Test API endpoint
-      try {
-        const response = await fetch(`${process.env.REACT_APP_COMFYUI_API_URL}/system_stats`);
-        results.apiEndpoint = response.ok;
-        
-        if (response.ok) {
-          results.systemStats = await response.json();
-        } else {
-          results.errors.push(`API endpoint returned status: ${response.status}`);
-        }
-      } catch (err) {
-        results.errors.push(`API connection error: ${err.message}`);
-      }
-      
-      // Test history endpoint
-      try {
-        const response = await fetch(`${process.env.REACT_APP_COMFYUI_API_URL}/history`);
-        
-        if (response.ok) {
-          results.history = await response.json();
-        } else {
-          results.errors.push(`History endpoint returned status: ${response.status}`);
-        }
-      } catch (err) {
-        results.errors.push(`History endpoint error: ${err.message}`);
-      }
-      
-      // Test WebSocket endpoint
-      try {
-        const ws = new WebSocket(process.env.REACT_APP_COMFYUI_WS_URL);
-        
-        // Create a promise that resolves on open or rejects on error
-        const wsPromise = new Promise((resolve, reject) => {
-          ws.onopen = () => {
-            results.wsEndpoint = true;
-            resolve();
-          };
-          
-          ws.onerror = (error) => {
-            results.errors.push('WebSocket connection error');
-            reject(error);
-          };
-          
-          // Set a timeout
-          setTimeout(() => {
-            reject(new Error('WebSocket connection timeout'));
-          }, 5000);
-        });
-        
-        await wsPromise.catch(err => {
-          results.errors.push(`WebSocket error: ${err.message}`);
-        });
-        
-        // Close the WebSocket
-        if (ws.readyState === WebSocket.OPEN) {
-          ws.close();
-        }
-      } catch (err) {
-        results.errors.push(`WebSocket setup error: ${err.message}`);
-      }
-      
-      setDiagnosticResults(results);
-    } catch (err) {
-      setDiagnosticResults({
-        apiEndpoint: false,
-        wsEndpoint: false,
-        systemStats: null,
-        history: null,
-        errors: [`Diagnostic error: ${err.message}`]
+      const finished = await runDiagnostics({
+        server: serverId,
+        roundTrip,
+        onCheck: (check) => setResults(prev => [...prev, check])
       });
+      setReport(finished);
+    } catch (err) {
+      console.error('Error running diagnostics:', err);
+      setError(err.message);
     } finally {
-      setIsRunningDiagnostics(false);
+      setIsRunning(false);
     }
   };
-  
-  // Run a simple test workflow
-  const runTestWorkflow = async () => {
-    setTestWorkflowResult({
-      status: 'running',
-      message: 'Submitting test workflow...',
-      data: null,
-      error: null
-    });
-    
-    try {
-      // Simple test workflow - just an empty latent image and an output
-      const testWorkflow = {
-        "1": {
-          "class_type": "EmptyLatentImage",
-          "inputs": {
-            "batch_size": 1,
-            "height": 512,
-            "width": 512
-          }
-        },
-        "2": {
-          "class_type": "VAEDecode",
-          "inputs": {
-            "samples": ["1", 0],
-            "vae": ["3", 0]
-          }
-        },
-        "3": {
-          "class_type": "VAELoader",
-          "inputs": {
-            "vae_name": "vae-ft-mse-840000-ema-pruned.safetensors"
-          }
-        },
-        "4": {
-          "class_type": "SaveImage",
-          "inputs": {
-            "filename_prefix": "test_image",
-            "images": ["2", 0]
-          }
-        }
-      };
-      
-      const result = await submitJob(testWorkflow);
-      
-      setTestWorkflowResult({
-        status: 'success',
-        message: 'Test workflow submitted successfully',
-        data: result,
-        error: null
-      });
-    } catch (err) {
-      setTestWorkflowResult({
-        status: 'error',
-        message: 'Test workflow failed',
-        data: null,
-        error: err.message
-      });
+
+  // Checks that haven't reported yet show as pending, the next one as running
+  const rows = DIAGNOSTIC_CHECKS.map((check, index) =>
+    results.find(result => result.id === check.id) || {
+      ...check,
+      status: isRunning && index === results.length ? 'running' : 'pending',
+      message: ''
     }
-  };
-  
+  );
+
   return (
-    <div className="comfyui-diagnostic-tool">
-      <h2>ComfyUI Diagnostic Tool</h2>
-      
-      <div className="diagnostic-actions">
-        <button 
-          onClick={runConnectionDiagnostic}
-          disabled={isRunningDiagnostics}
-        >
-          {isRunningDiagnostics ? 'Running Diagnostics...' : 'Run Connection Diagnostics'}
-        </button>
-        
-        <button 
-          onClick={runTestWorkflow}
-          disabled={!isConnected || testWorkflowResult?.status === 'running'}
-        >
-          {testWorkflowResult?.status === 'running' ? 'Running Test...' : 'Run Test Workflow'}
+    <PanelContainer>
+      <h2>ComfyUI Diagnostics</h2>
+      <p>
+        Checks that the server answers, allows requests from this page, streams events over the
+        WebSocket, has every node, checkpoint, VAE, LoRA and upscaler our workflows use, and can run
+        a small test prompt.
+      </p>
+
+      <Actions>
+        {servers.length > 1 && (
+          <select value={serverId} onChange={(e) => setServerId(e.target.value)} disabled={isRunning}>
+            {servers.map(server => (
+              <option key={server.id} value={server.id}>{server.url}</option>
+            ))}
+          </select>
+        )}
+        <label>
+          <input
+            type="checkbox"
+            checked={roundTrip}
+            onChange={(e) => setRoundTrip(e.target.checked)}
+            disabled={isRunning}
+          />
+          {' '}Queue a test prompt
+        </label>
+        <button onClick={handleRun} disabled={isRunning}>
+          {isRunning ? 'Running Diagnostics...' : 'Run Diagnostics'}
         </button>
-      </div>
-      
-      {hookError && (
-        <div className="diagnostic-error">
-          <h3>Hook Error:</h3>
-          <pre>{hookError}</pre>
-        </div>
-      )}
-      
-      {diagnosticResults && (
-        <div className="diagnostic-results">
-          <h3>Diagnostic Results:</h3>
-          
-          <div className="result-item">
-            <span className="result-label">API Endpoint:</span>
-            <span className={`result-value ${diagnosticResults.apiEndpoint ? 'success' : 'failure'}`}>
-              {diagnosticResults.apiEndpoint ? 'Connected' : 'Failed'}
-            </span>
-          </div>
-          
-          <div className="result-item">
-            <span className="result-label">WebSocket Endpoint:</span>
-            <span className={`result-value ${diagnosticResults.wsEndpoint ? 'success' : 'failure'}`}>
-              {diagnosticResults.wsEndpoint ? 'Connected' : 'Failed'}
-            </span>
-          </div>
-          
-          {diagnosticResults.systemStats && (
-            <div className="system-stats">
-              <h4>System Stats:</h4>
-              <pre>{JSON.stringify(diagnosticResults.systemStats, null, 2)}</pre>
-            </div>
-          )}
-          
-          {diagnosticResults.errors.length > 0 && (
-            <div className="diagnostic-errors">
-              <h4>Errors:</h4>
-              <ul>
-                {diagnosticResults.errors.map((error, index) => (
-                  <li key={index}>{error}</li>
-                ))}
-              </ul>
-            </div>
-          )}
-        </div>
+        {report && (
+          <button type="button" onClick={() => downloadReport(report)}>
+            Download JSON Report
+          </button>
+        )}
+      </Actions>
+
+      {error && <Summary ok={false}>Diagnostics stopped: {error}</Summary>}
+
+      {report && (
+        <Summary ok={report.ok}>
+          {report.ok ? 'All checks passed' : 'Some checks failed'}: {report.summary.pass} passed,
+          {' '}{report.summary.warn} warnings, {report.summary.fail} failed, {report.summary.skip} skipped
+        </Summary>
       )}
-      
-      {testWorkflowResult && (
-        <div className={`test-workflow-results ${testWorkflowResult.status}`}>
-          <h3>Test Workflow Results:</h3>
-          <p><strong>Status:</strong> {testWorkflowResult.status}</p>
-          <p><strong>Message:</strong> {testWorkflowResult.message}</p>
-          
-          {testWorkflowResult.error && (
-            <div className="test-error">
-              <h4>Error:</h4>
-              <pre>{testWorkflowResult.error}</pre>
-            </div>
-          )}
-          
-          {testWorkflowResult.data && (
-            <div className="test-data">
-              <h4>Response Data:</h4>
-              <pre>{JSON.stringify(testWorkflowResult.data, null, 2)}</pre>
-            </div>
-          )}
-        </div>
+
+      {(isRunning || results.length > 0) && (
+        <CheckList>
+          {rows.map(check => (
+            <CheckItem key={check.id} status={check.status}>
+              <CheckHeader>
+                <span>{check.name}</span>
+                <StatusBadge status={check.status}>
+                  {check.status}{check.durationMs !== undefined && ` · ${check.durationMs} ms`}
+                </StatusBadge>
+              </CheckHeader>
+              {check.message && <CheckMessage>{check.message}</CheckMessage>}
+              {check.id === 'models' && check.details?.models && (
+                <ModelAvailabilityTable models={check.details.models} installed={check.details.installed} />
+              )}
+              {check.details && (
+                <details>
+                  <summary>Details</summary>
+                  <pre>{JSON.stringify(check.details, null, 2)}</pre>
+                </details>
+              )}
+            </CheckItem>
+          ))}
+        </CheckList>
       )}
-      
-      <div className="configuration-info">
-        <h3>Configuration:</h3>
-        <p>ComfyUI API URL: {process.env.REACT_APP_COMFYUI_API_URL || 'Not configured'}</p>
-        <p>ComfyUI WebSocket URL: {process.env.REACT_APP_COMFYUI_WS_URL || 'Not configured'}</p>
-      </div>
-      
+
       <div className="troubleshooting-guide">
         <h3>Troubleshooting Guide:</h3>
-        <h4>Common Issues:</h4>
         <ul>
           <li>
-            <strong>Cannot connect to API:</strong> Verify ComfyUI is running and the API URL is correctly configured
+            <strong>HTTP API unreachable:</strong> Verify ComfyUI is running and <code>VITE_COMFY_UI_API</code> points at it.
+            In the browser a CORS rejection looks the same; <code>npm run comfy -- diagnose</code> tells them apart.
           </li>
           <li>
-            <strong>WebSocket connection fails:</strong> Check if ComfyUI has WebSocket support enabled
+            <strong>CORS headers:</strong> Start ComfyUI with <code>--enable-cors-header</code>, see the guide below
           </li>
           <li>
-            <strong>Test workflow fails:</strong> Verify VAE model is available in ComfyUI
+            <strong>WebSocket handshake:</strong> Check <code>VITE_COMFY_UI_WS</code> and any proxy in front of ComfyUI
           </li>
           <li>
-            <strong>CORS issues:</strong> Ensure ComfyUI is configured to allow requests from your frontend domain
+            <strong>Nodes or models missing:</strong> Install them, or pick one of the closest matches in the workflow settings
           </li>
         </ul>
       </div>
-    </div>
+    </PanelContainer>
   );
 };
 
-export default ComfyUIDiagnosticTool;
\ No newline at end of file
+export default ComfyUIDiagnosticTool;
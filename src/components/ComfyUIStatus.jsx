@@ -1,6 +1,6 @@
 // src/components/ComfyUIStatus.jsx
 import React, { useEffect, useState } from 'react';
-import comfyUIService from '../services/comfyUIService';
+import ComfyService from '../services/comfyService';
 import comfyUIWebSocketService from '../services/comfyUIWebSocketService';
 
 const ComfyUIStatus = () => {
@@ -19,7 +19,7 @@ const ComfyUIStatus = () => {
   useEffect(() => {
     const checkConnection = async () => {
       try {
-        const connected = await comfyUIService.checkConnection();
+        const connected = await ComfyService.checkConnection();
         setApiStatus({
           connected,
           checking: false,
@@ -73,7 +73,7 @@ const ComfyUIStatus = () => {
   // Attempt to reconnect manually
   const handleReconnect = () => {
     setApiStatus(prev => ({ ...prev, checking: true }));
-    comfyUIService.checkConnection().then(connected => {
+    ComfyService.checkConnection().then(connected => {
       setApiStatus({
         connected,
         checking: false,
@@ -46,7 +46,7 @@ const CorsConfigGuide = () => {
         </li>
         <li>
           <p>Update your frontend to use the proxy URL:</p>
-          <pre>const COMFYUI_API_URL = 'http://localhost:8080/http://localhost:8188';</pre>
+          <pre>VITE_COMFY_UI_API=http://localhost:8080/http://localhost:8188</pre>
         </li>
       </ol>
       
@@ -58,8 +58,8 @@ const CorsConfigGuide = () => {
       
       <div className="code-example">
         <pre>
-          {`REACT_APP_COMFYUI_API_URL=http://localhost:8188/
-REACT_APP_COMFYUI_WS_URL=ws://localhost:8188/ws`}
+          {`VITE_COMFY_UI_API=http://localhost:8188
+VITE_COMFY_UI_WS=ws://localhost:8188/ws`}
         </pre>
       </div>
       
@@ -98,6 +98,4 @@ REACT_APP_COMFYUI_WS_URL=ws://localhost:8188/ws`}
     </div>
   );
 };
-console.log("ComfyUI API URL:", process.env.REACT_APP_COMFYUI_API_URL);
-console.log("ComfyUI WS URL:", process.env.REACT_APP_COMFYUI_WS_URL);
 export default CorsConfigGuide;
\ No newline at end of file
@@ -0,0 +1,33 @@
+// src/components/ErrorDisplay.jsx
+import React from 'react';
+import styled from 'styled-components';
+
+const ErrorBox = styled.div`
+  padding: 12px;
+  margin: 12px 0;
+  border-radius: 4px;
+  background-color: #ffebee;
+  color: #c62828;
+`;
+
+const DetailList = styled.ul`
+  margin: 8px 0 0 20px;
+  font-size: 0.9rem;
+`;
+
+const ErrorDisplay = ({ message, details = [] }) => {
+  if (!message && details.length === 0) return null;
+
+  return (
+    <ErrorBox role="alert">
+      {message}
+      {details.length > 0 && (
+        <DetailList>
+          {details.map(detail => <li key={detail}>{detail}</li>)}
+        </DetailList>
+      )}
+    </ErrorBox>
+  );
+};
+
+export default ErrorDisplay;
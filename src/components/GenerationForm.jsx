@@ -1,9 +1,21 @@
 // src/components/GenerationForm.jsx
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import styled from 'styled-components';
-import ComfyService from '../services/comfyService';
+import ComfyService, { VEHICLE_WORKFLOW_DEFAULTS, VEHICLE_WORKFLOW_FIELDS } from '../services/comfyService';
+import {
+  PromptCancelledError,
+  PromptRejectedError,
+  PromptTimeoutError,
+  WorkflowValidationError,
+  mapErrorToFields
+} from '../services/comfyErrors';
+import comfyJobTracker from '../services/comfyJobTracker';
+import pendingGenerations from '../services/pendingGenerations';
+import { describeIngest, ingestOutputs, IngestError } from '../services/generationIngest';
+import { PermissionDeniedError } from '../services/permissions';
+import GenerationPreview from './GenerationPreview';
+import WorkflowSettingsFields, { FieldError } from './WorkflowSettingsFields';
 import SupabaseService from '../services/supabaseService';
-import { supabase } from "../services/supabaseService";
 
 
 const FormContainer = styled.div`
@@ -41,7 +53,7 @@ const Input = styled.input`
 
 const TextArea = styled.textarea`
   padding: 10px;
-  border: 1px solid #ddd;
+  border: 1px solid ${props => props.invalid ? '#c62828' : '#ddd'};
   border-radius: 4px;
   font-size: 1rem;
   min-height: 100px;
@@ -102,12 +114,25 @@ const StatusMessage = styled.div`
   display: ${props => props.visible ? 'block' : 'none'};
 `;
 
+const ProblemList = styled.ul`
+  margin: 8px 0 0 20px;
+  font-size: 0.9rem;
+`;
+
 const GenerationForm = () => {
   const [prompt, setPrompt] = useState('');
   const [traits, setTraits] = useState([]);
   const [selectedTraits, setSelectedTraits] = useState([]);
+  const [settings, setSettings] = useState(VEHICLE_WORKFLOW_DEFAULTS);
+  const [fieldErrors, setFieldErrors] = useState({});
   const [isGenerating, setIsGenerating] = useState(false);
   const [status, setStatus] = useState({ message: '', error: false });
+  const [liveJob, setLiveJob] = useState(null);
+  const [isAborting, setIsAborting] = useState(false);
+  const unsubscribeJobRef = useRef(null);
+
+  // Stop following the job if the form goes away mid-generation
+  useEffect(() => () => unsubscribeJobRef.current?.(), []);
 
   useEffect(() => {
     const loadTraits = async () => {
@@ -126,6 +151,21 @@ const GenerationForm = () => {
     loadTraits();
   }, []);
 
+  // Editing a field clears the error ComfyUI reported for it
+  const clearFieldError = (field) => {
+    setFieldErrors(prev => {
+      const { [field]: _cleared, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  const handleSettingsChange = (changes) => {
+    setSettings(prev => ({ ...prev, ...changes }));
+    if ('checkpoint' in changes) clearFieldError('checkpoint');
+    if ('width' in changes) clearFieldError('resolution');
+    if ('sampler' in changes) clearFieldError('sampler');
+  };
+
   const handleTraitToggle = (trait) => {
     setSelectedTraits(prevTraits => {
       const isSelected = prevTraits.some(t => t.id === trait.id);
@@ -137,305 +177,167 @@ const GenerationForm = () => {
     });
   };
 
-  // In src/components/GenerationForm.jsx, update the handleSubmit function:
   const handleSubmit = async (e) => {
     e.preventDefault();
     setIsGenerating(true);
     setStatus({ message: '', error: false });
+    setFieldErrors({});
+
+    let session = null;
+    // Set when the session could not record the queued prompt; the images are still saved
+    let saveWarning = '';
+    // Set when the prompt outlasted the timeout and is left to the next start
+    let released = false;
 
- 
-  
     try {
-      // Create a session first
+      // Create the workflow and make sure this server can run it
+      setStatus({ message: 'Checking workflow...', error: false });
+      console.log("Creating workflow with prompt:", prompt, "and traits:", selectedTraits);
+      const { workflow } = ComfyService.createVehicleWorkflow(prompt, selectedTraits, settings);
+      await ComfyService.validateWorkflow(workflow);
+
+      // Create a session for the generation
       console.log("Creating generation session...");
-      const session = await SupabaseService.createSession({
+      session = await SupabaseService.createSession({
         prompt,
         traits: selectedTraits.map(t => t.id),
         source: 'web-ui'
       });
       console.log("Session created:", session);
-  
-      // Create and queue the workflow
-      setStatus({ message: 'Creating workflow...', error: false });
-      console.log("Creating workflow with prompt:", prompt, "and traits:", selectedTraits);
-      const { workflow, timestamp } = ComfyService.createVehicleWorkflow(prompt, selectedTraits);
-      console.log("Workflow created with timestamp:", timestamp);
-
-      // Store the timestamp for later use
-      const generationTimestamp = timestamp;
-      // setGenerationTimestamp(timestamp); // If using state
 
       // Queue the prompt in ComfyUI
       setStatus({ message: 'Queuing generation...', error: false });
       console.log("Submitting workflow to ComfyUI...");
       const promptResponse = await ComfyService.queuePrompt(workflow);
-      
-      // Poll for completion
-      setStatus({ message: 'Generation in progress...', error: false });
-      
-      // Wait for the generation to complete and get output
-      // In a real app, you'd use WebSockets - we'll poll for simplicity
-      const checkCompletion = async () => {
-        try {
-          console.log("Checking generation status for prompt ID:", promptResponse.prompt_id);
-          
-          // Get the status of the specific prompt execution
-          const result = await ComfyService.getOutput(promptResponse.prompt_id);
-          console.log("ComfyUI status check result:", result);
-
-          // Look for output images in the result
-          let outputImage = null;
-          let isComplete = false;
-
-         // THis metod works
-          if (!isComplete) {
-            console.log("Trying to find file with timestamp:", generationTimestamp);
-
-            // Try a few possible filename patterns
-            const timeBasedFilenames = [
-              // `postapoc_vehicle_${generationTimestamp}.png`,
-              // `postapoc_vehicle_${generationTimestamp}_00001.png`,
-              `postapoc_vehicle_${generationTimestamp}_00001_.png`
-            ];
-
-
-            for (const filename of timeBasedFilenames) {
-              try {
-                const testUrl = `http://localhost:8188/view?filename=${encodeURIComponent(filename)}`;
-                console.log("Testing URL:", testUrl);
-                
-                const testResponse = await fetch(testUrl, { method: 'HEAD' });
-                
-                if (testResponse.ok) {
-                  console.log("Found image at:", filename);
-                  outputImage = { filename };
-                  isComplete = true;
-                  break;
-                }
-              } catch (e) {
-                console.log("Error checking filename:", filename, e);
-              }
-            }}
 
+      // Remember the prompt and its server on the session so the queue panel can
+      // find it, the workflow to run it again, and how to save its outputs in
+      // case this page goes away first
+      session = {
+        ...session,
+        parameters: {
+          ...session.parameters,
+          prompt_id: promptResponse.prompt_id,
+          server: promptResponse.server,
+          workflow,
+          ingest: describeIngest({
+            metadata: {
+              prompt,
+              model: workflow[4].inputs.ckpt_name,
+              seed: workflow[3].inputs.seed,
+              width: workflow[5].inputs.width,
+              height: workflow[5].inputs.height
+            },
+            traitIds: selectedTraits.map(t => t.id)
+          })
+        }
+      };
+      try {
+        session = await SupabaseService.updateSession(session.id, { status: 'in_progress', parameters: session.parameters });
+        pendingGenerations.add(session);
+      } catch (sessionUpdateError) {
+        // The prompt runs either way, so keep following it and save its images from here
+        console.error('Failed to record the queued prompt on the session:', sessionUpdateError);
+        saveWarning = ` The session could not be updated (${sessionUpdateError.message}), so the images are only saved if this page stays open.`;
+      }
 
+      // Follow progress and latent previews over the socket; /history stays
+      // the source of truth for completion
+      comfyJobTracker.track(promptResponse.prompt_id, { workflow, server: promptResponse.server });
+      unsubscribeJobRef.current = comfyJobTracker.subscribe(promptResponse.prompt_id, setLiveJob);
 
+      // Poll /history until ComfyUI reports the outputs of this prompt
+      setStatus({ message: `Generation in progress...${saveWarning}`, error: false });
+      const historyEntry = await ComfyService.waitForHistory(promptResponse.prompt_id, {
+        onPoll: (attempt) => console.log(`Prompt ${promptResponse.prompt_id} not finished yet (poll ${attempt})`),
+        lookupPromptId: () => SupabaseService.getSessionPromptId(session.id)
+      });
 
+      const images = ComfyService.getOutputImages(historyEntry.outputs, historyEntry.server);
+      console.log("Generation complete, processing outputs:", images);
 
+      // Upload every image and record the assets, or none of them
+      await ingestOutputs(session, { promptId: historyEntry.promptId, server: historyEntry.server, images }, {
+        onProgress: (index, total) => setStatus({ message: `Saving image ${index} of ${total}...`, error: false })
+      });
 
-          
-
-          
-
-            
-         
-          // This is a back up method that also works. 
-          
-          // // If we still haven't found the output, try a direct fetch to a common output path
-          // if (!isComplete) {
-          //   console.log("Trying direct file check...");
-            
-          //   // Try a few possible filenames based on the prefix in your workflow
-          //   const possibleFilenames = [
-          //     // "postapoc_vehicle.png",
-          //     // `postapoc_vehicle_${Math.floor(Date.now() / 1000)}.png`,
-          //     `postapoc_vehicle_${generationTimestamp}_00001_.png`
-          //     // "postapoc_vehicle_00005_.png"
-          //   ];
-            
-          //   for (const filename of possibleFilenames) {
-          //     try {
-          //       const testUrl = `http://localhost:8188/view?filename=${encodeURIComponent(filename)}`;
-          //       console.log("Testing URL:", testUrl);
-                
-          //       const testResponse = await fetch(testUrl, { method: 'HEAD' });
-                
-          //       if (testResponse.ok) {
-          //         console.log("Found image at:", filename);
-          //         outputImage = { filename };
-          //         isComplete = true;
-          //         break;
-          //       }
-          //     } catch (e) {
-          //       console.log("Error checking filename:", filename, e);
-          //     }
-          //   }}
-            
-
-
-
-          
-          if (isComplete && outputImage) {
-            console.log("Generation complete, processing output:", outputImage);
-            
-            // Get the image file
-            const filename = outputImage.filename;
-            const imageUrl = `http://localhost:8188/view?filename=${encodeURIComponent(filename)}`;
-            
-            console.log("Fetching image from URL:", imageUrl);
-            const imageResponse = await fetch(imageUrl);
-            
-            if (!imageResponse.ok) {
-              throw new Error(`Failed to fetch image: ${imageResponse.status}`);
-            }
-            
-            const imageBlob = await imageResponse.blob();
-            
-            // Upload to Supabase storage
-            const storagePath = `${session.id}/${filename}`;
-            console.log("Uploading to Supabase storage:", storagePath);
-            
-            // Make sure the bucket exists
-            try {
-              // Check if the bucket exists first
-              const { data: buckets } = await supabase.storage.listBuckets();
-              const bucketExists = buckets.some(b => b.name === 'images-2d');
-              
-              if (!bucketExists) {
-                console.log("Creating storage bucket 'images-2d'");
-                await supabase.storage.createBucket('images-2d', {
-                  public: false,
-                  allowedMimeTypes: ['image/png'],
-                  fileSizeLimit: 10485760 // 10MB
-                });
-              }
-            } catch (error) {
-              console.error("Error handling bucket:", error);
-              // Continue anyway, in case the error is just with checking/creating
-            }
-            
-            const { data: uploadData, error: uploadError } = await supabase
-              .storage
-              .from('images-2d')
-              .upload(storagePath, imageBlob);
-              
-            if (uploadError) {
-              throw new Error(`Failed to upload image: ${uploadError.message}`);
-            }
-            
-            // Create asset record in database
-            console.log("Creating asset record in database");
-            const { data: assetData, error: assetError } = await supabase
-              .from('assets')
-              .insert([
-                {
-                  asset_type: 'image_2d',
-                  storage_path: `images-2d/${storagePath}`, // Make sure path includes bucket name
-                  parent_asset_id: null, // This is an original generation
-                  status: 'complete',
-                  metadata: {
-                    prompt: prompt,
-                    model: workflow[4].inputs.ckpt_name,
-                    seed: workflow[3].inputs.seed,
-                    width: workflow[5].inputs.width,
-                    height: workflow[5].inputs.height
-                  }
-                }
-              ])
-              .select();
-              
-            if (assetError) {
-              throw new Error(`Failed to create asset record: ${assetError.message}`);
-            }
-            
-            console.log("Asset created:", assetData);
-            
-            // Link asset to traits if any were selected
-            if (selectedTraits.length > 0 && assetData && assetData.length > 0) {
-              const traitLinks = selectedTraits.map(trait => ({
-                asset_id: assetData[0].id,
-                trait_id: trait.id
-              }));
-              
-              const { error: traitError } = await supabase
-                .from('asset_traits')
-                .insert(traitLinks);
-                
-              if (traitError) {
-                console.error("Failed to link traits:", traitError);
-              }
-            }
-            
-            // Link asset to session
-            if (assetData && assetData.length > 0) {
-              console.log("Linking asset to session");
-              const { error: sessionLinkError } = await supabase
-                .from('session_assets')
-                .insert([
-                  {
-                    session_id: session.id,
-                    asset_id: assetData[0].id
-                  }
-                ]);
-                
-              if (sessionLinkError) {
-                console.error("Failed to link asset to session:", sessionLinkError);
-              }
-            }
-            
-            // Update session status
-            console.log("Updating session status to completed");
-            const { error: sessionUpdateError } = await supabase
-              .from('generation_sessions')
-              .update({ status: 'completed' })
-              .eq('id', session.id);
-              
-            if (sessionUpdateError) {
-              console.error("Failed to update session status:", sessionUpdateError);
-            }
-            
-            setStatus({ 
-              message: 'Generation completed! Check the assets page to see results.', 
-              error: false 
-            });
-            setIsGenerating(false);
-            return;
-          }
-          
-          // Count polling attempts to avoid infinite loop
-          if (!window.pollingAttempts) window.pollingAttempts = 0;
-          window.pollingAttempts++;
-          
-          if (window.pollingAttempts > 15) { // 30 seconds max
-            console.log("Maximum polling attempts reached, giving up");
-            setStatus({ 
-              message: 'Generation may have completed, but we could not process the results. Check the assets page or try again.', 
-              error: true 
-            });
-            setIsGenerating(false);
-            window.pollingAttempts = 0;
-            return;
-          }
-          
-          // If we reach here, the generation is not complete yet or we couldn't find the output
-          console.log("Generation not yet complete or output not found, polling again in 2 seconds...");
-          console.log("Polling attempt:", window.pollingAttempts);
-          setTimeout(checkCompletion, 2000);
-          
-        } catch (error) {
-          console.error("Error in checkCompletion:", error);
-          setStatus({ 
-            message: `Error processing generation results: ${error.message}`, 
-            error: true 
-          });
-          setIsGenerating(false);
+      setStatus({
+        message: 'Generation completed! Check the assets page to see results.',
+        error: false
+      });
+    } catch (error) {
+      // A prompt still waiting in a long queue isn't failed; the next start saves its images
+      if (error instanceof PromptTimeoutError && error.stillQueued && !saveWarning) {
+        pendingGenerations.release(session.id);
+        released = true;
+        setStatus({
+          message: 'ComfyUI has not finished the prompt yet. It stays queued, and its images are saved the next time the app is opened.',
+          error: false
+        });
+        return;
+      }
+
+      // A refusal for the user's role is expected and explained in the status
+      if (!(error instanceof PermissionDeniedError)) {
+        console.error('Error generating asset:', error);
+        console.error('Error details:', error.response?.data || error.message);
+      }
+
+      const cancelled = error instanceof PromptCancelledError;
+
+      // A failed ingest has already marked the session failed, with the reason
+      if (session && !(error instanceof IngestError)) {
+        try {
+          await SupabaseService.updateSession(session.id, { status: cancelled ? 'cancelled' : 'failed' });
+        } catch (sessionUpdateError) {
+          console.error("Failed to update session status:", sessionUpdateError);
         }
-      };
+      }
 
-      
-      // Start polling for completion
-      setTimeout(checkCompletion, 2000);
-      
-    } catch (error) {
-      console.error('Error generating asset:', error);
-      console.error('Error details:', error.response?.data || error.message);
-      setStatus({ 
-        message: `Error generating asset: ${error.message}. Check console for details.`, 
-        error: true 
+      if (error instanceof WorkflowValidationError || error instanceof PromptRejectedError) {
+        const { fields, general } = mapErrorToFields(error, VEHICLE_WORKFLOW_FIELDS);
+        setFieldErrors(fields);
+        setStatus({
+          message: Object.keys(fields).length > 0
+            ? 'ComfyUI cannot run this generation. Check the highlighted fields.'
+            : 'This ComfyUI server cannot run the workflow:',
+          problems: general,
+          error: true
+        });
+        return;
+      }
+
+      setStatus({
+        message: cancelled
+          ? `Generation cancelled: ${error.message}.`
+          : error instanceof PermissionDeniedError
+            ? error.message
+            : `Error generating asset: ${error.message}. Check console for details.`,
+        error: true
       });
+    } finally {
+      if (session && !released) {
+        pendingGenerations.remove(session.id);
+      }
+      unsubscribeJobRef.current?.();
+      unsubscribeJobRef.current = null;
+      setLiveJob(null);
       setIsGenerating(false);
     }
   };
 
+  const handleAbort = async () => {
+    if (!liveJob) return;
+    setIsAborting(true);
+    try {
+      await comfyJobTracker.cancel(liveJob.promptId);
+    } catch (error) {
+      console.error('Error cancelling generation:', error);
+    } finally {
+      setIsAborting(false);
+    }
+  };
+
   return (
     <FormContainer>
       <h2>Generate New Vehicle</h2>
@@ -445,10 +347,15 @@ const GenerationForm = () => {
           <TextArea
             id="prompt"
             value={prompt}
-            onChange={(e) => setPrompt(e.target.value)}
+            invalid={!!fieldErrors.prompt}
+            onChange={(e) => {
+              setPrompt(e.target.value);
+              clearFieldError('prompt');
+            }}
             placeholder="Describe the vehicle (e.g., post-apocalyptic car with large wheels)"
             required
           />
+          {(fieldErrors.prompt || []).map(message => <FieldError key={message}>{message}</FieldError>)}
         </FormGroup>
 
         <FormGroup>
@@ -471,13 +378,34 @@ const GenerationForm = () => {
           </TraitSelectionContainer>
         </FormGroup>
 
+        <WorkflowSettingsFields
+          settings={settings}
+          onChange={handleSettingsChange}
+          errors={fieldErrors}
+        />
+
         <Button type="submit" disabled={isGenerating || !prompt}>
           {isGenerating ? 'Generating...' : 'Generate Vehicle'}
         </Button>
       </Form>
 
+      {isGenerating && liveJob && (
+        <GenerationPreview
+          previewUrl={liveJob.preview?.url}
+          progress={liveJob.progress.percent}
+          label={liveJob.status === 'queued' ? 'Waiting in queue...' : undefined}
+          onAbort={handleAbort}
+          aborting={isAborting}
+        />
+      )}
+
       <StatusMessage visible={status.message} error={status.error}>
         {status.message}
+        {status.problems?.length > 0 && (
+          <ProblemList>
+            {status.problems.map(problem => <li key={problem}>{problem}</li>)}
+          </ProblemList>
+        )}
       </StatusMessage>
     </FormContainer>
   );
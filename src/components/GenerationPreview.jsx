@@ -0,0 +1,78 @@
+// src/components/GenerationPreview.jsx
+import React from 'react';
+import styled from 'styled-components';
+import ProgressBar from './ProgressBar';
+
+const PreviewContainer = styled.div`
+  display: flex;
+  gap: 16px;
+  align-items: center;
+  margin-top: 16px;
+`;
+
+const PreviewFrame = styled.div`
+  width: 160px;
+  height: 160px;
+  flex-shrink: 0;
+  border-radius: 6px;
+  background-color: #f0f0f0;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  overflow: hidden;
+  color: #999;
+  font-size: 0.8rem;
+  text-align: center;
+`;
+
+const PreviewImage = styled.img`
+  width: 100%;
+  height: 100%;
+  object-fit: contain;
+`;
+
+const ProgressColumn = styled.div`
+  flex: 1;
+  display: flex;
+  flex-direction: column;
+  gap: 12px;
+`;
+
+const AbortButton = styled.button`
+  align-self: flex-start;
+  background-color: #c62828;
+
+  &:hover {
+    background-color: #b71c1c;
+  }
+
+  &:disabled {
+    background-color: #cccccc;
+    cursor: not-allowed;
+  }
+`;
+
+/**
+ * Live latent preview of a running generation next to its progress bar
+ */
+const GenerationPreview = ({ previewUrl, progress, label, onAbort, aborting = false }) => {
+  return (
+    <PreviewContainer>
+      <PreviewFrame>
+        {previewUrl
+          ? <PreviewImage src={previewUrl} alt="Generation preview" />
+          : 'Waiting for preview...'}
+      </PreviewFrame>
+      <ProgressColumn>
+        <ProgressBar value={progress} label={label} />
+        {onAbort && (
+          <AbortButton type="button" onClick={onAbort} disabled={aborting}>
+            {aborting ? 'Aborting...' : 'Abort Generation'}
+          </AbortButton>
+        )}
+      </ProgressColumn>
+    </PreviewContainer>
+  );
+};
+
+export default GenerationPreview;
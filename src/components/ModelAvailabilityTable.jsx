@@ -0,0 +1,106 @@
+// src/components/ModelAvailabilityTable.jsx
+import React from 'react';
+import styled from 'styled-components';
+
+const KIND_LABELS = {
+  checkpoint: 'Checkpoint',
+  vae: 'VAE',
+  lora: 'LoRA',
+  upscaler: 'Upscaler'
+};
+
+const Table = styled.table`
+  width: 100%;
+  margin-top: 8px;
+  border-collapse: collapse;
+  font-size: 0.85rem;
+
+  th, td {
+    padding: 6px 8px;
+    text-align: left;
+    vertical-align: top;
+    border-bottom: 1px solid #ddd;
+  }
+
+  th {
+    color: #555;
+    font-weight: normal;
+  }
+`;
+
+const Row = styled.tr`
+  background-color: ${props => props.missing ? '#ffebee' : 'transparent'};
+`;
+
+const FileName = styled.code`
+  word-break: break-all;
+`;
+
+const Availability = styled.span`
+  font-weight: bold;
+  color: ${props => props.missing ? '#c62828' : '#2e7d32'};
+`;
+
+const Counts = styled.p`
+  margin-top: 8px;
+  color: #777;
+  font-size: 0.85rem;
+`;
+
+/**
+ * The model files our workflows reference and whether a server has them, from
+ * the details of the diagnostics `models` check. Missing files come first,
+ * with the installed files whose names are closest.
+ * @param {Object} props
+ * @param {Array} props.models - Referenced models: kind, file, usedBy, available, suggestions
+ * @param {Object} props.installed - Number of files the server has per kind
+ */
+const ModelAvailabilityTable = ({ models, installed = {} }) => {
+  const sorted = [...models].sort((a, b) => Number(a.available) - Number(b.available));
+  const missingCount = models.filter(model => !model.available).length;
+
+  return (
+    <div>
+      <h4>{missingCount > 0 ? `${missingCount} missing on this server` : 'Everything our workflows use is installed'}</h4>
+      <Table>
+        <thead>
+          <tr>
+            <th>Type</th>
+            <th>File</th>
+            <th>Used by</th>
+            <th>On server</th>
+            <th>Closest matches</th>
+          </tr>
+        </thead>
+        <tbody>
+          {sorted.map(model => (
+            <Row key={`${model.classType}:${model.file}`} missing={!model.available}>
+              <td>{KIND_LABELS[model.kind] || model.kind}</td>
+              <td><FileName>{model.file}</FileName></td>
+              <td>{model.usedBy.join(', ')}</td>
+              <td>
+                <Availability missing={!model.available}>{model.available ? 'Installed' : 'Missing'}</Availability>
+              </td>
+              <td>
+                {model.available && '-'}
+                {!model.available && model.suggestions.length === 0 && 'No similar file installed'}
+                {model.suggestions.map(suggestion => (
+                  <div key={suggestion.value}>
+                    <FileName>{suggestion.value}</FileName> ({Math.round(suggestion.similarity * 100)}%)
+                  </div>
+                ))}
+              </td>
+            </Row>
+          ))}
+        </tbody>
+      </Table>
+      <Counts>
+        Installed on this server: {Object.entries(installed)
+          .map(([kind, count]) => `${count} ${KIND_LABELS[kind] || kind}${count === 1 ? '' : 's'}`)
+          .join(', ')}
+      </Counts>
+    </div>
+  );
+};
+
+export default ModelAvailabilityTable;
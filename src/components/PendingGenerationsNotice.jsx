@@ -0,0 +1,95 @@
+// src/components/PendingGenerationsNotice.jsx
+import React, { useEffect, useState } from 'react';
+import styled from 'styled-components';
+import { Link } from 'react-router-dom';
+import pendingGenerations from '../services/pendingGenerations';
+
+const ACTIVE_STATUSES = ['checking', 'waiting', 'saving'];
+
+const STATUS_COLORS = {
+  completed: '#2e7d32',
+  failed: '#c62828',
+  cancelled: '#757575',
+  postponed: '#f57c00',
+  unreachable: '#f57c00'
+};
+
+const Notice = styled.div`
+  background-color: #fff8e1;
+  border-bottom: 1px solid #ffe082;
+  padding: 12px 24px;
+`;
+
+const NoticeContent = styled.div`
+  max-width: 1200px;
+  margin: 0 auto;
+  display: flex;
+  justify-content: space-between;
+  align-items: flex-start;
+  gap: 16px;
+`;
+
+const List = styled.ul`
+  margin: 8px 0 0;
+  padding-left: 20px;
+  font-size: 0.9rem;
+`;
+
+const Status = styled.span`
+  font-weight: bold;
+  color: ${props => STATUS_COLORS[props.status] || '#333'};
+`;
+
+const DismissButton = styled.button`
+  background: none;
+  border: 1px solid #bbb;
+  border-radius: 4px;
+  padding: 4px 10px;
+  cursor: pointer;
+`;
+
+/**
+ * Shows what happens to generations picked up after a reload, see
+ * services/pendingGenerations. Starts the pick-up when first mounted.
+ */
+const PendingGenerationsNotice = () => {
+  const [recoveries, setRecoveries] = useState(pendingGenerations.getRecoveries());
+
+  useEffect(() => {
+    pendingGenerations.addEventListener('change', setRecoveries);
+    pendingGenerations.resume();
+    return () => pendingGenerations.removeEventListener('change', setRecoveries);
+  }, []);
+
+  if (recoveries.length === 0) return null;
+
+  const active = recoveries.some(recovery => ACTIVE_STATUSES.includes(recovery.status));
+
+  return (
+    <Notice role="status">
+      <NoticeContent>
+        <div>
+          <strong>
+            {active
+              ? 'Finishing generations that were still running when the page was closed...'
+              : 'Generations from an earlier visit were picked up.'}
+          </strong>
+          <List>
+            {recoveries.map(recovery => (
+              <li key={recovery.sessionId}>
+                <Link to="/sessions">Session {recovery.sessionId.slice(0, 8)}</Link>
+                {' '}(prompt {recovery.promptId.slice(0, 8)}):{' '}
+                <Status status={recovery.status}>{recovery.status}</Status> — {recovery.message}
+              </li>
+            ))}
+          </List>
+        </div>
+        {!active && (
+          <DismissButton onClick={() => pendingGenerations.dismiss()}>Dismiss</DismissButton>
+        )}
+      </NoticeContent>
+    </Notice>
+  );
+};
+
+export default PendingGenerationsNotice;
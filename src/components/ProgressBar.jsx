@@ -0,0 +1,40 @@
+// src/components/ProgressBar.jsx
+import React from 'react';
+import styled from 'styled-components';
+
+const Track = styled.div`
+  width: 100%;
+  height: 12px;
+  background-color: #e0e0e0;
+  border-radius: 6px;
+  overflow: hidden;
+`;
+
+const Fill = styled.div`
+  height: 100%;
+  width: ${props => props.value}%;
+  background-color: #007bff;
+  transition: width 0.3s ease;
+`;
+
+const Label = styled.div`
+  margin-top: 4px;
+  font-size: 0.85rem;
+  color: #555;
+  text-align: right;
+`;
+
+const ProgressBar = ({ value = 0, label }) => {
+  const clamped = Math.max(0, Math.min(100, value));
+
+  return (
+    <div>
+      <Track role="progressbar" aria-valuenow={clamped} aria-valuemin={0} aria-valuemax={100}>
+        <Fill value={clamped} />
+      </Track>
+      <Label>{label || `${clamped}%`}</Label>
+    </div>
+  );
+};
+
+export default ProgressBar;
@@ -0,0 +1,51 @@
+// src/components/ProtectedRoute.jsx
+import React from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import styled from 'styled-components';
+import useAuth from '../hooks/useAuth';
+
+const Checking = styled.p`
+  text-align: center;
+  color: #666;
+  padding: 40px;
+`;
+
+const Forbidden = styled.div`
+  max-width: 600px;
+  margin: 40px auto;
+  padding: 24px;
+  text-align: center;
+  color: #555;
+`;
+
+/**
+ * Renders its children for signed-in users and sends everyone else to the
+ * sign-in page, which returns them here afterwards.
+ * @param {Object} props
+ * @param {string} props.permission - Also require this permission, see services/permissions
+ */
+const ProtectedRoute = ({ children, permission }) => {
+  const { user, role, ready, can } = useAuth();
+  const location = useLocation();
+
+  if (!ready) {
+    return <Checking>Checking sign-in...</Checking>;
+  }
+
+  if (!user) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  if (permission && !can(permission)) {
+    return (
+      <Forbidden>
+        <h2>Not available to your role</h2>
+        <p>You are signed in as a {role}. Ask an admin if you need access to this page.</p>
+      </Forbidden>
+    );
+  }
+
+  return children;
+};
+
+export default ProtectedRoute;
@@ -0,0 +1,297 @@
+// src/components/QueuePanel.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import styled from 'styled-components';
+import ComfyService from '../services/comfyService';
+import SupabaseService from '../services/supabaseService';
+import comfyServerPool from '../services/comfyServerPool';
+
+const POLL_INTERVAL = 3000; // ms
+
+const PanelContainer = styled.div`
+  background-color: #fff;
+  border-radius: 8px;
+  padding: 24px;
+  box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);
+  max-width: 600px;
+  margin: 24px auto 0;
+`;
+
+const PanelHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  margin-bottom: 12px;
+`;
+
+const SectionTitle = styled.h3`
+  margin: 16px 0 8px;
+  color: #333;
+  font-size: 1rem;
+`;
+
+const QueueList = styled.ul`
+  list-style: none;
+  display: flex;
+  flex-direction: column;
+  gap: 8px;
+`;
+
+const QueueItem = styled.li`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 12px;
+  padding: 10px 12px;
+  border: 1px solid #e0e0e0;
+  border-radius: 6px;
+  background-color: ${props => props.running ? '#fff8e1' : '#f9f9f9'};
+`;
+
+const ItemDetails = styled.div`
+  font-size: 0.9rem;
+  color: #555;
+  overflow: hidden;
+
+  div:first-child {
+    font-weight: bold;
+    color: #333;
+  }
+`;
+
+const ActionButton = styled.button`
+  flex-shrink: 0;
+  padding: 6px 12px;
+  font-size: 0.85rem;
+  background-color: ${props => props.danger ? '#c62828' : '#007bff'};
+
+  &:hover {
+    background-color: ${props => props.danger ? '#b71c1c' : '#0069d9'};
+  }
+
+  &:disabled {
+    background-color: #cccccc;
+    cursor: not-allowed;
+  }
+`;
+
+const ItemActions = styled.div`
+  display: flex;
+  gap: 6px;
+`;
+
+const EmptyText = styled.p`
+  color: #888;
+  font-size: 0.9rem;
+`;
+
+const ErrorText = styled.p`
+  color: #c62828;
+  font-size: 0.9rem;
+`;
+
+// /queue entries are [number, prompt_id, prompt, extra_data, outputs_to_execute]
+const toQueueItem = (server) => ([number, promptId, , extraData]) => ({
+  number,
+  promptId,
+  server,
+  clientId: extraData?.client_id
+});
+
+const QueuePanel = () => {
+  const [running, setRunning] = useState([]);
+  const [pending, setPending] = useState([]);
+  const [sessions, setSessions] = useState({});
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const multipleServers = comfyServerPool.getServers().length > 1;
+
+  const loadQueue = useCallback(async () => {
+    try {
+      // One server being down shouldn't hide the queues of the others
+      const results = await Promise.allSettled(comfyServerPool.getServers().map(async server => ({
+        server: server.id,
+        queue: await ComfyService.getQueue(server.id)
+      })));
+      const queues = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+      const failures = results.filter(result => result.status === 'rejected');
+
+      if (queues.length === 0) {
+        throw failures[0].reason;
+      }
+
+      const runningItems = queues.flatMap(({ server, queue }) => (queue.queue_running || []).map(toQueueItem(server)));
+      const pendingItems = queues
+        .flatMap(({ server, queue }) => (queue.queue_pending || []).map(toQueueItem(server)))
+        .sort((a, b) => a.number - b.number);
+
+      setRunning(runningItems);
+      setPending(pendingItems);
+      setError(failures.length > 0
+        ? `Could not reach ${failures.length} of ${results.length} ComfyUI servers: ${failures[0].reason.message}`
+        : null);
+
+      const promptIds = [...runningItems, ...pendingItems].map(item => item.promptId);
+      const sessionRows = await SupabaseService.getSessionsByPromptIds(promptIds);
+      setSessions(Object.fromEntries(sessionRows.map(session => [session.parameters.prompt_id, session])));
+    } catch (err) {
+      console.error('Error loading queue:', err);
+      setError(`Could not load the ComfyUI queue: ${err.message}`);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadQueue();
+    const interval = setInterval(loadQueue, POLL_INTERVAL);
+    return () => clearInterval(interval);
+  }, [loadQueue]);
+
+  // Run a queue action, then mark the affected sessions cancelled
+  const runAction = async (action, promptIds) => {
+    setBusy(true);
+    try {
+      await action();
+
+      const affected = promptIds.map(id => sessions[id]).filter(Boolean);
+      await Promise.all(affected.map(session =>
+        SupabaseService.updateSession(session.id, { status: 'cancelled' })
+      ));
+    } catch (err) {
+      console.error('Queue action failed:', err);
+      setError(`Queue action failed: ${err.message}`);
+    } finally {
+      setBusy(false);
+      loadQueue();
+    }
+  };
+
+  const handleCancel = (item) =>
+    runAction(() => ComfyService.deleteFromQueue([item.promptId], item.server), [item.promptId]);
+
+  const handleInterrupt = (item) =>
+    runAction(() => ComfyService.interrupt(item.promptId, item.server), [item.promptId]);
+
+  // Move a pending prompt past its neighbour on the same server, by giving it a
+  // priority number between the next two prompts in that direction
+  const handleMove = async (item, direction) => {
+    const serverQueue = pending.filter(entry => entry.server === item.server);
+    const index = serverQueue.indexOf(item);
+    const passed = serverQueue[index + direction];
+    if (!passed) return;
+    const beyond = serverQueue[index + direction * 2];
+    const number = beyond ? (passed.number + beyond.number) / 2 : passed.number + direction;
+
+    setBusy(true);
+    try {
+      const moved = await ComfyService.movePrompt(item.promptId, number, item.server);
+      const session = sessions[item.promptId];
+      // Servers that don't take our prompt_id queue it under a new one
+      if (session && moved.prompt_id !== item.promptId) {
+        await SupabaseService.updateSession(session.id, {
+          parameters: { ...session.parameters, prompt_id: moved.prompt_id }
+        });
+      }
+    } catch (err) {
+      console.error('Moving the prompt failed:', err);
+      setError(`Could not move the prompt: ${err.message}`);
+    } finally {
+      setBusy(false);
+      loadQueue();
+    }
+  };
+
+  const handleClear = () => {
+    if (!window.confirm(`Remove all ${pending.length} pending prompts from the queue?`)) return;
+    const pendingServers = [...new Set(pending.map(item => item.server))];
+    runAction(
+      () => Promise.all(pendingServers.map(server => ComfyService.clearQueue(server))),
+      pending.map(item => item.promptId)
+    );
+  };
+
+  const renderDetails = (item) => {
+    const session = sessions[item.promptId];
+    const prompt = session?.parameters?.prompt || session?.parameters?.name;
+
+    return (
+      <ItemDetails>
+        <div>
+          {session
+            ? <Link to={`/sessions/${session.id}`}>Session {session.id.substring(0, 8)}</Link>
+            : `Prompt ${item.promptId.substring(0, 8)}`}
+        </div>
+        {prompt && <div>{prompt.length > 60 ? `${prompt.substring(0, 60)}...` : prompt}</div>}
+        {!session && <div>Not started from this app</div>}
+        {multipleServers && <div>on {item.server}</div>}
+      </ItemDetails>
+    );
+  };
+
+  return (
+    <PanelContainer>
+      <PanelHeader>
+        <h2>ComfyUI Queue</h2>
+        <ActionButton danger onClick={handleClear} disabled={busy || pending.length === 0}>
+          Clear Queue
+        </ActionButton>
+      </PanelHeader>
+
+      {error && <ErrorText>{error}</ErrorText>}
+
+      <SectionTitle>Running</SectionTitle>
+      {running.length > 0 ? (
+        <QueueList>
+          {running.map(item => (
+            <QueueItem key={item.promptId} running>
+              {renderDetails(item)}
+              <ActionButton danger onClick={() => handleInterrupt(item)} disabled={busy}>
+                Interrupt
+              </ActionButton>
+            </QueueItem>
+          ))}
+        </QueueList>
+      ) : (
+        <EmptyText>Nothing is running.</EmptyText>
+      )}
+
+      <SectionTitle>Pending ({pending.length})</SectionTitle>
+      {pending.length > 0 ? (
+        <QueueList>
+          {pending.map(item => {
+            const serverQueue = pending.filter(entry => entry.server === item.server);
+            const position = serverQueue.indexOf(item);
+            return (
+              <QueueItem key={item.promptId}>
+                {renderDetails(item)}
+                <ItemActions>
+                  <ActionButton
+                    onClick={() => handleMove(item, -1)}
+                    disabled={busy || position === 0}
+                    title="Move up"
+                  >
+                    ↑
+                  </ActionButton>
+                  <ActionButton
+                    onClick={() => handleMove(item, 1)}
+                    disabled={busy || position === serverQueue.length - 1}
+                    title="Move down"
+                  >
+                    ↓
+                  </ActionButton>
+                  <ActionButton onClick={() => handleCancel(item)} disabled={busy}>
+                    Cancel
+                  </ActionButton>
+                </ItemActions>
+              </QueueItem>
+            );
+          })}
+        </QueueList>
+      ) : (
+        <EmptyText>The queue is empty.</EmptyText>
+      )}
+    </PanelContainer>
+  );
+};
+
+export default QueuePanel;
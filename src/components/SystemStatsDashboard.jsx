@@ -0,0 +1,202 @@
+// src/components/SystemStatsDashboard.jsx
+import React, { useState, useEffect } from 'react';
+import styled from 'styled-components';
+import config from '../config';
+import ComfyService from '../services/comfyService';
+import comfyStatsMonitor, { HISTORY_WINDOW_MS } from '../services/comfyStatsMonitor';
+import VramChart from './VramChart';
+import useAuth from '../hooks/useAuth';
+
+// Samples further apart than this leave a gap in the chart
+const GAP_MS = Math.max(30 * 1000, config.statsPollIntervalMs * 3);
+
+const PanelContainer = styled.div`
+  background-color: #fff;
+  border-radius: 8px;
+  padding: 24px;
+  box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);
+  margin-bottom: 24px;
+`;
+
+const ServerCard = styled.div`
+  border-top: 1px solid #e0e0e0;
+  padding-top: 16px;
+  margin-top: 16px;
+`;
+
+const ServerHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 12px;
+  flex-wrap: wrap;
+
+  h3 {
+    margin: 0;
+    font-size: 1rem;
+  }
+`;
+
+const Facts = styled.dl`
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(160px, 1fr));
+  gap: 8px 16px;
+  margin: 12px 0;
+  font-size: 0.9rem;
+
+  dt {
+    color: #777;
+    font-size: 0.8rem;
+  }
+
+  dd {
+    margin: 0;
+    color: #333;
+  }
+`;
+
+const DeviceSection = styled.div`
+  margin-top: 12px;
+
+  h4 {
+    margin: 0 0 4px;
+    font-size: 0.95rem;
+  }
+`;
+
+const ActionButton = styled.button`
+  padding: 6px 12px;
+  font-size: 0.85rem;
+  background-color: #c62828;
+
+  &:hover {
+    background-color: #b71c1c;
+  }
+
+  &:disabled {
+    background-color: #cccccc;
+    cursor: not-allowed;
+  }
+`;
+
+const StatusText = styled.p`
+  color: ${props => props.error ? '#c62828' : '#2e7d32'};
+  font-size: 0.85rem;
+  margin: 6px 0 0;
+`;
+
+const formatBytes = (bytes) => (bytes === undefined || bytes === null ? '-' : `${(bytes / 1024 ** 3).toFixed(1)} GB`);
+
+const devicePoints = (samples, index) => samples
+  .filter(sample => sample.devices[index])
+  .map(sample => {
+    const device = sample.devices[index];
+    return {
+      time: sample.time,
+      used: device.vram_total - device.vram_free,
+      torchReserved: device.torch_vram_total
+    };
+  });
+
+/**
+ * Versions, RAM and per-device VRAM of every ComfyUI server, with an hour of
+ * VRAM history marked with our generations, and a button to unload models
+ * through /free, e.g. before switching between SDXL and SD1.5 workflows.
+ */
+const SystemStatsDashboard = () => {
+  const [state, setState] = useState(() => comfyStatsMonitor.getState());
+  const [freeing, setFreeing] = useState({});
+  const [messages, setMessages] = useState({});
+  const { can } = useAuth();
+  // Unloading models slows down everyone's next generation on that server
+  const canFree = can('manageServers');
+
+  useEffect(() => comfyStatsMonitor.subscribe(setState), []);
+
+  const handleFree = async (serverId) => {
+    setFreeing(prev => ({ ...prev, [serverId]: true }));
+    setMessages(prev => ({ ...prev, [serverId]: null }));
+    try {
+      await ComfyService.freeMemory({ unloadModels: true, freeMemory: true }, serverId);
+      setMessages(prev => ({
+        ...prev,
+        [serverId]: { text: 'Requested. ComfyUI unloads the models once the running prompt, if any, is done.', error: false }
+      }));
+      await comfyStatsMonitor.refresh();
+    } catch (error) {
+      setMessages(prev => ({ ...prev, [serverId]: { text: `Could not free memory: ${error.message}`, error: true } }));
+    } finally {
+      setFreeing(prev => ({ ...prev, [serverId]: false }));
+    }
+  };
+
+  const start = state.now - HISTORY_WINDOW_MS;
+
+  return (
+    <PanelContainer>
+      <h2>Server Stats</h2>
+      <p>
+        VRAM over the last hour, sampled every {Math.round(config.statsPollIntervalMs / 1000)}s while this page is
+        open. Shaded bands are generations started from this tab.
+      </p>
+
+      {state.servers.map(server => {
+        const system = server.stats?.system || {};
+        const devices = server.stats?.devices || [];
+        const generations = state.generations.filter(generation => generation.serverId === server.id);
+
+        return (
+          <ServerCard key={server.id}>
+            <ServerHeader>
+              <h3>{server.url}</h3>
+              <ActionButton
+                onClick={() => handleFree(server.id)}
+                disabled={freeing[server.id] || !server.stats || !canFree}
+                title={canFree ? undefined : 'Only admins can unload models'}
+              >
+                {freeing[server.id] ? 'Freeing...' : 'Free Memory & Unload Models'}
+              </ActionButton>
+            </ServerHeader>
+
+            {messages[server.id] && (
+              <StatusText error={messages[server.id].error}>{messages[server.id].text}</StatusText>
+            )}
+            {server.error && <StatusText error>Last check failed: {server.error}</StatusText>}
+            {!server.stats && !server.error && <p>Loading...</p>}
+
+            {server.stats && (
+              <Facts>
+                <div><dt>ComfyUI</dt><dd>{system.comfyui_version || 'unknown'}</dd></div>
+                <div><dt>Python</dt><dd>{system.python_version || 'unknown'}</dd></div>
+                <div><dt>PyTorch</dt><dd>{system.pytorch_version || 'unknown'}</dd></div>
+                <div><dt>RAM free / total</dt><dd>{formatBytes(system.ram_free)} / {formatBytes(system.ram_total)}</dd></div>
+              </Facts>
+            )}
+
+            {devices.map((device, index) => (
+              <DeviceSection key={`${device.name}-${index}`}>
+                <h4>{device.name} ({device.type})</h4>
+                <Facts>
+                  <div><dt>VRAM free / total</dt><dd>{formatBytes(device.vram_free)} / {formatBytes(device.vram_total)}</dd></div>
+                  <div><dt>Torch VRAM free / reserved</dt><dd>{formatBytes(device.torch_vram_free)} / {formatBytes(device.torch_vram_total)}</dd></div>
+                </Facts>
+                {device.vram_total > 0 && (
+                  <VramChart
+                    points={devicePoints(server.samples, index)}
+                    total={device.vram_total}
+                    generations={generations}
+                    start={start}
+                    end={state.now}
+                    gapMs={GAP_MS}
+                  />
+                )}
+              </DeviceSection>
+            ))}
+          </ServerCard>
+        );
+      })}
+    </PanelContainer>
+  );
+};
+
+export default SystemStatsDashboard;
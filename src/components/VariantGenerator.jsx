@@ -0,0 +1,361 @@
+// src/components/VariantGenerator.jsx
+import React, { useState, useEffect, useRef } from 'react';
+import styled from 'styled-components';
+import ComfyService, { VARIANT_WORKFLOW_FIELDS } from '../services/comfyService';
+import {
+  PromptCancelledError,
+  PromptRejectedError,
+  WorkflowValidationError,
+  mapErrorToFields
+} from '../services/comfyErrors';
+import comfyJobTracker from '../services/comfyJobTracker';
+import pendingGenerations from '../services/pendingGenerations';
+import { describeIngest, ingestOutputs, IngestError } from '../services/generationIngest';
+import SupabaseService from '../services/supabaseService';
+import GenerationPreview from './GenerationPreview';
+import ErrorDisplay from './ErrorDisplay';
+import { FieldError } from './WorkflowSettingsFields';
+
+const PanelContainer = styled.div`
+  background-color: #fff;
+  border: 1px solid #e0e0e0;
+  border-radius: 8px;
+  padding: 20px;
+  margin-bottom: 30px;
+`;
+
+const Form = styled.form`
+  display: flex;
+  flex-direction: column;
+  gap: 14px;
+`;
+
+const FormGroup = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 6px;
+`;
+
+const Label = styled.label`
+  font-weight: bold;
+  color: #333;
+`;
+
+const TextArea = styled.textarea`
+  padding: 10px;
+  border: 1px solid ${props => props.invalid ? '#c62828' : '#ddd'};
+  border-radius: 4px;
+  font-size: 1rem;
+  min-height: 70px;
+`;
+
+const DropZone = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 12px;
+  padding: 12px;
+  border: 2px dashed ${props => props.invalid ? '#c62828' : props.active ? '#007bff' : '#ccc'};
+  border-radius: 6px;
+  background-color: ${props => props.active ? '#e6f3ff' : '#fafafa'};
+  color: #555;
+  font-size: 0.9rem;
+  cursor: pointer;
+
+  img {
+    width: 64px;
+    height: 64px;
+    object-fit: cover;
+    border-radius: 4px;
+  }
+`;
+
+const HelpText = styled.span`
+  color: #777;
+  font-size: 0.85rem;
+`;
+
+const StatusText = styled.p`
+  color: ${props => props.error ? '#c62828' : '#2e7d32'};
+  font-size: 0.9rem;
+`;
+
+/**
+ * Generate image-to-image variants of an image_2d asset. The source is the
+ * asset itself unless a reference image is dropped in; either way the
+ * results are saved as children of the asset.
+ * @param {Object} props
+ * @param {Object} props.asset - The parent image_2d asset
+ * @param {string} props.assetUrl - Signed URL of the asset image
+ * @param {Function} props.onCreated - Called with the new child assets
+ */
+const VariantGenerator = ({ asset, assetUrl, onCreated }) => {
+  const [prompt, setPrompt] = useState(asset.metadata?.prompt || '');
+  const [denoise, setDenoise] = useState(0.6);
+  const [referenceFile, setReferenceFile] = useState(null);
+  const [referenceUrl, setReferenceUrl] = useState(null);
+  const [dragActive, setDragActive] = useState(false);
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [liveJob, setLiveJob] = useState(null);
+  const [isAborting, setIsAborting] = useState(false);
+  const [status, setStatus] = useState({ message: '', error: false });
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [generalErrors, setGeneralErrors] = useState([]);
+  const fileInputRef = useRef(null);
+  const unsubscribeJobRef = useRef(null);
+
+  useEffect(() => () => unsubscribeJobRef.current?.(), []);
+
+  // Object URL for the thumbnail of a dropped reference image
+  useEffect(() => {
+    if (!referenceFile) {
+      setReferenceUrl(null);
+      return undefined;
+    }
+    const objectUrl = URL.createObjectURL(referenceFile);
+    setReferenceUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [referenceFile]);
+
+  const chooseReference = (file) => {
+    if (!file) return;
+    if (!file.type.startsWith('image/')) {
+      setStatus({ message: `${file.name} is not an image`, error: true });
+      return;
+    }
+    setReferenceFile(file);
+    setFieldErrors(prev => {
+      const { image: _cleared, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragActive(false);
+    chooseReference(e.dataTransfer.files?.[0]);
+  };
+
+  // Put the source image into the input folder of the server that will run
+  // the variant and return its LoadImage name
+  const uploadSource = async (server) => {
+    const source = referenceFile || await SupabaseService.downloadFile(asset.storage_path);
+    const uploaded = await ComfyService.uploadImage(source, {
+      filename: referenceFile ? referenceFile.name : `asset_${asset.id}.${asset.storage_path.split('.').pop()}`,
+      subfolder: 'variants',
+      overwrite: true,
+      server
+    });
+
+    return uploaded.subfolder ? `${uploaded.subfolder}/${uploaded.name}` : uploaded.name;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsGenerating(true);
+    setFieldErrors({});
+    setGeneralErrors([]);
+
+    let session = null;
+
+    try {
+      setStatus({ message: 'Uploading source image...', error: false });
+      const server = await ComfyService.pickServer();
+      const sourceImage = await uploadSource(server.id);
+
+      const { workflow } = ComfyService.createVariantWorkflow(prompt, sourceImage, {
+        denoise,
+        ...(asset.metadata?.model && { checkpoint: asset.metadata.model })
+      });
+      await ComfyService.validateWorkflow(workflow, { server: server.id });
+
+      session = await SupabaseService.createSession({
+        prompt,
+        parent_asset_id: asset.id,
+        denoise,
+        source: 'variant'
+      });
+
+      setStatus({ message: 'Queuing variant...', error: false });
+      // The variant has to run where its source image was uploaded
+      const { prompt_id: promptId } = await ComfyService.queuePrompt(workflow, { server: server.id });
+      session = await SupabaseService.updateSession(session.id, {
+        status: 'in_progress',
+        parameters: {
+          ...session.parameters,
+          prompt_id: promptId,
+          server: server.id,
+          workflow,
+          ingest: describeIngest({
+            metadata: {
+              prompt,
+              model: workflow[4].inputs.ckpt_name,
+              seed: workflow[3].inputs.seed,
+              denoise: workflow[3].inputs.denoise,
+              source_image: workflow[10].inputs.image,
+              reference_upload: Boolean(referenceFile)
+            },
+            parentAssetId: asset.id
+          })
+        }
+      });
+      pendingGenerations.add(session);
+
+      comfyJobTracker.track(promptId, { workflow, server: server.id });
+      unsubscribeJobRef.current = comfyJobTracker.subscribe(promptId, setLiveJob);
+
+      setStatus({ message: 'Generating variant...', error: false });
+      const historyEntry = await ComfyService.waitForHistory(promptId, {
+        lookupPromptId: () => SupabaseService.getSessionPromptId(session.id)
+      });
+      const images = ComfyService.getOutputImages(historyEntry.outputs, historyEntry.server);
+
+      setStatus({ message: 'Saving variant...', error: false });
+      const { assets: children } = await ingestOutputs(session, {
+        promptId: historyEntry.promptId,
+        server: historyEntry.server,
+        images
+      });
+      setStatus({ message: `Saved ${children.length} variant${children.length === 1 ? '' : 's'}.`, error: false });
+      onCreated?.(children);
+    } catch (error) {
+      console.error('Error generating variant:', error);
+
+      const cancelled = error instanceof PromptCancelledError;
+      // A failed ingest has already marked the session failed, with the reason
+      if (session && !(error instanceof IngestError)) {
+        try {
+          await SupabaseService.updateSession(session.id, { status: cancelled ? 'cancelled' : 'failed' });
+        } catch (sessionUpdateError) {
+          console.error('Failed to update session status:', sessionUpdateError);
+        }
+      }
+
+      if (error instanceof WorkflowValidationError || error instanceof PromptRejectedError) {
+        const { fields, general } = mapErrorToFields(error, VARIANT_WORKFLOW_FIELDS);
+        setFieldErrors(fields);
+        setGeneralErrors(general);
+        setStatus({ message: '', error: true });
+        return;
+      }
+
+      setStatus({
+        message: cancelled ? `Variant cancelled: ${error.message}.` : `Error generating variant: ${error.message}`,
+        error: true
+      });
+    } finally {
+      if (session) {
+        pendingGenerations.remove(session.id);
+      }
+      unsubscribeJobRef.current?.();
+      unsubscribeJobRef.current = null;
+      setLiveJob(null);
+      setIsGenerating(false);
+    }
+  };
+
+  const handleAbort = async () => {
+    if (!liveJob) return;
+    setIsAborting(true);
+    try {
+      await comfyJobTracker.cancel(liveJob.promptId);
+    } catch (error) {
+      console.error('Error cancelling variant:', error);
+    } finally {
+      setIsAborting(false);
+    }
+  };
+
+  const renderErrors = (field) =>
+    (fieldErrors[field] || []).map(message => <FieldError key={message}>{message}</FieldError>);
+
+  return (
+    <PanelContainer>
+      <h3>Generate Variant</h3>
+
+      {(Object.keys(fieldErrors).length > 0 || generalErrors.length > 0) && (
+        <ErrorDisplay message="ComfyUI cannot run this variant:" details={generalErrors} />
+      )}
+
+      <Form onSubmit={handleSubmit}>
+        <FormGroup>
+          <Label>Source Image</Label>
+          <DropZone
+            active={dragActive}
+            invalid={!!fieldErrors.image}
+            onClick={() => fileInputRef.current?.click()}
+            onDragOver={(e) => { e.preventDefault(); setDragActive(true); }}
+            onDragLeave={() => setDragActive(false)}
+            onDrop={handleDrop}
+          >
+            {(referenceUrl || assetUrl) && <img src={referenceUrl || assetUrl} alt="Variant source" />}
+            <span>
+              {referenceFile
+                ? `Reference: ${referenceFile.name}`
+                : 'This asset. Drop a reference image here or click to choose one instead.'}
+            </span>
+          </DropZone>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="image/*"
+            style={{ display: 'none' }}
+            onChange={(e) => chooseReference(e.target.files?.[0])}
+          />
+          {referenceFile && (
+            <HelpText>
+              <button type="button" onClick={() => setReferenceFile(null)}>Use this asset instead</button>
+            </HelpText>
+          )}
+          {renderErrors('image')}
+        </FormGroup>
+
+        <FormGroup>
+          <Label htmlFor="variant-prompt">Prompt</Label>
+          <TextArea
+            id="variant-prompt"
+            value={prompt}
+            invalid={!!fieldErrors.prompt}
+            onChange={(e) => setPrompt(e.target.value)}
+            required
+          />
+          {renderErrors('prompt')}
+        </FormGroup>
+
+        <FormGroup>
+          <Label htmlFor="variant-denoise">Variation Strength: {denoise.toFixed(2)}</Label>
+          <input
+            id="variant-denoise"
+            type="range"
+            min="0.1"
+            max="0.95"
+            step="0.05"
+            value={denoise}
+            onChange={(e) => setDenoise(Number(e.target.value))}
+          />
+          <HelpText>Low values stay close to the source, high values only keep its rough layout.</HelpText>
+          {renderErrors('denoise')}
+          {renderErrors('checkpoint')}
+          {renderErrors('sampler')}
+        </FormGroup>
+
+        <button type="submit" disabled={isGenerating || !prompt}>
+          {isGenerating ? 'Generating...' : 'Generate Variant'}
+        </button>
+      </Form>
+
+      {isGenerating && liveJob && (
+        <GenerationPreview
+          previewUrl={liveJob.preview?.url}
+          progress={liveJob.progress.percent}
+          label={liveJob.status === 'queued' ? 'Waiting in queue...' : undefined}
+          onAbort={handleAbort}
+          aborting={isAborting}
+        />
+      )}
+
+      {status.message && <StatusText error={status.error}>{status.message}</StatusText>}
+    </PanelContainer>
+  );
+};
+
+export default VariantGenerator;
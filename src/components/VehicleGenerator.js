@@ -1,10 +1,17 @@
 // src/components/VehicleGenerator.jsx
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import { useComfyUI } from '../hooks/useComfyUI';
-import { supabase } from "../services/supabaseService";
-import ProgressBar from './ProgressBar';
+import SupabaseService from "../services/supabaseService";
+import GenerationPreview from './GenerationPreview';
 import ErrorDisplay from './ErrorDisplay';
-import { getVehicleWorkflow } from '../workflows/vehicleWorkflow';
+import ComfyImage from './ComfyImage';
+import WorkflowSettingsFields from './WorkflowSettingsFields';
+import { getVehicleWorkflow, DEFAULT_SETTINGS, WORKFLOW_FIELDS } from '../workflows/vehicleWorkflow';
+import ComfyService from '../services/comfyService';
+import comfyJobTracker from '../services/comfyJobTracker';
+import { mapErrorToFields } from '../services/comfyErrors';
+import pendingGenerations from '../services/pendingGenerations';
+import { describeIngest, ingestOutputs } from '../services/generationIngest';
 
 const VehicleGenerator = ({ onSuccess }) => {
   const [name, setName] = useState('');
@@ -15,18 +22,42 @@ const VehicleGenerator = ({ onSuccess }) => {
     color: 'rust',
     features: []
   });
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
   
   // Initialize ComfyUI hook
   const { 
     isConnected, 
     isProcessing, 
     progress, 
+    previewUrl,
     currentJob, 
     results, 
     error, 
+    submitError,
     submitJob 
   } = useComfyUI();
   
+  // Node errors from validation or /prompt, sorted by the field that caused them
+  const { fields: fieldErrors, general: generalErrors } = mapErrorToFields(submitError, WORKFLOW_FIELDS);
+  
+  const [isAborting, setIsAborting] = useState(false);
+  
+  // Stop a generation whose preview already looks wrong
+  const handleAbort = async () => {
+    if (!currentJob) return;
+    setIsAborting(true);
+    try {
+      await comfyJobTracker.cancel(currentJob.prompt_id);
+    } catch (err) {
+      console.error('Error cancelling generation:', err);
+    } finally {
+      setIsAborting(false);
+    }
+  };
+  
+  // Problems recording the generation or saving its images, which the hook doesn't know about
+  const [saveError, setSaveError] = useState(null);
+  
   // Generate vehicle when form is submitted
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -36,6 +67,9 @@ const VehicleGenerator = ({ onSuccess }) => {
       return;
     }
     
+    setSaveError(null);
+    let session = null;
+    
     try {
       // Create workflow for ComfyUI
       console.log("Creating workflow with parameters:", { name, vehicleType, attributes });
@@ -43,154 +77,86 @@ const VehicleGenerator = ({ onSuccess }) => {
       const workflow = getVehicleWorkflow({
         name,
         vehicleType,
-        attributes
+        attributes,
+        settings
       });
       console.log("Generated workflow:", workflow);
 
-      // Submit the job to ComfyUI
+      // Record the generation once the workflow is known to be valid and
+      // before it is queued, so a prompt never finishes without its session
       console.log("Submitting workflow to ComfyUI...");
+      const job = await submitJob(workflow, {
+        beforeQueue: async () => {
+          session = await SupabaseService.createSession({ name, vehicleType, attributes });
+        }
+      });
       console.log("Submit job result:", job);
-
-
-      const job = await submitJob(workflow);
       
+      // The hook keeps the error so it can be shown next to the offending field
       if (!job) {
-        throw new Error('Failed to submit vehicle generation job');
+        if (session) {
+          await SupabaseService.updateSession(session.id, { status: 'failed' })
+            .catch(sessionUpdateError => console.error('Failed to update session status:', sessionUpdateError));
+        }
+        return;
       }
       
-      // Create a new generation session in the database
-      const { data, error: dbError } = await supabase
-        .from('generation_sessions')
-        .insert([
-          {
-            status: 'in_progress',
-            parameters: {
-              name,
-              vehicleType,
-              attributes,
-              workflow_id: job.prompt_id
-            }
-          }
-        ])
-        .select('id');
-      
-      if (dbError) {
-        console.error('Error creating generation session:', dbError);
+      // What is needed to save or repeat the generation. Without it another
+      // page can't pick the prompt up, but this one still saves the images.
+      session = {
+        ...session,
+        parameters: {
+          ...session.parameters,
+          prompt_id: job.prompt_id,
+          server: job.server,
+          workflow,
+          ingest: describeIngest({ metadata: { name, vehicleType, attributes } })
+        }
+      };
+      try {
+        session = await SupabaseService.updateSession(session.id, { status: 'in_progress', parameters: session.parameters });
+        pendingGenerations.add(session);
+      } catch (dbError) {
+        console.error('Error updating generation session:', dbError);
+        setSaveError(`The generation runs, but its session could not be updated: ${dbError.message}`);
       }
       
-      // No need to do anything else - the WebSocket will update us on progress
-      
-    } catch (err) {
-      console.error('Error starting generation:', err);
-      alert(`Error generating asset: ${err.message}. Please check the console for more details.`);
-
-    }
-  };
-  
-  // When results are available, save them to the database
-  useEffect(() => {
-    if (!results) return;
-    
-    const saveResults = async () => {
       try {
-        // Find the generation session for this job
-        const { data: sessions, error: sessionError } = await supabase
-          .from('generation_sessions')
-          .select('id')
-          .eq('parameters->workflow_id', results.promptId)
-          .limit(1);
+        // Progress comes over the WebSocket; this resolves once the prompt is done
+        const finished = await job.finished;
         
-        if (sessionError) {
-          throw new Error(`Database error: ${sessionError.message}`);
+        if (finished.status === 'success') {
+          // Upload every image and record the assets, or none of them; a
+          // failure marks the session failed
+          await ingestOutputs(session, finished.results);
+          onSuccess?.(session.id, finished.results);
+        } else {
+          // The hook shows why the prompt didn't finish
+          await SupabaseService.updateSession(session.id, {
+            status: finished.status === 'error' ? 'failed' : 'cancelled',
+            parameters: { ...session.parameters, error: finished.error?.message || 'Execution was interrupted' }
+          });
         }
-        
-        if (!sessions || sessions.length === 0) {
-          throw new Error('Could not find generation session for this job');
-        }
-        
-        const sessionId = sessions[0].id;
-        
-        // For each image result, create an asset record
-        for (const image of results.images) {
-          // First, save the image file to Supabase storage
-          const filename = `${sessionId}/${image.filename}`;
-          const response = await fetch(image.url);
-          const blob = await response.blob();
-          
-          const { data: storageData, error: storageError } = await supabase
-            .storage
-            .from('images-2d')
-            .upload(filename, blob);
-          
-          if (storageError) {
-            console.error('Storage error:', storageError);
-            continue;
-          }
-          
-          // Then create the asset record
-          const { data: assetData, error: assetError } = await supabase
-            .from('assets')
-            .insert([
-              {
-                asset_type: 'image_2d',
-                storage_path: filename,
-                status: 'complete',
-                metadata: {
-                  nodeId: image.nodeId,
-                  originalFilename: image.filename
-                }
-              }
-            ])
-            .select('id');
-          
-          if (assetError) {
-            console.error('Asset creation error:', assetError);
-            continue;
-          }
-          
-          // Link the asset to the session
-          const { error: junctionError } = await supabase
-            .from('session_assets')
-            .insert([
-              {
-                session_id: sessionId,
-                asset_id: assetData[0].id
-              }
-            ]);
-          
-          if (junctionError) {
-            console.error('Junction table error:', junctionError);
-          }
-        }
-        
-        // Update the session status
-        const { error: updateError } = await supabase
-          .from('generation_sessions')
-          .update({ status: 'completed' })
-          .eq('id', sessionId);
-        
-        if (updateError) {
-          console.error('Session update error:', updateError);
-        }
-        
-        // Call success callback
-        if (onSuccess) {
-          onSuccess(sessionId, results);
-        }
-        
-      } catch (err) {
-        console.error('Error saving results:', err);
+      } finally {
+        pendingGenerations.remove(session.id);
       }
-    };
-    
-    saveResults();
-  }, [results, onSuccess]);
+      
+    } catch (err) {
+      console.error('Error generating asset:', err);
+      setSaveError(session
+        ? `The generation could not be saved: ${err.message}`
+        : `Error generating asset: ${err.message}`);
+    }
+  };
   
   return (
     <div className="vehicle-generator">
       <h2>Generate Post-Apocalyptic Vehicle</h2>
       
-      {error && <ErrorDisplay message={error} />}
+      {Object.keys(fieldErrors).length > 0
+        ? <ErrorDisplay message="ComfyUI cannot run this generation. Check the highlighted fields." details={generalErrors} />
+        : error && <ErrorDisplay message={error} />}
+      <ErrorDisplay message={saveError} />
       
       <div className="connection-status">
         Connection Status: 
@@ -202,7 +168,12 @@ const VehicleGenerator = ({ onSuccess }) => {
       {isProcessing ? (
         <div className="generation-status">
           <h3>Generating Vehicle...</h3>
-          <ProgressBar value={progress} />
+          <GenerationPreview 
+            previewUrl={previewUrl} 
+            progress={progress} 
+            onAbort={handleAbort} 
+            aborting={isAborting} 
+          />
           <p>Please wait while your vehicle is being generated.</p>
         </div>
       ) : (
@@ -335,6 +306,12 @@ const VehicleGenerator = ({ onSuccess }) => {
             </div>
           </div>
           
+          <WorkflowSettingsFields
+            settings={settings}
+            onChange={(changes) => setSettings({ ...settings, ...changes })}
+            errors={fieldErrors}
+          />
+          
           <button 
             type="submit" 
             disabled={!isConnected || isProcessing}
@@ -350,7 +327,7 @@ const VehicleGenerator = ({ onSuccess }) => {
           <div className="result-images">
             {results.images.map((image, index) => (
               <div key={index} className="result-image">
-                <img src={image.url} alt={`Generated vehicle ${index + 1}`} />
+                <ComfyImage image={image} alt={`Generated vehicle ${index + 1}`} />
               </div>
             ))}
           </div>
@@ -0,0 +1,118 @@
+// src/components/VirtualGrid.jsx
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import styled from 'styled-components';
+
+const Container = styled.div`
+  position: relative;
+`;
+
+const Row = styled.div`
+  position: absolute;
+  left: 0;
+  right: 0;
+  display: grid;
+`;
+
+const Cell = styled.div`
+  overflow: hidden;
+`;
+
+/**
+ * A grid that only renders the rows near the viewport, for lists of
+ * thousands of items. The page scrolls as usual; rows have a fixed height.
+ * @param {Object} props
+ * @param {Array} props.items - Items to show
+ * @param {Function} props.renderItem - Renders one item
+ * @param {Function} props.getKey - Key of an item
+ * @param {number} props.minColumnWidth - Columns are at least this wide, in px
+ * @param {Function} props.getRowHeight - Row height in px for a column width
+ * @param {number} props.gap - Space between rows and columns, in px
+ * @param {number} props.overscan - Rows rendered beyond each edge of the viewport
+ * @param {Function} props.onEndReached - Called when the last rows come into view, e.g. to load more
+ */
+const VirtualGrid = ({
+  items,
+  renderItem,
+  getKey,
+  minColumnWidth,
+  getRowHeight,
+  gap = 24,
+  overscan = 2,
+  onEndReached
+}) => {
+  const containerRef = useRef(null);
+  const [viewport, setViewport] = useState({ width: 0, top: 0, height: 0 });
+
+  const measure = useCallback(() => {
+    const container = containerRef.current;
+    if (!container) return;
+    const rect = container.getBoundingClientRect();
+    setViewport(prev => (
+      prev.width === rect.width && prev.top === rect.top && prev.height === window.innerHeight
+        ? prev
+        : { width: rect.width, top: rect.top, height: window.innerHeight }
+    ));
+  }, []);
+
+  useEffect(() => {
+    measure();
+    window.addEventListener('scroll', measure, { passive: true });
+    window.addEventListener('resize', measure);
+    const observer = new ResizeObserver(measure);
+    observer.observe(containerRef.current);
+    return () => {
+      window.removeEventListener('scroll', measure);
+      window.removeEventListener('resize', measure);
+      observer.disconnect();
+    };
+  }, [measure]);
+
+  const columns = Math.max(1, Math.floor((viewport.width + gap) / (minColumnWidth + gap)));
+  const columnWidth = viewport.width > 0 ? (viewport.width - gap * (columns - 1)) / columns : minColumnWidth;
+  const rowHeight = getRowHeight(columnWidth);
+  const rowStride = rowHeight + gap;
+  const rowCount = Math.ceil(items.length / columns);
+
+  // The container's top is negative once it has scrolled past the top of the window
+  const firstRow = Math.max(0, Math.floor(-viewport.top / rowStride) - overscan);
+  const lastRow = Math.min(rowCount - 1, Math.ceil((viewport.height - viewport.top) / rowStride) + overscan);
+
+  // Only reaching the end, or more items arriving while there, calls
+  // onEndReached again; a new callback alone doesn't
+  const onEndReachedRef = useRef(onEndReached);
+  onEndReachedRef.current = onEndReached;
+  const reachedEnd = rowCount > 0 && lastRow >= rowCount - 1;
+  useEffect(() => {
+    if (reachedEnd) {
+      onEndReachedRef.current?.();
+    }
+  }, [reachedEnd, items.length]);
+
+  const rows = [];
+  for (let row = firstRow; row <= lastRow; row++) {
+    const rowItems = items.slice(row * columns, (row + 1) * columns);
+    rows.push(
+      <Row
+        key={row}
+        style={{
+          top: row * rowStride,
+          height: rowHeight,
+          gridTemplateColumns: `repeat(${columns}, 1fr)`,
+          columnGap: gap
+        }}
+      >
+        {rowItems.map(item => (
+          <Cell key={getKey(item)}>{renderItem(item)}</Cell>
+        ))}
+      </Row>
+    );
+  }
+
+  return (
+    <Container ref={containerRef} style={{ height: Math.max(0, rowCount * rowStride - gap) }}>
+      {rows}
+    </Container>
+  );
+};
+
+export default VirtualGrid;
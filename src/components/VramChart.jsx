@@ -0,0 +1,125 @@
+// src/components/VramChart.jsx
+import React from 'react';
+import styled from 'styled-components';
+
+const WIDTH = 600;
+const HEIGHT = 160;
+const PADDING = { top: 10, right: 10, bottom: 20, left: 44 };
+const GB = 1024 ** 3;
+
+const SERIES = [
+  { key: 'used', label: 'VRAM used', color: '#1565c0' },
+  { key: 'torchReserved', label: 'Torch reserved', color: '#ef6c00' }
+];
+
+const MARKER_COLORS = {
+  running: '#1976d2',
+  success: '#2e7d32',
+  error: '#c62828',
+  interrupted: '#757575'
+};
+
+const Svg = styled.svg`
+  width: 100%;
+  height: auto;
+  background-color: #fafafa;
+  border: 1px solid #e0e0e0;
+  border-radius: 4px;
+
+  text {
+    font-size: 10px;
+    fill: #777;
+  }
+`;
+
+const Legend = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 12px;
+  margin-top: 4px;
+  font-size: 0.8rem;
+  color: #555;
+`;
+
+const Swatch = styled.span`
+  display: inline-block;
+  width: 10px;
+  height: 10px;
+  margin-right: 4px;
+  border-radius: 2px;
+  background-color: ${props => props.color};
+  opacity: ${props => props.faded ? 0.4 : 1};
+`;
+
+/**
+ * VRAM of one device over a time window, with a band per generation
+ * @param {Object} props
+ * @param {Array<{time: number, used: number, torchReserved: number}>} props.points - Bytes per sample
+ * @param {number} props.total - VRAM of the device in bytes, the top of the chart
+ * @param {Array} props.generations - `{promptId, status, startedAt, finishedAt}` to mark
+ * @param {number} props.start - Start of the window, ms since epoch
+ * @param {number} props.end - End of the window, usually now
+ * @param {number} props.gapMs - Samples further apart than this are not joined
+ */
+const VramChart = ({ points, total, generations = [], start, end, gapMs }) => {
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const x = (time) => PADDING.left + ((time - start) / (end - start)) * plotWidth;
+  const y = (bytes) => PADDING.top + plotHeight - (Math.min(bytes, total) / total) * plotHeight;
+
+  // One path segment per run of samples without a gap
+  const pathFor = (key) => points
+    .map((point, index) => {
+      const joined = index > 0 && point.time - points[index - 1].time <= gapMs;
+      return `${joined ? 'L' : 'M'}${x(point.time).toFixed(1)},${y(point[key]).toFixed(1)}`;
+    })
+    .join(' ');
+
+  const minutes = Math.round((end - start) / 60000);
+
+  return (
+    <div>
+      <Svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label="VRAM usage over time">
+        {generations.map(generation => {
+          const from = x(Math.max(generation.startedAt, start));
+          const to = x(Math.min(generation.finishedAt || end, end));
+          const color = MARKER_COLORS[generation.status] || MARKER_COLORS.running;
+          return (
+            <g key={generation.promptId}>
+              <title>
+                {`${generation.promptId.substring(0, 8)}: ${generation.status}, started ${new Date(generation.startedAt).toLocaleTimeString()}` +
+                  (generation.finishedAt ? `, finished ${new Date(generation.finishedAt).toLocaleTimeString()}` : '')}
+              </title>
+              <rect x={from} y={PADDING.top} width={Math.max(to - from, 1)} height={plotHeight} fill={color} opacity="0.12" />
+              <line x1={from} x2={from} y1={PADDING.top} y2={PADDING.top + plotHeight} stroke={color} strokeWidth="1" />
+              {generation.finishedAt && (
+                <line x1={to} x2={to} y1={PADDING.top} y2={PADDING.top + plotHeight} stroke={color} strokeWidth="1" strokeDasharray="3 2" />
+              )}
+            </g>
+          );
+        })}
+
+        <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(total)} y2={y(total)} stroke="#bbb" strokeDasharray="4 3" />
+        <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(0)} y2={y(0)} stroke="#bbb" />
+        <text x={PADDING.left - 4} y={y(total) + 4} textAnchor="end">{(total / GB).toFixed(0)} GB</text>
+        <text x={PADDING.left - 4} y={y(0)} textAnchor="end">0</text>
+        <text x={PADDING.left} y={HEIGHT - 4}>-{minutes} min</text>
+        <text x={WIDTH - PADDING.right} y={HEIGHT - 4} textAnchor="end">now</text>
+
+        {SERIES.map(series => (
+          <path key={series.key} d={pathFor(series.key)} fill="none" stroke={series.color} strokeWidth="1.5" />
+        ))}
+      </Svg>
+      <Legend>
+        {SERIES.map(series => (
+          <span key={series.key}><Swatch color={series.color} />{series.label}</span>
+        ))}
+        <span><Swatch color={MARKER_COLORS.running} faded />Generating</span>
+        <span><Swatch color={MARKER_COLORS.success} faded />Generated</span>
+        <span><Swatch color={MARKER_COLORS.error} faded />Failed</span>
+      </Legend>
+    </div>
+  );
+};
+
+export default VramChart;
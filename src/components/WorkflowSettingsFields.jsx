@@ -0,0 +1,133 @@
+// src/components/WorkflowSettingsFields.jsx
+import React, { useState, useEffect } from 'react';
+import styled from 'styled-components';
+import ComfyService from '../services/comfyService';
+
+const RESOLUTIONS = [
+  { width: 512, height: 512 },
+  { width: 768, height: 768 },
+  { width: 1024, height: 1024 },
+  { width: 1152, height: 896 },
+  { width: 896, height: 1152 }
+];
+
+const SettingsGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(160px, 1fr));
+  gap: 12px;
+`;
+
+const Field = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 6px;
+`;
+
+const Label = styled.label`
+  font-weight: bold;
+  color: #333;
+`;
+
+const Select = styled.select`
+  padding: 10px;
+  border: 1px solid ${props => props.invalid ? '#c62828' : '#ddd'};
+  border-radius: 4px;
+  font-size: 1rem;
+  background-color: ${props => props.invalid ? '#fff5f5' : '#fff'};
+`;
+
+export const FieldError = styled.div`
+  color: #c62828;
+  font-size: 0.85rem;
+`;
+
+// Keep the current value selectable even when the server doesn't list it,
+// so a rejected value stays visible next to its error
+const withCurrent = (options, current) =>
+  options.includes(current) ? options : [current, ...options];
+
+/**
+ * Checkpoint, resolution and sampler inputs shared by the generation forms.
+ * Options come from the server's /object_info.
+ * @param {Object} props
+ * @param {Object} props.settings - { checkpoint, width, height, sampler }
+ * @param {Function} props.onChange - Called with the changed setting names and values
+ * @param {Object} props.errors - Messages per field from mapErrorToFields
+ */
+const WorkflowSettingsFields = ({ settings, onChange, errors = {} }) => {
+  const [checkpoints, setCheckpoints] = useState([]);
+  const [samplers, setSamplers] = useState([]);
+
+  useEffect(() => {
+    const loadOptions = async () => {
+      const [checkpointOptions, samplerOptions] = await Promise.all([
+        ComfyService.getInputOptions('CheckpointLoaderSimple', 'ckpt_name'),
+        ComfyService.getInputOptions('KSampler', 'sampler_name')
+      ]);
+      setCheckpoints(checkpointOptions);
+      setSamplers(samplerOptions);
+    };
+
+    loadOptions();
+  }, []);
+
+  const resolution = `${settings.width}x${settings.height}`;
+  const resolutions = withCurrent(RESOLUTIONS.map(r => `${r.width}x${r.height}`), resolution);
+
+  const renderErrors = (field) =>
+    (errors[field] || []).map(message => <FieldError key={message}>{message}</FieldError>);
+
+  return (
+    <SettingsGrid>
+      <Field>
+        <Label htmlFor="checkpoint">Checkpoint</Label>
+        <Select
+          id="checkpoint"
+          value={settings.checkpoint}
+          invalid={!!errors.checkpoint}
+          onChange={(e) => onChange({ checkpoint: e.target.value })}
+        >
+          {withCurrent(checkpoints, settings.checkpoint).map(name => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </Select>
+        {renderErrors('checkpoint')}
+      </Field>
+
+      <Field>
+        <Label htmlFor="resolution">Resolution</Label>
+        <Select
+          id="resolution"
+          value={resolution}
+          invalid={!!errors.resolution}
+          onChange={(e) => {
+            const [width, height] = e.target.value.split('x').map(Number);
+            onChange({ width, height });
+          }}
+        >
+          {resolutions.map(value => (
+            <option key={value} value={value}>{value.replace('x', ' × ')}</option>
+          ))}
+        </Select>
+        {renderErrors('resolution')}
+      </Field>
+
+      <Field>
+        <Label htmlFor="sampler">Sampler</Label>
+        <Select
+          id="sampler"
+          value={settings.sampler}
+          invalid={!!errors.sampler}
+          onChange={(e) => onChange({ sampler: e.target.value })}
+        >
+          {withCurrent(samplers, settings.sampler).map(name => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </Select>
+        {renderErrors('sampler')}
+      </Field>
+    </SettingsGrid>
+  );
+};
+
+export default WorkflowSettingsFields;
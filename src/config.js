@@ -1,8 +1,237 @@
 // src/config.js
+// Vite fills import.meta.env in the browser; the CLI runs on plain Node
+const env = import.meta.env || globalThis.process?.env || {};
+
+// Where the Settings page keeps its overrides
+const STORAGE_KEY = 'comfy-frontend.settings';
+
+/**
+ * Settings that can be changed at runtime on the Settings page. Each is
+ * resolved as: value saved in this browser → env variable → default.
+ * Values are stored in the same string format as their env variable.
+ */
+export const SETTINGS = {
+  comfyUiApi: { env: 'VITE_COMFY_UI_API', fallback: 'http://localhost:8188' },
+  // Empty means derived from comfyUiApi
+  comfyUiWs: { env: 'VITE_COMFY_UI_WS', fallback: '' },
+  // Comma separated base URLs of extra servers
+  comfyUiServers: { env: 'VITE_COMFY_UI_SERVERS', fallback: '' },
+  // JSON object of headers sent with every ComfyUI HTTP request
+  comfyUiHeaders: { env: 'VITE_COMFY_UI_HEADERS', fallback: '' },
+  // JSON object of credentials per server base URL, see services/comfyAuth
+  comfyUiAuth: { env: 'VITE_COMFY_UI_AUTH', fallback: '' },
+  supabaseUrl: { env: 'VITE_SUPABASE_URL', fallback: '' },
+  supabaseAnonKey: { env: 'VITE_SUPABASE_ANON_KEY', fallback: '' }
+};
+
+const readOverrides = () => {
+  try {
+    const stored = JSON.parse(globalThis.localStorage?.getItem(STORAGE_KEY) || '{}');
+    return stored && typeof stored === 'object' ? stored : {};
+  } catch {
+    return {};
+  }
+};
+
+let overrides = readOverrides();
+
+const trimUrl = (url) => url.trim().replace(/\/+$/, '');
+
+/**
+ * The /ws endpoint ComfyUI serves next to its HTTP API
+ * @param {string} httpUrl - Base URL of the HTTP API
+ */
+export const deriveWsUrl = (httpUrl) => `${trimUrl(httpUrl).replace(/^http/, 'ws')}/ws`;
+
+/**
+ * Where the value of a setting comes from
+ * @param {string} key - Key of SETTINGS
+ * @returns {'runtime'|'env'|'default'}
+ */
+export const getSettingSource = (key) => {
+  if (overrides[key]) return 'runtime';
+  if (env[SETTINGS[key].env]) return 'env';
+  return 'default';
+};
+
+/**
+ * The value a setting has without runtime overrides
+ * @param {string} key - Key of SETTINGS
+ */
+export const getBuildSetting = (key) => env[SETTINGS[key].env] || SETTINGS[key].fallback;
+
+const setting = (key) => overrides[key] || getBuildSetting(key);
+
+/**
+ * Settings saved in this browser
+ * @returns {Object} Raw values keyed like SETTINGS; missing keys are not overridden
+ */
+export const getRuntimeSettings = () => ({ ...overrides });
+
+/**
+ * Save settings in this browser. Empty values fall back to env and defaults.
+ * Services read their servers when the app loads, so reload afterwards.
+ * @param {Object} values - Raw values keyed like SETTINGS
+ */
+export const saveRuntimeSettings = (values) => {
+  overrides = Object.fromEntries(Object.entries(values)
+    .filter(([key, value]) => SETTINGS[key] && typeof value === 'string' && value.trim())
+    .map(([key, value]) => [key, value.trim()]));
+  globalThis.localStorage?.setItem(STORAGE_KEY, JSON.stringify(overrides));
+};
+
+/**
+ * Forget the settings saved in this browser
+ */
+export const clearRuntimeSettings = () => {
+  overrides = {};
+  globalThis.localStorage?.removeItem(STORAGE_KEY);
+};
+
+/**
+ * Parse a header setting into an object; invalid JSON counts as no headers
+ * @param {string} value - JSON object of header names and values
+ */
+export const parseHeaders = (value) => {
+  try {
+    const headers = JSON.parse(value || '{}');
+    return headers && typeof headers === 'object' && !Array.isArray(headers) ? headers : {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Parse a server auth setting into an object keyed by server base URL;
+ * invalid JSON counts as no credentials
+ * @param {string} value - JSON object of server base URLs and their credentials
+ */
+export const parseServerAuth = (value) => {
+  const auth = parseHeaders(value);
+  return Object.fromEntries(Object.entries(auth)
+    .filter(([, credentials]) => credentials && typeof credentials === 'object')
+    .map(([url, credentials]) => [trimUrl(url), credentials]));
+};
+
+// Credential types of comfyUiAuth, and how each passes its token to /ws
+export const AUTH_TYPES = ['none', 'bearer', 'basic'];
+export const WS_AUTH_MODES = ['query', 'subprotocol', 'none'];
+
+const HEADER_NAME = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+const urlError = (value, protocols) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return 'Not a valid URL';
+  }
+  if (!protocols.includes(url.protocol)) {
+    return `Must start with ${protocols.map(protocol => `${protocol}//`).join(' or ')}`;
+  }
+  if (url.search || url.hash) {
+    return 'Must not have a query string or fragment';
+  }
+  return null;
+};
+
+/**
+ * Check raw setting values before they are saved
+ * @param {Object} values - Raw values keyed like SETTINGS; empty ones are not checked
+ * @returns {Object} Error message per invalid key, empty when everything is valid
+ */
+export const validateSettings = (values) => {
+  const errors = {};
+  const check = (key, validate) => {
+    const value = values[key]?.trim();
+    const error = value ? validate(value) : null;
+    if (error) errors[key] = error;
+  };
+
+  check('comfyUiApi', value => urlError(value, ['http:', 'https:']));
+  check('comfyUiWs', value => urlError(value, ['ws:', 'wss:']));
+  check('comfyUiServers', value => {
+    for (const url of value.split(',').map(part => part.trim()).filter(Boolean)) {
+      const error = urlError(url, ['http:', 'https:']);
+      if (error) return `${url}: ${error}`;
+    }
+    return null;
+  });
+  check('supabaseUrl', value => urlError(value, ['http:', 'https:']));
+  check('comfyUiHeaders', value => {
+    let headers;
+    try {
+      headers = JSON.parse(value);
+    } catch {
+      return 'Must be a JSON object of header names and values';
+    }
+    if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+      return 'Must be a JSON object of header names and values';
+    }
+    const badName = Object.keys(headers).find(name => !HEADER_NAME.test(name));
+    if (badName !== undefined) return `"${badName}" is not a valid header name`;
+    const badValue = Object.entries(headers).find(([, headerValue]) => typeof headerValue !== 'string');
+    return badValue ? `The value of ${badValue[0]} must be a string` : null;
+  });
+  check('comfyUiAuth', value => {
+    let auth;
+    try {
+      auth = JSON.parse(value);
+    } catch {
+      return 'Must be a JSON object of server URLs and credentials';
+    }
+    if (!auth || typeof auth !== 'object' || Array.isArray(auth)) {
+      return 'Must be a JSON object of server URLs and credentials';
+    }
+    for (const [url, credentials] of Object.entries(auth)) {
+      const error = urlError(url, ['http:', 'https:']);
+      if (error) return `${url}: ${error}`;
+      const { type = 'none', ws = 'query' } = credentials || {};
+      if (!AUTH_TYPES.includes(type)) return `${url}: unknown auth type "${type}"`;
+      if (!WS_AUTH_MODES.includes(ws)) return `${url}: unknown WebSocket auth "${ws}"`;
+      if (type === 'bearer' && !credentials.token) return `${url}: a bearer token is required`;
+      if (type === 'basic' && !credentials.username) return `${url}: a user name is required`;
+    }
+    return null;
+  });
+
+  return errors;
+};
+
 const config = {
-    supabaseUrl: import.meta.env.VITE_SUPABASE_URL || '',
-    supabaseAnonKey: import.meta.env.VITE_SUPABASE_ANON_KEY || '',
-    comfyUiApi: import.meta.env.VITE_COMFY_UI_API || 'http://localhost:8188/api',
+    get supabaseUrl() {
+      return setting('supabaseUrl');
+    },
+    get supabaseAnonKey() {
+      return setting('supabaseAnonKey');
+    },
+    get comfyUiApi() {
+      return trimUrl(setting('comfyUiApi'));
+    },
+    // ComfyUI serves its event stream from /ws on the same host as the HTTP API
+    // A server changed at runtime doesn't keep the WS URL from the env
+    get comfyUiWs() {
+      const wsUrl = overrides.comfyUiWs || (overrides.comfyUiApi ? '' : getBuildSetting('comfyUiWs'));
+      return wsUrl ? trimUrl(wsUrl) : deriveWsUrl(this.comfyUiApi);
+    },
+    // Every ComfyUI server prompts may be sent to, primary server first
+    get comfyUiServers() {
+      return [this.comfyUiApi, ...setting('comfyUiServers').split(',').map(trimUrl)]
+        .filter((url, index, all) => url && all.indexOf(url) === index);
+    },
+    get comfyUiHeaders() {
+      return parseHeaders(setting('comfyUiHeaders'));
+    },
+    get comfyUiAuth() {
+      return parseServerAuth(setting('comfyUiAuth'));
+    },
+    // How often the server pool checks health and queue depth while prompts are out
+    serverHealthIntervalMs: Number(env.VITE_SERVER_HEALTH_INTERVAL_MS) || 10 * 1000,
+    // How often the server dashboard samples /system_stats while it is open
+    statsPollIntervalMs: Number(env.VITE_STATS_POLL_INTERVAL_MS) || 5000,
+    // How long to wait for a queued prompt to show up finished in /history
+    generationTimeoutMs: Number(env.VITE_GENERATION_TIMEOUT_MS) || 10 * 60 * 1000,
+    historyPollIntervalMs: Number(env.VITE_HISTORY_POLL_INTERVAL_MS) || 2000,
   };
-  
-  export default config;
\ No newline at end of file
+
+  export default config;
@@ -0,0 +1,33 @@
+// src/hooks/useAuth.js
+import { useState, useEffect, useCallback } from 'react';
+import authService from '../services/authService';
+import { hasPermission } from '../services/permissions';
+
+const readState = () => ({
+  user: authService.getUser(),
+  role: authService.getRole(),
+  ready: authService.isReady()
+});
+
+/**
+ * The signed-in user and their role, kept up to date with sign-ins and sign-outs
+ * @returns {{user: Object|null, role: string|null, ready: boolean, can: Function}} ready is
+ *   false until the stored session has been read; can(permission) checks the role
+ */
+export const useAuth = () => {
+  const [state, setState] = useState(readState);
+
+  useEffect(() => {
+    const handleChange = () => setState(readState());
+    authService.addEventListener('change', handleChange);
+    authService.init().then(handleChange);
+    return () => authService.removeEventListener('change', handleChange);
+  }, []);
+
+  const { role } = state;
+  const can = useCallback((permission) => Boolean(role) && hasPermission(role, permission), [role]);
+
+  return { ...state, can };
+};
+
+export default useAuth;
@@ -1,22 +1,27 @@
 // src/hooks/useComfyUI.js
-import { useState, useEffect, useCallback } from 'react';
-import comfyUIService from '../services/comfyUIService';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import ComfyService from '../services/comfyService';
 import comfyUIWebSocketService from '../services/comfyUIWebSocketService';
+import comfyJobTracker from '../services/comfyJobTracker';
+import comfyServerPool from '../services/comfyServerPool';
+
+const ACTIVE_STATUSES = ['queued', 'running'];
 
 export const useComfyUI = (initialWorkflow = null) => {
   const [isConnected, setIsConnected] = useState(false);
-  const [isProcessing, setIsProcessing] = useState(false);
   const [currentJob, setCurrentJob] = useState(null);
-  const [progress, setProgress] = useState(0);
+  const [jobs, setJobs] = useState({});
   const [results, setResults] = useState(null);
   const [error, setError] = useState(null);
-  
+  const [submitError, setSubmitError] = useState(null);
+  const subscriptions = useRef(new Map());
+
   // Initialize connection
   useEffect(() => {
     // Check API connection
     const checkConnection = async () => {
       try {
-        const connected = await comfyUIService.checkConnection();
+        const connected = await ComfyService.checkConnection();
         setIsConnected(connected);
         if (!connected) {
           setError('Could not connect to ComfyUI API');
@@ -25,154 +30,118 @@ export const useComfyUI = (initialWorkflow = null) => {
         setError(`Connection error: ${err.message}`);
       }
     };
-    
+
     checkConnection();
-    
+
     // Set up WebSocket
     comfyUIWebSocketService.connect();
-    
+
     // WebSocket event listeners
     const handleStatusChange = (data) => {
       setIsConnected(data.connected);
       if (!data.connected && data.error) {
         setError(`WebSocket error: ${data.message || 'Unknown error'}`);
+      } else if (data.connected) {
+        // The tracker catches up on missed events itself once reconnected
+        setError(prev => (prev?.startsWith('WebSocket error') ? null : prev));
       }
     };
-    
-    const handleExecutionStart = (data) => {
-      setIsProcessing(true);
-      setProgress(0);
-      setError(null);
-    };
-    
-    const handleExecutionComplete = (data) => {
-      setIsProcessing(false);
-      setProgress(100);
-      
-      // Update results if the completed job matches our current job
-      if (currentJob && data.prompt_id === currentJob.prompt_id) {
-        // Fetch the results
-        fetchResults(data);
-      }
-    };
-    
-    const handleExecutionError = (data) => {
-      setIsProcessing(false);
-      setError(`Execution error: ${data.error || 'Unknown error'}`);
-    };
-    
-    const handleProgress = (data) => {
-      if (data.value && data.max) {
-        setProgress(Math.round((data.value / data.max) * 100));
-      }
-    };
-    
-    // Register event listeners
+
     comfyUIWebSocketService.addEventListener('status', handleStatusChange);
-    comfyUIWebSocketService.addEventListener('execution_start', handleExecutionStart);
-    comfyUIWebSocketService.addEventListener('execution_complete', handleExecutionComplete);
-    comfyUIWebSocketService.addEventListener('execution_error', handleExecutionError);
-    comfyUIWebSocketService.addEventListener('progress', handleProgress);
-    
+
+    const jobSubscriptions = subscriptions.current;
+
     // Cleanup function
     return () => {
       comfyUIWebSocketService.removeEventListener('status', handleStatusChange);
-      comfyUIWebSocketService.removeEventListener('execution_start', handleExecutionStart);
-      comfyUIWebSocketService.removeEventListener('execution_complete', handleExecutionComplete);
-      comfyUIWebSocketService.removeEventListener('execution_error', handleExecutionError);
-      comfyUIWebSocketService.removeEventListener('progress', handleProgress);
+      jobSubscriptions.forEach(unsubscribe => unsubscribe());
+      jobSubscriptions.clear();
     };
-  }, [currentJob]);
-  
-  // Function to fetch results after job completion
-  const fetchResults = async (data) => {
-    try {
-      if (!data || !data.output) {
-        setError('No output data in completion event');
-        return;
-      }
-      
-      // Find image outputs
-      const images = [];
-      for (const nodeId in data.output) {
-        const nodeOutput = data.output[nodeId];
-        if (Array.isArray(nodeOutput) && nodeOutput.length > 0) {
-          for (const item of nodeOutput) {
-            if (item.filename && item.type === 'image') {
-              const imageUrl = await comfyUIService.getGeneratedImage(item.filename);
-              images.push({
-                nodeId,
-                filename: item.filename,
-                url: imageUrl
-              });
-            }
-          }
-        }
+  }, []);
+
+  // Follow a queued prompt until it finishes. Resolves with the finished job,
+  // whose `results` hold the output images when it succeeded.
+  const trackJob = useCallback((promptId, workflowData) => {
+    // track() registers the job, so subscribing right after emits its first state
+    const finished = comfyJobTracker.track(promptId, { workflow: workflowData });
+    const unsubscribe = comfyJobTracker.subscribe(promptId, (job) => {
+      setJobs(prev => ({ ...prev, [promptId]: job }));
+    });
+    subscriptions.current.set(promptId, unsubscribe);
+
+    return finished.then((job) => {
+      unsubscribe();
+      subscriptions.current.delete(promptId);
+
+      if (job.status === 'success') {
+        const server = comfyServerPool.getServerFor(promptId).id;
+        const jobResults = {
+          // The id it finished under, which the session follows after a failover
+          promptId: comfyServerPool.resolve(promptId),
+          server,
+          images: ComfyService.getOutputImages(job.outputs, server),
+          rawOutput: job.outputs
+        };
+        setResults(jobResults);
+        return { ...job, results: jobResults };
+      } else if (job.status === 'error') {
+        setError(`Execution error: ${job.error?.message || 'Unknown error'}`);
+      } else {
+        setError('Execution was interrupted');
       }
-      
-      setResults({
-        promptId: data.prompt_id,
-        images,
-        rawOutput: data.output
-      });
-    } catch (err) {
-      setError(`Error fetching results: ${err.message}`);
-    }
-  };
-  
-  const submitJob = useCallback(async (workflowData = initialWorkflow) => {
+
+      return job;
+    });
+  }, []);
+
+  /**
+   * Validate and queue a workflow, then follow it
+   * @param {Object} workflowData - Workflow in API format
+   * @param {Object} options - Submit options
+   * @param {Function} options.beforeQueue - Awaited once the workflow is valid and before it is
+   *   queued, e.g. to record a session; throwing stops the submit
+   * @returns {Promise<Object|null>} The /prompt response plus `finished`, the promise of trackJob,
+   *   or null when the submit failed, with the error in `error` and `submitError`
+   */
+  const submitJob = useCallback(async (workflowData = initialWorkflow, options = {}) => {
     console.log("submitJob called with workflow:", workflowData);
-    
+
     if (!workflowData) {
       console.error("No workflow data provided");
       setError('No workflow data provided');
       return null;
     }
-    
+
     try {
       setError(null);
+      setSubmitError(null);
       setResults(null);
-      
-      console.log("Preparing to send request to ComfyUI at:", this.baseUrl || process.env.REACT_APP_COMFYUI_API_URL);
-      
-      const requestBody = {
-        prompt: workflowData,
-        client_id: "frontend-" + Date.now()
-      };
-      
-      console.log("Sending request with body:", JSON.stringify(requestBody));
-      
-      const response = await fetch(`${this.baseUrl || process.env.REACT_APP_COMFYUI_API_URL}/prompt`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(requestBody),
-      });
-      
-      console.log("Received response status:", response.status);
-      
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error("Error from ComfyUI:", errorText);
-        throw new Error(`Failed to submit prompt: ${response.status} - ${errorText}`);
-      }
-      
-      const data = await response.json();
+
+      // Catch missing models or nodes here instead of as a 400 from /prompt
+      await ComfyService.validateWorkflow(workflowData);
+      await options.beforeQueue?.();
+
+      console.log("Preparing to send request to ComfyUI at:", ComfyService.baseUrl);
+
+      const data = await ComfyService.queuePrompt(workflowData);
       console.log("Successful response from ComfyUI:", data);
-      
+
       setCurrentJob({
         prompt_id: data.prompt_id,
+        server: data.server,
         workflow: workflowData
       });
-      
-      return data;
+      const finished = trackJob(data.prompt_id, workflowData);
+
+      return { ...data, finished };
     } catch (err) {
       console.error("Error submitting job to ComfyUI:", err);
+      // Keep the typed error so forms can map node errors back to their fields
+      setSubmitError(err);
       setError(`Error submitting job: ${err.message}`);
       return null;
     }
-  }, [initialWorkflow, setCurrentJob, setError, setResults]);
+  }, [initialWorkflow, trackJob]);
   // Function to check job status manually (as a backup to WebSocket)
   const checkJobStatus = useCallback(async (promptId = null) => {
     const id = promptId || (currentJob ? currentJob.prompt_id : null);
@@ -180,24 +149,34 @@ export const useComfyUI = (initialWorkflow = null) => {
       setError('No job ID to check');
       return null;
     }
-    
+
     try {
-      const status = await comfyUIService.getJobStatus(id);
+      const status = await ComfyService.getOutput(id);
       return status;
     } catch (err) {
       setError(`Error checking job status: ${err.message}`);
       return null;
     }
   }, [currentJob]);
-  
+
+  // The most recently submitted job drives the single-job fields
+  const activeJob = currentJob ? jobs[currentJob.prompt_id] : null;
+  const isProcessing = Object.values(jobs).some(job => ACTIVE_STATUSES.includes(job.status));
+  const progress = activeJob ? activeJob.progress.percent : 0;
+  const previewUrl = activeJob?.preview?.url || null;
+
   return {
     isConnected,
     isProcessing,
     progress,
+    previewUrl,
     currentJob,
+    jobs,
     results,
     error,
+    submitError,
     submitJob,
+    trackJob,
     checkJobStatus
   };
-};
\ No newline at end of file
+};
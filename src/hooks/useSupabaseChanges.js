@@ -0,0 +1,26 @@
+// src/hooks/useSupabaseChanges.js
+import { useEffect, useRef } from 'react';
+import SupabaseService from '../services/supabaseService';
+
+/**
+ * Subscribe to realtime changes of tables for as long as the component is
+ * mounted. The latest handlers are always called, so they need not be memoized.
+ * @param {Array<string>} tables - Tables to listen to
+ * @param {Function} onChange - Called with each change, see SupabaseService.subscribeToChanges
+ * @param {Function} onResync - Called when changes may have been missed and the data should be reloaded
+ */
+export const useSupabaseChanges = (tables, onChange, onResync) => {
+  const handlers = useRef({ onChange, onResync });
+  handlers.current = { onChange, onResync };
+  const tableKey = tables.join(',');
+
+  useEffect(() => {
+    return SupabaseService.subscribeToChanges(
+      tableKey.split(','),
+      (change) => handlers.current.onChange(change),
+      { onResync: () => handlers.current.onResync?.() }
+    );
+  }, [tableKey]);
+};
+
+export default useSupabaseChanges;
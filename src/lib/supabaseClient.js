@@ -1,6 +1,3 @@
-import { createClient } from '@supabase/supabase-js';
-
-const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
-const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY;
-
-export const supabase = createClient(supabaseUrl, supabaseAnonKey);
\ No newline at end of file
+// src/lib/supabaseClient.js
+// The client is configured from the Settings page, see services/supabaseService
+export { supabase } from '../services/supabaseService';
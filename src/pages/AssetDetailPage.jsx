@@ -1,10 +1,12 @@
 // src/pages/AssetDetailPage.jsx
-import React, { useState, useEffect } from 'react';
-import { useParams, Link } from 'react-router-dom';
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
 import styled from 'styled-components';
 import AssetRelationships from '../components/AssetRelationships';
 import ModelViewer from '../components/ModelViewer';
+import VariantGenerator from '../components/VariantGenerator';
 import SupabaseService from '../services/supabaseService';
+import useAuth from '../hooks/useAuth';
 
 const PageContainer = styled.div`
   max-width: 1000px;
@@ -108,35 +110,132 @@ const TraitTag = styled.span`
   font-size: 0.9rem;
 `;
 
+const TraitChip = styled.button`
+  background-color: ${props => props.selected ? '#e6f3ff' : '#f5f5f5'};
+  padding: 6px 10px;
+  border-radius: 4px;
+  cursor: pointer;
+  border: 1px solid ${props => props.selected ? '#b3d9ff' : '#e0e0e0'};
+
+  &:hover {
+    background-color: ${props => props.selected ? '#d1e7ff' : '#e9e9e9'};
+  }
+`;
+
+const CurationBar = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 8px;
+  margin-top: 12px;
+`;
+
+const Button = styled.button`
+  background-color: ${props => props.danger ? '#c62828' : '#007bff'};
+  color: white;
+  border: none;
+  border-radius: 4px;
+  padding: 8px 14px;
+  cursor: pointer;
+
+  &:disabled {
+    background-color: #cccccc;
+    cursor: not-allowed;
+  }
+`;
+
+const SecondaryButton = styled.button`
+  background: none;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  padding: 8px 14px;
+  cursor: pointer;
+  color: #555;
+`;
+
+const ActionError = styled.p`
+  color: #c62828;
+`;
+
 const AssetDetailPage = () => {
   const { id } = useParams();
   const [asset, setAsset] = useState(null);
   const [loading, setLoading] = useState(true);
   const [assetUrl, setAssetUrl] = useState(null);
   const [error, setError] = useState(null);
+  const navigate = useNavigate();
+  const { can } = useAuth();
+  // Trait ids while the traits are being edited, otherwise null
+  const [editedTraitIds, setEditedTraitIds] = useState(null);
+  const [allTraits, setAllTraits] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [actionError, setActionError] = useState(null);
 
-  useEffect(() => {
-    const loadAsset = async () => {
-      try {
-        setLoading(true);
-        const assetData = await SupabaseService.getAsset(id);
-        setAsset(assetData);
-        
-        // Get URL for image or model if applicable
-        if (['image_2d', 'orthogonal_view', 'model_3d', 'final_model'].includes(assetData.asset_type)) {
-          const url = await SupabaseService.getDownloadUrl(assetData.storage_path);
-          setAssetUrl(url);
-        }
-      } catch (error) {
-        console.error('Error loading asset:', error);
-        setError('Failed to load asset. Please try again.');
-      } finally {
-        setLoading(false);
+  const loadAsset = useCallback(async () => {
+    try {
+      setLoading(true);
+      const assetData = await SupabaseService.getAsset(id);
+      setAsset(assetData);
+      
+      // Get URL for image or model if applicable
+      if (['image_2d', 'orthogonal_view', 'model_3d', 'final_model'].includes(assetData.asset_type)) {
+        const url = await SupabaseService.getDownloadUrl(assetData.storage_path);
+        setAssetUrl(url);
       }
-    };
+    } catch (error) {
+      console.error('Error loading asset:', error);
+      setError('Failed to load asset. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
 
+  useEffect(() => {
     loadAsset();
-  }, [id]);
+  }, [loadAsset]);
+
+  const startEditingTraits = async () => {
+    setActionError(null);
+    try {
+      setAllTraits(await SupabaseService.getTraits());
+      setEditedTraitIds(asset.traits?.map(t => t.traits?.id).filter(Boolean) || []);
+    } catch (error) {
+      setActionError(`Could not load traits: ${error.message}`);
+    }
+  };
+
+  const toggleTrait = (traitId) => {
+    setEditedTraitIds(prev => prev.includes(traitId)
+      ? prev.filter(id => id !== traitId)
+      : [...prev, traitId]);
+  };
+
+  const saveTraits = async () => {
+    setSaving(true);
+    setActionError(null);
+    try {
+      await SupabaseService.setAssetTraits(asset.id, editedTraitIds);
+      setAsset(await SupabaseService.getAsset(id));
+      setEditedTraitIds(null);
+    } catch (error) {
+      setActionError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteAsset = async () => {
+    if (!window.confirm('Delete this asset and its file? This cannot be undone.')) return;
+    setSaving(true);
+    setActionError(null);
+    try {
+      await SupabaseService.deleteAsset(asset);
+      navigate('/assets');
+    } catch (error) {
+      setActionError(error.message);
+      setSaving(false);
+    }
+  };
 
   const getAssetTypeLabel = (type) => {
     const typeMap = {
@@ -198,7 +297,29 @@ const AssetDetailPage = () => {
         </AssetPreview>
 
         <AssetInfo>
-          {traits.length > 0 && (
+          {editedTraitIds ? (
+            <div>
+              <h3>Traits</h3>
+              <TraitsList>
+                {allTraits.map(trait => (
+                  <TraitChip
+                    key={trait.id}
+                    type="button"
+                    selected={editedTraitIds.includes(trait.id)}
+                    onClick={() => toggleTrait(trait.id)}
+                  >
+                    {trait.trait_type}: {trait.trait_value}
+                  </TraitChip>
+                ))}
+              </TraitsList>
+              <CurationBar>
+                <Button onClick={saveTraits} disabled={saving}>
+                  {saving ? 'Saving...' : 'Save traits'}
+                </Button>
+                <SecondaryButton onClick={() => setEditedTraitIds(null)} disabled={saving}>Cancel</SecondaryButton>
+              </CurationBar>
+            </div>
+          ) : traits.length > 0 && (
             <div>
               <h3>Traits</h3>
               <TraitsList>
@@ -211,6 +332,20 @@ const AssetDetailPage = () => {
             </div>
           )}
 
+          {!editedTraitIds && (can('editTraits') || can('deleteAssets')) && (
+            <CurationBar>
+              {can('editTraits') && (
+                <SecondaryButton onClick={startEditingTraits} disabled={saving}>Edit traits</SecondaryButton>
+              )}
+              {can('deleteAssets') && (
+                <Button danger onClick={deleteAsset} disabled={saving}>
+                  {saving ? 'Deleting...' : 'Delete asset'}
+                </Button>
+              )}
+            </CurationBar>
+          )}
+          {actionError && <ActionError>{actionError}</ActionError>}
+
           <MetadataSection>
             <MetadataTitle>Metadata</MetadataTitle>
             <MetadataTable>
@@ -237,6 +372,15 @@ const AssetDetailPage = () => {
         </AssetInfo>
       </AssetContent>
 
+      {asset.asset_type === 'image_2d' && can('generate') && (
+        <VariantGenerator
+          key={asset.id}
+          asset={asset}
+          assetUrl={assetUrl}
+          onCreated={() => SupabaseService.getAsset(id).then(setAsset)}
+        />
+      )}
+
       <AssetRelationships 
         parent={asset.parent} 
         children={asset.children} 
@@ -1,8 +1,20 @@
 // src/pages/AssetsPage.jsx
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { useSearchParams, Link } from 'react-router-dom';
 import styled from 'styled-components';
 import AssetCard from '../components/AssetCard';
+import ErrorDisplay from '../components/ErrorDisplay';
+import VirtualGrid from '../components/VirtualGrid';
+import useSupabaseChanges from '../hooks/useSupabaseChanges';
+import useAuth from '../hooks/useAuth';
 import SupabaseService from '../services/supabaseService';
+import {
+  EMPTY_FILTERS,
+  parseAssetFilters,
+  serializeAssetFilters,
+  hasAssetFilters,
+  toAssetQuery
+} from '../utils/asset-filters';
 
 const PageContainer = styled.div`
   max-width: 1200px;
@@ -19,8 +31,10 @@ const PageHeader = styled.div`
 
 const FilterContainer = styled.div`
   display: flex;
+  flex-wrap: wrap;
+  align-items: center;
   gap: 12px;
-  margin-bottom: 20px;
+  margin-bottom: 12px;
 `;
 
 const FilterSelect = styled.select`
@@ -29,12 +43,140 @@ const FilterSelect = styled.select`
   border: 1px solid #ddd;
 `;
 
-const AssetsGrid = styled.div`
-  display: grid;
-  grid-template-columns: repeat(auto-fill, minmax(300px, 1fr));
-  gap: 24px;
+const FilterInput = styled.input`
+  padding: 8px 12px;
+  border-radius: 4px;
+  border: 1px solid #ddd;
+`;
+
+const SeedInput = styled(FilterInput)`
+  width: 110px;
+`;
+
+const FilterLabel = styled.label`
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  color: #555;
+  font-size: 0.9rem;
+`;
+
+const OwnerToggle = styled.div`
+  display: flex;
+
+  button {
+    padding: 8px 12px;
+    border: 1px solid #ddd;
+    background-color: white;
+    color: #555;
+    cursor: pointer;
+  }
+
+  button:first-child {
+    border-radius: 4px 0 0 4px;
+  }
+
+  button:last-child {
+    border-radius: 0 4px 4px 0;
+    border-left: none;
+  }
+
+  button[aria-pressed='true'] {
+    background-color: #007bff;
+    border-color: #007bff;
+    color: white;
+  }
+`;
+
+const SearchInput = styled(FilterInput)`
+  flex: 1;
+  min-width: 240px;
+`;
+
+const TraitFilters = styled.details`
+  margin-bottom: 20px;
+
+  summary {
+    cursor: pointer;
+    color: #555;
+    margin-bottom: 8px;
+  }
 `;
 
+const TraitGroup = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 8px;
+  margin-bottom: 8px;
+
+  strong {
+    min-width: 100px;
+    color: #555;
+    font-weight: normal;
+  }
+`;
+
+const TraitChip = styled.button`
+  background-color: ${props => props.selected ? '#e6f3ff' : '#f5f5f5'};
+  padding: 6px 10px;
+  border-radius: 4px;
+  cursor: pointer;
+  border: 1px solid ${props => props.selected ? '#b3d9ff' : '#e0e0e0'};
+  transition: all 0.2s ease;
+
+  &:hover {
+    background-color: ${props => props.selected ? '#d1e7ff' : '#e9e9e9'};
+  }
+`;
+
+const SessionChip = styled.span`
+  background-color: #e6f3ff;
+  border: 1px solid #b3d9ff;
+  padding: 6px 10px;
+  border-radius: 4px;
+
+  a {
+    color: #007bff;
+    text-decoration: none;
+  }
+
+  button {
+    border: none;
+    background: none;
+    cursor: pointer;
+    color: #666;
+    margin-left: 6px;
+  }
+`;
+
+const ClearButton = styled.button`
+  background: none;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  padding: 8px 12px;
+  cursor: pointer;
+  color: #555;
+`;
+
+const LoadingMore = styled.p`
+  text-align: center;
+  color: #666;
+`;
+
+// An AssetCard is its square image plus about this much, margins included
+const CARD_CHROME_HEIGHT = 220;
+const getRowHeight = (columnWidth) => columnWidth + CARD_CHROME_HEIGHT;
+
+// Realtime changes arriving within this long of each other are fetched together
+const CHANGE_BATCH_DELAY = 250; // ms
+
+// The order of getAssets: newest first, ties broken by id
+const compareAssets = (a, b) => b.created_at.localeCompare(a.created_at) || b.id.localeCompare(a.id);
+
+// Typing only reloads the library once it pauses for this long
+const FILTER_DEBOUNCE = 300; // ms
+
 const EmptyState = styled.div`
   text-align: center;
   padding: 40px;
@@ -44,31 +186,187 @@ const EmptyState = styled.div`
 `;
 
 const AssetsPage = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const queryString = searchParams.toString();
+  // The query string is the source of truth, so filtered views can be shared
+  const filters = useMemo(() => parseAssetFilters(new URLSearchParams(queryString)), [queryString]);
+  const [draft, setDraft] = useState(filters);
   const [assets, setAssets] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [assetTypeFilter, setAssetTypeFilter] = useState('');
-  
+  const [loadingMore, setLoadingMore] = useState(false);
+  // Set when a page failed to load; scrolling won't load more until a retry
+  const [loadMoreError, setLoadMoreError] = useState(null);
+  // Set when the first page failed to load, shown instead of the empty library
+  const [loadError, setLoadError] = useState(null);
+  const [traits, setTraits] = useState([]);
+  const [models, setModels] = useState([]);
+  // Pages of a filter that has since changed are dropped
+  const requestRef = useRef(0);
+  const cursorRef = useRef(null);
+  const pendingChanges = useRef({ ids: new Set(), timer: null });
+  // Trait chips start expanded when the link already selects some
+  const [traitsOpen] = useState(filters.traitIds.length > 0);
+
   useEffect(() => {
-    const loadAssets = async () => {
-      try {
-        setLoading(true);
-        const options = {};
-        
-        if (assetTypeFilter) {
-          options.assetType = assetTypeFilter;
-        }
-        
-        const assetsData = await SupabaseService.getAssets(options);
-        setAssets(assetsData);
-      } catch (error) {
-        console.error('Error loading assets:', error);
-      } finally {
+    SupabaseService.getTraits()
+      .then(setTraits)
+      .catch(error => console.error('Error loading traits:', error));
+    SupabaseService.getAssetModels()
+      .then(setModels)
+      .catch(error => console.error('Error loading models:', error));
+  }, []);
+
+  // Follow the query string when it changes from outside, e.g. on back/forward
+  useEffect(() => {
+    setDraft(prev => serializeAssetFilters(prev).toString() === queryString
+      ? prev
+      : parseAssetFilters(new URLSearchParams(queryString)));
+  }, [queryString]);
+
+  useEffect(() => {
+    const next = serializeAssetFilters(draft);
+    if (next.toString() === queryString) return;
+    const timer = setTimeout(() => setSearchParams(next, { replace: true }), FILTER_DEBOUNCE);
+    return () => clearTimeout(timer);
+  }, [draft, queryString, setSearchParams]);
+
+  const { user } = useAuth();
+  const userId = user?.id;
+  const query = useMemo(() => toAssetQuery(filters, { userId }), [filters, userId]);
+
+  const loadFirstPage = useCallback(async ({ quiet = false } = {}) => {
+    const request = ++requestRef.current;
+    try {
+      if (!quiet) setLoading(true);
+      const page = await SupabaseService.getAssets(query);
+      if (request !== requestRef.current) return;
+      setAssets(page.assets);
+      setNextCursor(page.nextCursor);
+      setLoadMoreError(null);
+      setLoadError(null);
+    } catch (error) {
+      console.error('Error loading assets:', error);
+      if (request === requestRef.current && !quiet) {
+        setAssets([]);
+        setNextCursor(null);
+        setLoadError(error);
+      }
+    } finally {
+      if (request === requestRef.current) {
         setLoading(false);
       }
-    };
+    }
+  }, [query]);
+
+  useEffect(() => {
+    loadFirstPage();
+  }, [loadFirstPage]);
+
+  useEffect(() => {
+    cursorRef.current = nextCursor;
+  }, [nextCursor]);
 
-    loadAssets();
-  }, [assetTypeFilter]);
+  // Re-read changed assets with the current filters: ones that match are
+  // added or updated in place, ones that no longer match are dropped
+  const refreshAssets = useCallback(async (ids) => {
+    const request = requestRef.current;
+    try {
+      const { assets: matching } = await SupabaseService.getAssets({ ...query, ids, limit: ids.length });
+      if (request !== requestRef.current) return;
+      const cursor = cursorRef.current;
+      const byId = new Map(matching.map(asset => [asset.id, asset]));
+      setAssets(prev => {
+        const kept = prev
+          .filter(asset => !ids.includes(asset.id) || byId.has(asset.id))
+          .map(asset => byId.get(asset.id) || asset);
+        // Assets past the loaded pages arrive with loadMore
+        const added = matching.filter(asset =>
+          !prev.some(loaded => loaded.id === asset.id) &&
+          (!cursor || compareAssets(asset, { created_at: cursor.createdAt, id: cursor.id }) < 0)
+        );
+        return added.length > 0 ? [...kept, ...added].sort(compareAssets) : kept;
+      });
+    } catch (error) {
+      console.error('Error refreshing assets:', error);
+    }
+  }, [query]);
+
+  useEffect(() => {
+    const pending = pendingChanges.current;
+    return () => clearTimeout(pending.timer);
+  }, []);
+
+  // An ingest writes the asset, then its traits and session link, so changes
+  // to an asset are collected for a moment and re-read together
+  useSupabaseChanges(['assets', 'session_assets'], (change) => {
+    if (change.table === 'assets' && change.eventType === 'DELETE') {
+      setAssets(prev => prev.filter(asset => asset.id !== change.old.id));
+      return;
+    }
+    const assetId = change.table === 'assets' ? change.new.id : change.new.asset_id;
+    if (!assetId) return;
+
+    const pending = pendingChanges.current;
+    pending.ids.add(assetId);
+    clearTimeout(pending.timer);
+    pending.timer = setTimeout(() => {
+      const ids = [...pending.ids];
+      pending.ids.clear();
+      refreshAssets(ids);
+    }, CHANGE_BATCH_DELAY);
+  }, () => loadFirstPage({ quiet: true }));
+
+  /**
+   * Load the page after the last loaded asset
+   * @param {Object} options
+   * @param {boolean} options.retry - Try again after a failed page
+   */
+  const loadMore = useCallback(async ({ retry = false } = {}) => {
+    if (!nextCursor || loadingMore || (loadMoreError && !retry)) return;
+    const request = requestRef.current;
+    try {
+      setLoadingMore(true);
+      setLoadMoreError(null);
+      const page = await SupabaseService.getAssets({ ...query, cursor: nextCursor });
+      if (request !== requestRef.current) return;
+      setAssets(prev => [...prev, ...page.assets]);
+      setNextCursor(page.nextCursor);
+    } catch (error) {
+      console.error('Error loading more assets:', error);
+      if (request === requestRef.current) {
+        setLoadMoreError(error);
+      }
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [nextCursor, loadingMore, loadMoreError, query]);
+
+  const traitGroups = useMemo(() => {
+    const groups = {};
+    traits.forEach(trait => {
+      groups[trait.trait_type] = [...(groups[trait.trait_type] || []), trait];
+    });
+    return Object.entries(groups).sort(([a], [b]) => a.localeCompare(b));
+  }, [traits]);
+
+  const updateFilter = (key, value) => {
+    setDraft(prev => ({ ...prev, [key]: value }));
+  };
+
+  const toggleTrait = (traitId) => {
+    setDraft(prev => ({
+      ...prev,
+      traitIds: prev.traitIds.includes(traitId)
+        ? prev.traitIds.filter(id => id !== traitId)
+        : [...prev.traitIds, traitId]
+    }));
+  };
+
+  const clearFilters = () => {
+    setDraft(EMPTY_FILTERS);
+    setSearchParams(new URLSearchParams(), { replace: true });
+  };
 
   return (
     <PageContainer>
@@ -77,9 +375,31 @@ const AssetsPage = () => {
       </PageHeader>
 
       <FilterContainer>
-        <FilterSelect 
-          value={assetTypeFilter} 
-          onChange={(e) => setAssetTypeFilter(e.target.value)}
+        <OwnerToggle>
+          <button
+            type="button"
+            aria-pressed={draft.owner === 'mine'}
+            onClick={() => updateFilter('owner', 'mine')}
+          >
+            Mine
+          </button>
+          <button
+            type="button"
+            aria-pressed={draft.owner !== 'mine'}
+            onClick={() => updateFilter('owner', '')}
+          >
+            Everyone
+          </button>
+        </OwnerToggle>
+        <SearchInput
+          type="search"
+          placeholder='Search prompts, e.g. rusted truck -tank or "desert camo"'
+          value={draft.search}
+          onChange={(e) => updateFilter('search', e.target.value)}
+        />
+        <FilterSelect
+          value={draft.assetType}
+          onChange={(e) => updateFilter('assetType', e.target.value)}
         >
           <option value="">All Asset Types</option>
           <option value="prompt">Prompts</option>
@@ -88,19 +408,131 @@ const AssetsPage = () => {
           <option value="orthogonal_view">Orthogonal Views</option>
           <option value="final_model">Final Models</option>
         </FilterSelect>
+        <FilterSelect
+          value={draft.status}
+          onChange={(e) => updateFilter('status', e.target.value)}
+        >
+          <option value="">All Statuses</option>
+          <option value="complete">Complete</option>
+          <option value="in_progress">In Progress</option>
+          <option value="failed">Failed</option>
+        </FilterSelect>
+      </FilterContainer>
+
+      <FilterContainer>
+        <FilterLabel>
+          Model
+          <FilterInput
+            list="asset-filter-models"
+            placeholder="Any"
+            value={draft.model}
+            onChange={(e) => updateFilter('model', e.target.value)}
+          />
+          <datalist id="asset-filter-models">
+            {models.map(model => <option key={model} value={model} />)}
+          </datalist>
+        </FilterLabel>
+        <FilterLabel>
+          Seed
+          <SeedInput
+            type="number"
+            min="0"
+            placeholder="From"
+            value={draft.seedMin}
+            onChange={(e) => updateFilter('seedMin', e.target.value)}
+          />
+          –
+          <SeedInput
+            type="number"
+            min="0"
+            placeholder="To"
+            value={draft.seedMax}
+            onChange={(e) => updateFilter('seedMax', e.target.value)}
+          />
+        </FilterLabel>
+        <FilterLabel>
+          Created
+          <FilterInput
+            type="date"
+            value={draft.from}
+            max={draft.to || undefined}
+            onChange={(e) => updateFilter('from', e.target.value)}
+          />
+          –
+          <FilterInput
+            type="date"
+            value={draft.to}
+            min={draft.from || undefined}
+            onChange={(e) => updateFilter('to', e.target.value)}
+          />
+        </FilterLabel>
+        {draft.sessionId && (
+          <SessionChip>
+            From <Link to={`/sessions/${draft.sessionId}`}>session {draft.sessionId.substring(0, 8)}</Link>
+            <button type="button" title="Show all sessions" onClick={() => updateFilter('sessionId', '')}>×</button>
+          </SessionChip>
+        )}
+        {hasAssetFilters(draft) && (
+          <ClearButton type="button" onClick={clearFilters}>Clear filters</ClearButton>
+        )}
       </FilterContainer>
+
+      {traitGroups.length > 0 && (
+        <TraitFilters open={traitsOpen}>
+          <summary>
+            Traits{draft.traitIds.length > 0 && ` (${draft.traitIds.length} selected, assets need all of them)`}
+          </summary>
+          {traitGroups.map(([traitType, groupTraits]) => (
+            <TraitGroup key={traitType}>
+              <strong>{traitType}</strong>
+              {groupTraits.map(trait => (
+                <TraitChip
+                  key={trait.id}
+                  type="button"
+                  selected={draft.traitIds.includes(trait.id)}
+                  onClick={() => toggleTrait(trait.id)}
+                >
+                  {trait.trait_value}
+                </TraitChip>
+              ))}
+            </TraitGroup>
+          ))}
+        </TraitFilters>
+      )}
+
       {loading ? (
         <p>Loading assets...</p>
+      ) : loadError ? (
+        <>
+          <ErrorDisplay message={`Could not load assets: ${loadError.message}`} />
+          <ClearButton onClick={() => loadFirstPage()}>Retry</ClearButton>
+        </>
       ) : assets.length > 0 ? (
-        <AssetsGrid>
-          {assets.map(asset => (
-            <AssetCard key={asset.id} asset={asset} />
-          ))}
-        </AssetsGrid>
+        <>
+          <VirtualGrid
+            items={assets}
+            getKey={asset => asset.id}
+            renderItem={asset => <AssetCard asset={asset} />}
+            minColumnWidth={300}
+            getRowHeight={getRowHeight}
+            onEndReached={() => loadMore()}
+          />
+          {loadingMore && <LoadingMore>Loading more assets...</LoadingMore>}
+          {loadMoreError && !loadingMore && (
+            <LoadingMore>
+              Could not load more assets.{' '}
+              <ClearButton onClick={() => loadMore({ retry: true })}>Retry</ClearButton>
+            </LoadingMore>
+          )}
+        </>
       ) : (
         <EmptyState>
           <h3>No assets found</h3>
-          <p>Try changing your filters or generate new assets</p>
+          <p>
+            {hasAssetFilters(filters)
+              ? 'No assets match these filters. Try removing some of them.'
+              : 'Generate some assets to fill the library'}
+          </p>
         </EmptyState>
       )}
     </PageContainer>
@@ -2,6 +2,7 @@
 import React from 'react';
 import styled from 'styled-components';
 import GenerationForm from '../components/GenerationForm';
+import QueuePanel from '../components/QueuePanel';
 import { Link } from 'react-router-dom';
 
 const PageContainer = styled.div`
@@ -32,6 +33,8 @@ const GenerationPage = () => {
 
       <GenerationForm />
 
+      <QueuePanel />
+
       <InfoSection>
         <h3>How it works</h3>
         <p>
@@ -0,0 +1,142 @@
+// src/pages/LoginPage.jsx
+import React, { useState } from 'react';
+import { Navigate, useLocation, useNavigate, Link } from 'react-router-dom';
+import styled from 'styled-components';
+import config from '../config';
+import authService from '../services/authService';
+import useAuth from '../hooks/useAuth';
+
+const PageContainer = styled.div`
+  max-width: 420px;
+  margin: 0 auto;
+  padding: 48px 24px;
+`;
+
+const Panel = styled.form`
+  background-color: #fff;
+  border-radius: 8px;
+  padding: 24px;
+  box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);
+
+  h1 {
+    margin-top: 0;
+    font-size: 1.5rem;
+  }
+`;
+
+const FormGroup = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 6px;
+  margin-bottom: 16px;
+`;
+
+const Label = styled.label`
+  font-weight: bold;
+  color: #333;
+`;
+
+const Input = styled.input`
+  padding: 10px;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  font-size: 1rem;
+`;
+
+const Button = styled.button`
+  width: 100%;
+  background-color: #007bff;
+  color: white;
+  border: none;
+  border-radius: 4px;
+  padding: 12px;
+  font-size: 1rem;
+  cursor: pointer;
+
+  &:disabled {
+    background-color: #cccccc;
+    cursor: not-allowed;
+  }
+`;
+
+const ErrorMessage = styled.p`
+  color: #c62828;
+`;
+
+const Hint = styled.p`
+  color: #777;
+  font-size: 0.9rem;
+`;
+
+const LoginPage = () => {
+  const { user, ready } = useAuth();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [signingIn, setSigningIn] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Back to the page that asked for a sign-in
+  const from = location.state?.from?.pathname
+    ? `${location.state.from.pathname}${location.state.from.search || ''}`
+    : '/assets';
+
+  if (ready && user && !signingIn) {
+    return <Navigate to={from} replace />;
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSigningIn(true);
+    setError(null);
+    try {
+      await authService.signIn(email.trim(), password);
+      navigate(from, { replace: true });
+    } catch (error) {
+      console.error('Error signing in:', error);
+      setError(error.message);
+      setSigningIn(false);
+    }
+  };
+
+  return (
+    <PageContainer>
+      <Panel onSubmit={handleSubmit}>
+        <h1>Sign in</h1>
+        <FormGroup>
+          <Label htmlFor="login-email">Email</Label>
+          <Input
+            id="login-email"
+            type="email"
+            autoComplete="username"
+            required
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+          />
+        </FormGroup>
+        <FormGroup>
+          <Label htmlFor="login-password">Password</Label>
+          <Input
+            id="login-password"
+            type="password"
+            autoComplete="current-password"
+            required
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+          />
+        </FormGroup>
+        {error && <ErrorMessage>{error}</ErrorMessage>}
+        <Button type="submit" disabled={signingIn || !config.supabaseUrl}>
+          {signingIn ? 'Signing in...' : 'Sign in'}
+        </Button>
+        {!config.supabaseUrl && (
+          <Hint>Supabase is not configured yet. Set the project on the <Link to="/settings">Settings</Link> page first.</Hint>
+        )}
+        <Hint>Accounts are created by the project's admin in Supabase.</Hint>
+      </Panel>
+    </PageContainer>
+  );
+};
+
+export default LoginPage;
@@ -0,0 +1,36 @@
+// src/pages/ServerPage.jsx
+import React from 'react';
+import styled from 'styled-components';
+import ComfyUIDiagnosticTool from '../components/ComfyUIDiagnosticTool';
+import SystemStatsDashboard from '../components/SystemStatsDashboard';
+import CorsConfigGuide from '../components/CorsConfigGuide';
+
+const PageContainer = styled.div`
+  max-width: 900px;
+  margin: 0 auto;
+  padding: 24px;
+`;
+
+const PageHeader = styled.div`
+  margin-bottom: 24px;
+  text-align: center;
+`;
+
+const ServerPage = () => {
+  return (
+    <PageContainer>
+      <PageHeader>
+        <h1>ComfyUI Server</h1>
+        <p>Watch the ComfyUI servers and check that they are set up for this app</p>
+      </PageHeader>
+
+      <SystemStatsDashboard />
+
+      <ComfyUIDiagnosticTool />
+
+      <CorsConfigGuide />
+    </PageContainer>
+  );
+};
+
+export default ServerPage;
@@ -0,0 +1,450 @@
+// src/pages/SessionDetailPage.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import styled from 'styled-components';
+import AssetCard from '../components/AssetCard';
+import SupabaseService from '../services/supabaseService';
+import { canRerun, getWorkflowSeed, rerunSession } from '../services/generationRerun';
+import useSupabaseChanges from '../hooks/useSupabaseChanges';
+import useAuth from '../hooks/useAuth';
+
+const PageContainer = styled.div`
+  max-width: 1000px;
+  margin: 0 auto;
+  padding: 24px;
+`;
+
+const Breadcrumbs = styled.div`
+  margin-bottom: 20px;
+  color: #666;
+
+  a {
+    color: #007bff;
+    text-decoration: none;
+
+    &:hover {
+      text-decoration: underline;
+    }
+  }
+`;
+
+const SessionHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 16px;
+  margin-bottom: 24px;
+
+  h1 {
+    margin: 0;
+  }
+`;
+
+const StatusBadge = styled.span`
+  display: inline-block;
+  padding: 4px 10px;
+  border-radius: 50px;
+  font-size: 0.8rem;
+  background-color: ${props => {
+    switch(props.status) {
+      case 'completed': return '#e8f5e9';
+      case 'in_progress': return '#fff8e1';
+      case 'failed': return '#ffebee';
+      case 'cancelled': return '#eceff1';
+      default: return '#e0e0e0';
+    }
+  }};
+  color: ${props => {
+    switch(props.status) {
+      case 'completed': return '#2e7d32';
+      case 'in_progress': return '#f57c00';
+      case 'failed': return '#c62828';
+      case 'cancelled': return '#546e7a';
+      default: return '#616161';
+    }
+  }};
+`;
+
+const ErrorBox = styled.div`
+  background-color: #ffebee;
+  color: #c62828;
+  border-radius: 4px;
+  padding: 12px 16px;
+  margin-bottom: 24px;
+`;
+
+const Columns = styled.div`
+  display: grid;
+  grid-template-columns: 1fr 1fr;
+  gap: 30px;
+  margin-bottom: 30px;
+
+  @media (max-width: 768px) {
+    grid-template-columns: 1fr;
+  }
+`;
+
+const SectionTitle = styled.h3`
+  margin-bottom: 10px;
+  color: #333;
+`;
+
+const MetadataTable = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+
+  th, td {
+    padding: 8px;
+    text-align: left;
+    border-bottom: 1px solid #ddd;
+  }
+
+  th {
+    color: #555;
+    font-weight: normal;
+  }
+`;
+
+const TraitsList = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 8px;
+  margin-top: 8px;
+`;
+
+const TraitTag = styled.span`
+  background-color: #007bff;
+  color: white;
+  padding: 4px 10px;
+  border-radius: 4px;
+  font-size: 0.9rem;
+`;
+
+const Timeline = styled.ol`
+  list-style: none;
+  padding: 0;
+  margin: 0;
+  border-left: 2px solid #ddd;
+
+  li {
+    padding: 0 0 12px 16px;
+  }
+
+  span {
+    color: #666;
+    font-size: 0.9rem;
+    margin-left: 8px;
+  }
+`;
+
+const RerunBar = styled.div`
+  display: flex;
+  align-items: center;
+  flex-wrap: wrap;
+  gap: 12px;
+  margin-bottom: 30px;
+`;
+
+const Button = styled.button`
+  background-color: #007bff;
+  color: white;
+  border: none;
+  border-radius: 4px;
+  padding: 10px 16px;
+  cursor: pointer;
+
+  &:disabled {
+    background-color: #cccccc;
+    cursor: not-allowed;
+  }
+`;
+
+const StatusText = styled.span`
+  color: ${props => props.error ? '#c62828' : '#555'};
+`;
+
+const LibraryLink = styled(Link)`
+  margin-left: 12px;
+  font-size: 0.9rem;
+  font-weight: normal;
+  color: #007bff;
+`;
+
+const AssetGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(220px, 1fr));
+  gap: 16px;
+`;
+
+const Details = styled.details`
+  margin-bottom: 16px;
+
+  pre {
+    background-color: #fff;
+    border: 1px solid #ddd;
+    border-radius: 4px;
+    padding: 12px;
+    overflow: auto;
+    max-height: 400px;
+    font-size: 0.8rem;
+  }
+`;
+
+const STATUS_LABELS = {
+  'initiated': 'Initiated',
+  'in_progress': 'In Progress',
+  'completed': 'Completed',
+  'failed': 'Failed',
+  'cancelled': 'Cancelled'
+};
+
+const getStatusLabel = (status) => STATUS_LABELS[status] || status;
+
+const formatDate = (dateString) => new Date(dateString).toLocaleString();
+
+// The settings worth a glance, read from the workflow's nodes
+const summarizeWorkflow = (workflow = {}) => {
+  const nodes = Object.values(workflow);
+  const byType = (...types) => nodes.find(node => types.includes(node.class_type))?.inputs || {};
+  const sampler = byType('KSampler', 'KSamplerAdvanced');
+  const latent = byType('EmptyLatentImage');
+
+  return {
+    Model: byType('CheckpointLoaderSimple').ckpt_name,
+    Seed: getWorkflowSeed(workflow),
+    Steps: sampler.steps,
+    CFG: sampler.cfg,
+    Sampler: sampler.sampler_name && `${sampler.sampler_name} (${sampler.scheduler})`,
+    Denoise: sampler.denoise,
+    Size: latent.width && `${latent.width}×${latent.height}`,
+    'Source image': byType('LoadImage').image
+  };
+};
+
+// Older sessions have no timeline; their creation time and current status are all there is
+const getTimeline = (session) => session.parameters?.timeline?.length > 0
+  ? session.parameters.timeline
+  : [{ status: 'initiated', at: session.created_at }];
+
+const SessionDetailPage = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [session, setSession] = useState(null);
+  const [traits, setTraits] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [rerunning, setRerunning] = useState(false);
+  const [rerunStatus, setRerunStatus] = useState({ message: '', error: false });
+  const { can } = useAuth();
+
+  const loadSession = useCallback(async ({ quiet = false } = {}) => {
+    try {
+      if (!quiet) {
+        setLoading(true);
+        setError(null);
+      }
+      const sessionData = await SupabaseService.getSession(id);
+      setSession(sessionData);
+
+      const traitIds = sessionData.parameters?.traits || sessionData.parameters?.ingest?.trait_ids || [];
+      if (traitIds.length > 0) {
+        const allTraits = await SupabaseService.getTraits();
+        setTraits(allTraits.filter(trait => traitIds.includes(trait.id)));
+      } else {
+        setTraits([]);
+      }
+    } catch (error) {
+      console.error('Error loading session:', error);
+      // A failed refresh keeps showing what was loaded
+      if (!quiet) {
+        setError('Failed to load session. Please try again.');
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    loadSession();
+  }, [loadSession]);
+
+  // Follow the session while it runs, e.g. a generation finishing in another tab
+  useSupabaseChanges(['generation_sessions', 'session_assets'], (change) => {
+    const row = change.eventType === 'DELETE' ? change.old : change.new;
+    const sessionId = change.table === 'generation_sessions' ? row.id : row.session_id;
+    if (sessionId === id) {
+      loadSession({ quiet: true });
+    }
+  }, () => loadSession({ quiet: true }));
+
+  const handleRerun = async (newSeed) => {
+    setRerunning(true);
+    setRerunStatus({ message: '', error: false });
+    let rerunId = null;
+    try {
+      await rerunSession(session, {
+        newSeed,
+        onStatus: (message) => {
+          if (!rerunId) setRerunStatus({ message, error: false });
+        },
+        // The new session's page follows the run live, and keeps working if it is left
+        onQueued: (rerun) => {
+          rerunId = rerun.id;
+          setRerunStatus({ message: '', error: false });
+          setRerunning(false);
+          navigate(`/sessions/${rerun.id}`);
+        }
+      });
+    } catch (error) {
+      console.error('Error re-running session:', error);
+      // Once queued, the failure shows on the re-run's own page
+      if (!rerunId) {
+        setRerunStatus({ message: `Re-run failed: ${error.message}`, error: true });
+      }
+    } finally {
+      if (!rerunId) {
+        setRerunning(false);
+      }
+    }
+  };
+
+  if (loading) {
+    return (
+      <PageContainer>
+        <p>Loading session...</p>
+      </PageContainer>
+    );
+  }
+
+  if (error || !session) {
+    return (
+      <PageContainer>
+        <p>{error || 'Session not found'}</p>
+        <Link to="/sessions">Back to Sessions</Link>
+      </PageContainer>
+    );
+  }
+
+  const { workflow, timeline: _timeline, ...parameters } = session.parameters || {};
+  const settings = Object.entries({
+    Prompt: parameters.prompt,
+    ...summarizeWorkflow(workflow),
+    ...(!workflow && {
+      Model: parameters.ingest?.metadata?.model,
+      Seed: parameters.seed ?? parameters.ingest?.metadata?.seed
+    }),
+    Server: parameters.server,
+    'Prompt ID': parameters.prompt_id,
+    Source: parameters.source,
+    'Re-run of': parameters.rerun_of
+  }).filter(([, value]) => value !== undefined && value !== null && value !== '');
+
+  return (
+    <PageContainer>
+      <Breadcrumbs>
+        <Link to="/sessions">Sessions</Link> &gt; Session {session.id.substring(0, 8)}
+      </Breadcrumbs>
+
+      <SessionHeader>
+        <h1>Session {session.id.substring(0, 8)}</h1>
+        <StatusBadge status={session.status}>{getStatusLabel(session.status)}</StatusBadge>
+      </SessionHeader>
+
+      {parameters.error && (
+        <ErrorBox>
+          <strong>Error:</strong> {parameters.error}
+        </ErrorBox>
+      )}
+
+      {can('generate') && (
+        <RerunBar>
+          <Button disabled={rerunning || !canRerun(session)} onClick={() => handleRerun(false)}>
+            Re-run with same settings
+          </Button>
+          <Button disabled={rerunning || !canRerun(session)} onClick={() => handleRerun(true)}>
+            Re-run with new seed
+          </Button>
+          {!canRerun(session) && (
+            <StatusText>This session was created before workflows were stored, so it can't be run again.</StatusText>
+          )}
+          {rerunStatus.message && <StatusText error={rerunStatus.error}>{rerunStatus.message}</StatusText>}
+        </RerunBar>
+      )}
+
+      <Columns>
+        <div>
+          <SectionTitle>Settings</SectionTitle>
+          <MetadataTable>
+            <tbody>
+              {settings.map(([label, value]) => (
+                <tr key={label}>
+                  <th>{label}</th>
+                  <td>
+                    {label === 'Re-run of'
+                      ? <Link to={`/sessions/${value}`}>Session {value.substring(0, 8)}</Link>
+                      : value.toString()}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </MetadataTable>
+
+          {traits.length > 0 && (
+            <>
+              <SectionTitle>Traits</SectionTitle>
+              <TraitsList>
+                {traits.map(trait => (
+                  <TraitTag key={trait.id}>
+                    {trait.trait_type}: {trait.trait_value}
+                  </TraitTag>
+                ))}
+              </TraitsList>
+            </>
+          )}
+        </div>
+
+        <div>
+          <SectionTitle>Timeline</SectionTitle>
+          <Timeline>
+            {getTimeline(session).map((entry, index) => (
+              <li key={index}>
+                <StatusBadge status={entry.status}>{getStatusLabel(entry.status)}</StatusBadge>
+                <span>{formatDate(entry.at)}</span>
+              </li>
+            ))}
+          </Timeline>
+        </div>
+      </Columns>
+
+      <Details>
+        <summary>All parameters</summary>
+        <pre>{JSON.stringify(parameters, null, 2)}</pre>
+      </Details>
+
+      {workflow && (
+        <Details>
+          <summary>Workflow</summary>
+          <pre>{JSON.stringify(workflow, null, 2)}</pre>
+        </Details>
+      )}
+
+      <SectionTitle>
+        Assets ({session.assets.length})
+        {session.assets.length > 0 && (
+          <LibraryLink to={`/assets?session=${session.id}`}>Filter the library by this session</LibraryLink>
+        )}
+      </SectionTitle>
+      {session.assets.length > 0 ? (
+        <AssetGrid>
+          {session.assets.map(asset => (
+            <AssetCard key={asset.id} asset={asset} />
+          ))}
+        </AssetGrid>
+      ) : (
+        <p>This session has not produced any assets.</p>
+      )}
+    </PageContainer>
+  );
+};
+
+export default SessionDetailPage;
@@ -1,8 +1,10 @@
 // src/pages/SessionsPage.jsx
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { Link } from 'react-router-dom';
 import styled from 'styled-components';
 import SupabaseService from '../services/supabaseService';
+import useSupabaseChanges from '../hooks/useSupabaseChanges';
+import useAuth from '../hooks/useAuth';
 
 const PageContainer = styled.div`
   max-width: 1200px;
@@ -57,6 +59,7 @@ const StatusBadge = styled.span`
       case 'completed': return '#e8f5e9';
       case 'in_progress': return '#fff8e1';
       case 'failed': return '#ffebee';
+      case 'cancelled': return '#eceff1';
       default: return '#e0e0e0';
     }
   }};
@@ -65,6 +68,7 @@ const StatusBadge = styled.span`
       case 'completed': return '#2e7d32';
       case 'in_progress': return '#f57c00';
       case 'failed': return '#c62828';
+      case 'cancelled': return '#546e7a';
       default: return '#616161';
     }
   }};
@@ -79,29 +83,42 @@ const SessionDetails = styled.div`
 const SessionsPage = () => {
   const [sessions, setSessions] = useState([]);
   const [loading, setLoading] = useState(true);
+  const { can } = useAuth();
+
+  const loadSessions = useCallback(async ({ quiet = false } = {}) => {
+    try {
+      if (!quiet) setLoading(true);
+      const sessionsData = await SupabaseService.getSessions();
+      setSessions(sessionsData);
+    } catch (error) {
+      console.error('Error loading sessions:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
 
   useEffect(() => {
-    const loadSessions = async () => {
-      try {
-        setLoading(true);
-        const sessionsData = await SupabaseService.getSessions();
-        setSessions(sessionsData);
-      } catch (error) {
-        console.error('Error loading sessions:', error);
-      } finally {
-        setLoading(false);
-      }
-    };
-
     loadSessions();
-  }, []);
+  }, [loadSessions]);
+
+  // New sessions appear at the top and status changes show in place, from any tab or user
+  useSupabaseChanges(['generation_sessions'], (change) => {
+    if (change.eventType === 'DELETE') {
+      setSessions(prev => prev.filter(session => session.id !== change.old.id));
+    } else if (change.eventType === 'INSERT') {
+      setSessions(prev => prev.some(session => session.id === change.new.id) ? prev : [change.new, ...prev]);
+    } else {
+      setSessions(prev => prev.map(session => session.id === change.new.id ? change.new : session));
+    }
+  }, () => loadSessions({ quiet: true }));
 
   const getStatusLabel = (status) => {
     const statusMap = {
       'initiated': 'Initiated',
       'in_progress': 'In Progress',
       'completed': 'Completed',
-      'failed': 'Failed'
+      'failed': 'Failed',
+      'cancelled': 'Cancelled'
     };
     return statusMap[status] || status;
   };
@@ -114,9 +131,11 @@ const SessionsPage = () => {
     <PageContainer>
       <PageHeader>
         <h1>Generation Sessions</h1>
-        <Link to="/generate">
-          <button>New Generation</button>
-        </Link>
+        {can('generate') && (
+          <Link to="/generate">
+            <button>New Generation</button>
+          </Link>
+        )}
       </PageHeader>
 
       {loading ? (
@@ -152,10 +171,16 @@ const SessionsPage = () => {
         </SessionsList>
       ) : (
         <div>
-          <p>No generation sessions found. Start by creating a new generation.</p>
-          <Link to="/generate">
-            <button>Create First Generation</button>
-          </Link>
+          {can('generate') ? (
+            <>
+              <p>No generation sessions found. Start by creating a new generation.</p>
+              <Link to="/generate">
+                <button>Create First Generation</button>
+              </Link>
+            </>
+          ) : (
+            <p>No generation sessions found.</p>
+          )}
         </div>
       )}
     </PageContainer>
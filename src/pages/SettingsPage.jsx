@@ -0,0 +1,439 @@
+// src/pages/SettingsPage.jsx
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import {
+  getRuntimeSettings,
+  saveRuntimeSettings,
+  clearRuntimeSettings,
+  getSettingSource,
+  getBuildSetting,
+  validateSettings,
+  deriveWsUrl,
+  parseHeaders,
+  parseServerAuth
+} from '../config';
+import { testConnection } from '../utils/connection-test';
+
+const STATUS_COLORS = {
+  pass: '#2e7d32',
+  fail: '#c62828'
+};
+
+const SOURCE_LABELS = {
+  runtime: 'Saved in this browser',
+  env: 'From the build',
+  default: 'Default'
+};
+
+const PageContainer = styled.div`
+  max-width: 700px;
+  margin: 0 auto;
+  padding: 24px;
+`;
+
+const PageHeader = styled.div`
+  margin-bottom: 24px;
+  text-align: center;
+`;
+
+const Panel = styled.div`
+  background-color: #fff;
+  border-radius: 8px;
+  padding: 24px;
+  box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);
+  margin-bottom: 24px;
+
+  h2 {
+    margin-top: 0;
+  }
+`;
+
+const FormGroup = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 6px;
+  margin-bottom: 16px;
+`;
+
+const LabelRow = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: baseline;
+  gap: 8px;
+`;
+
+const Label = styled.label`
+  font-weight: bold;
+  color: #333;
+`;
+
+const SourceBadge = styled.span`
+  font-size: 0.75rem;
+  color: ${props => props.source === 'runtime' ? '#1565c0' : '#777'};
+`;
+
+const Input = styled.input`
+  padding: 10px;
+  border: 1px solid ${props => props.invalid ? '#c62828' : '#ddd'};
+  border-radius: 4px;
+  font-size: 1rem;
+  min-width: 0;
+`;
+
+const Hint = styled.small`
+  color: #777;
+`;
+
+const FieldError = styled.small`
+  color: #c62828;
+`;
+
+const CredentialRow = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 8px;
+  padding: 8px 0;
+  border-bottom: 1px solid #eee;
+
+  strong {
+    flex-basis: 100%;
+    font-size: 0.9rem;
+    word-break: break-all;
+  }
+
+  select {
+    padding: 9px;
+    border: 1px solid #ddd;
+    border-radius: 4px;
+  }
+`;
+
+const HeaderRow = styled.div`
+  display: grid;
+  grid-template-columns: 1fr 1.5fr auto;
+  gap: 8px;
+`;
+
+const SmallButton = styled.button`
+  padding: 6px 12px;
+  font-size: 0.85rem;
+  background-color: #757575;
+
+  &:hover {
+    background-color: #616161;
+  }
+`;
+
+const Actions = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 12px;
+
+  button:disabled {
+    background-color: #cccccc;
+    cursor: not-allowed;
+  }
+`;
+
+const ResultList = styled.ul`
+  list-style: none;
+  padding: 0;
+  margin: 16px 0 0;
+  display: flex;
+  flex-direction: column;
+  gap: 8px;
+`;
+
+const ResultItem = styled.li`
+  padding: 10px 12px;
+  border: 1px solid #e0e0e0;
+  border-left: 4px solid ${props => STATUS_COLORS[props.status]};
+  border-radius: 6px;
+  background-color: #f9f9f9;
+  font-size: 0.9rem;
+
+  strong {
+    color: ${props => STATUS_COLORS[props.status]};
+    margin-right: 6px;
+  }
+`;
+
+const toHeaderRows = (value) => {
+  const rows = Object.entries(parseHeaders(value)).map(([name, headerValue]) => ({ name, value: headerValue }));
+  return rows.length > 0 ? rows : [{ name: '', value: '' }];
+};
+
+// Header rows are stored as the JSON string VITE_COMFY_UI_HEADERS takes
+const fromHeaderRows = (rows) => {
+  const filled = rows.filter(row => row.name.trim() || row.value);
+  return filled.length > 0
+    ? JSON.stringify(Object.fromEntries(filled.map(row => [row.name.trim(), row.value])))
+    : '';
+};
+
+// Credentials are only kept for servers that are still listed
+const toAuthValue = (auth, serverUrls) => {
+  const entries = serverUrls
+    .filter(url => auth[url] && auth[url].type && auth[url].type !== 'none')
+    .map(url => [url, auth[url]]);
+  return entries.length > 0 ? JSON.stringify(Object.fromEntries(entries)) : '';
+};
+
+/**
+ * Connection settings kept in this browser's localStorage. Empty fields use
+ * the value the app was built with, so a deployed build can be pointed at
+ * another ComfyUI server or Supabase project without rebuilding it.
+ */
+const SettingsPage = () => {
+  const [values, setValues] = useState(() => getRuntimeSettings());
+  const [headerRows, setHeaderRows] = useState(() => toHeaderRows(getRuntimeSettings().comfyUiHeaders));
+  const [auth, setAuth] = useState(() => parseServerAuth(getRuntimeSettings().comfyUiAuth));
+  const [errors, setErrors] = useState({});
+  const [testing, setTesting] = useState(false);
+  const [results, setResults] = useState(null);
+
+  const serverUrls = [
+    values.comfyUiApi?.trim() || getBuildSetting('comfyUiApi'),
+    ...(values.comfyUiServers?.trim() || getBuildSetting('comfyUiServers')).split(',')
+  ]
+    .map(url => url.trim().replace(/\/+$/, ''))
+    .filter((url, index, all) => url && all.indexOf(url) === index);
+
+  const formValues = {
+    ...values,
+    comfyUiHeaders: fromHeaderRows(headerRows),
+    comfyUiAuth: toAuthValue(auth, serverUrls)
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setValues(prev => ({ ...prev, [name]: value }));
+    setErrors(prev => ({ ...prev, [name]: undefined }));
+  };
+
+  const handleHeaderChange = (index, field, value) => {
+    setHeaderRows(prev => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+    setErrors(prev => ({ ...prev, comfyUiHeaders: undefined }));
+  };
+
+  const handleAuthChange = (serverUrl, changes) => {
+    setAuth(prev => ({ ...prev, [serverUrl]: { ...prev[serverUrl], ...changes } }));
+    setErrors(prev => ({ ...prev, comfyUiAuth: undefined }));
+  };
+
+  const validate = () => {
+    const found = validateSettings(formValues);
+    setErrors(found);
+    return Object.keys(found).length === 0;
+  };
+
+  const handleTest = async () => {
+    if (!validate()) return;
+    setTesting(true);
+    setResults(null);
+    try {
+      setResults(await testConnection(formValues));
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  // Services pick up their servers when the app loads
+  const handleSave = () => {
+    if (!validate()) return;
+    saveRuntimeSettings(formValues);
+    window.location.reload();
+  };
+
+  const handleReset = () => {
+    if (!window.confirm('Forget the settings saved in this browser and use the build settings?')) return;
+    clearRuntimeSettings();
+    window.location.reload();
+  };
+
+  const derivedWs = deriveWsUrl(values.comfyUiApi?.trim() || getBuildSetting('comfyUiApi'));
+
+  const renderField = (key, label, { placeholder, hint, type = 'text' } = {}) => (
+    <FormGroup>
+      <LabelRow>
+        <Label htmlFor={key}>{label}</Label>
+        <SourceBadge source={getSettingSource(key)}>{SOURCE_LABELS[getSettingSource(key)]}</SourceBadge>
+      </LabelRow>
+      <Input
+        id={key}
+        name={key}
+        type={type}
+        value={values[key] || ''}
+        onChange={handleChange}
+        placeholder={placeholder ?? getBuildSetting(key)}
+        invalid={!!errors[key]}
+        autoComplete="off"
+      />
+      {errors[key] ? <FieldError>{errors[key]}</FieldError> : hint && <Hint>{hint}</Hint>}
+    </FormGroup>
+  );
+
+  return (
+    <PageContainer>
+      <PageHeader>
+        <h1>Settings</h1>
+        <p>Point this app at your own servers. Settings are kept in this browser; empty fields use the build settings.</p>
+      </PageHeader>
+
+      <Panel>
+        <h2>ComfyUI</h2>
+        {renderField('comfyUiApi', 'API URL', { hint: 'Base URL of the ComfyUI HTTP API' })}
+        {renderField('comfyUiWs', 'WebSocket URL', {
+          placeholder: values.comfyUiApi?.trim() ? derivedWs : (getBuildSetting('comfyUiWs') || derivedWs),
+          hint: 'Leave empty to use /ws on the API host'
+        })}
+        {renderField('comfyUiServers', 'Extra servers', {
+          hint: 'Comma separated base URLs of more ComfyUI servers to spread prompts over'
+        })}
+
+        <FormGroup>
+          <LabelRow>
+            <Label>Request headers</Label>
+            <SourceBadge source={getSettingSource('comfyUiHeaders')}>
+              {SOURCE_LABELS[getSettingSource('comfyUiHeaders')]}
+            </SourceBadge>
+          </LabelRow>
+          {headerRows.map((row, index) => (
+            <HeaderRow key={index}>
+              <Input
+                value={row.name}
+                onChange={(e) => handleHeaderChange(index, 'name', e.target.value)}
+                placeholder="Authorization"
+                aria-label="Header name"
+                invalid={!!errors.comfyUiHeaders}
+                autoComplete="off"
+              />
+              <Input
+                type="password"
+                value={row.value}
+                onChange={(e) => handleHeaderChange(index, 'value', e.target.value)}
+                placeholder="Bearer ..."
+                aria-label="Header value"
+                autoComplete="off"
+              />
+              <SmallButton
+                type="button"
+                onClick={() => setHeaderRows(prev => (prev.length > 1 ? prev.filter((_, i) => i !== index) : [{ name: '', value: '' }]))}
+              >
+                Remove
+              </SmallButton>
+            </HeaderRow>
+          ))}
+          <div>
+            <SmallButton type="button" onClick={() => setHeaderRows(prev => [...prev, { name: '', value: '' }])}>
+              Add Header
+            </SmallButton>
+          </div>
+          {errors.comfyUiHeaders
+            ? <FieldError>{errors.comfyUiHeaders}</FieldError>
+            : <Hint>Sent with every HTTP request to every ComfyUI server</Hint>}
+        </FormGroup>
+
+        <FormGroup>
+          <LabelRow>
+            <Label>Server credentials</Label>
+            <SourceBadge source={getSettingSource('comfyUiAuth')}>
+              {SOURCE_LABELS[getSettingSource('comfyUiAuth')]}
+            </SourceBadge>
+          </LabelRow>
+          {serverUrls.map(serverUrl => {
+            const credentials = auth[serverUrl] || {};
+            const type = credentials.type || 'none';
+            return (
+              <CredentialRow key={serverUrl}>
+                <strong>{serverUrl}</strong>
+                <select
+                  value={type}
+                  onChange={(e) => handleAuthChange(serverUrl, { type: e.target.value })}
+                  aria-label={`Credentials for ${serverUrl}`}
+                >
+                  <option value="none">No credentials</option>
+                  <option value="bearer">Bearer token</option>
+                  <option value="basic">Basic auth</option>
+                </select>
+                {type === 'bearer' && (
+                  <Input
+                    type="password"
+                    value={credentials.token || ''}
+                    onChange={(e) => handleAuthChange(serverUrl, { token: e.target.value })}
+                    placeholder="Token"
+                    aria-label="Token"
+                    autoComplete="off"
+                  />
+                )}
+                {type === 'basic' && (
+                  <>
+                    <Input
+                      value={credentials.username || ''}
+                      onChange={(e) => handleAuthChange(serverUrl, { username: e.target.value })}
+                      placeholder="User name"
+                      aria-label="User name"
+                      autoComplete="off"
+                    />
+                    <Input
+                      type="password"
+                      value={credentials.password || ''}
+                      onChange={(e) => handleAuthChange(serverUrl, { password: e.target.value })}
+                      placeholder="Password"
+                      aria-label="Password"
+                      autoComplete="off"
+                    />
+                  </>
+                )}
+                {type !== 'none' && (
+                  <select
+                    value={credentials.ws || 'query'}
+                    onChange={(e) => handleAuthChange(serverUrl, { ws: e.target.value })}
+                    aria-label="WebSocket credentials"
+                  >
+                    <option value="query">WebSocket: token in query string</option>
+                    <option value="subprotocol">WebSocket: token as subprotocol</option>
+                    <option value="none">WebSocket: no credentials</option>
+                  </select>
+                )}
+              </CredentialRow>
+            );
+          })}
+          {errors.comfyUiAuth
+            ? <FieldError>{errors.comfyUiAuth}</FieldError>
+            : <Hint>For servers behind an authenticating proxy. Browsers can&apos;t send headers to a WebSocket, so the proxy has to take the token from the query string or the subprotocol.</Hint>}
+        </FormGroup>
+      </Panel>
+
+      <Panel>
+        <h2>Supabase</h2>
+        {renderField('supabaseUrl', 'Project URL', { placeholder: getBuildSetting('supabaseUrl') || 'https://your-project.supabase.co' })}
+        {renderField('supabaseAnonKey', 'Anon key', { type: 'password', placeholder: '' })}
+      </Panel>
+
+      <Panel>
+        <Actions>
+          <button type="button" onClick={handleTest} disabled={testing}>
+            {testing ? 'Testing...' : 'Test Connection'}
+          </button>
+          <button type="button" onClick={handleSave} disabled={testing}>Save & Reload</button>
+          <SmallButton type="button" onClick={handleReset} disabled={testing}>Reset to Build Settings</SmallButton>
+        </Actions>
+
+        {results && (
+          <ResultList>
+            {results.map(result => (
+              <ResultItem key={result.id} status={result.status}>
+                <strong>{result.status === 'pass' ? 'OK' : 'Failed'}</strong>
+                {result.name}: {result.message}
+              </ResultItem>
+            ))}
+          </ResultList>
+        )}
+      </Panel>
+    </PageContainer>
+  );
+};
+
+export default SettingsPage;
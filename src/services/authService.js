@@ -0,0 +1,145 @@
+// src/services/authService.js
+import SupabaseService, { supabase } from './supabaseService';
+import { ROLES, DEFAULT_ROLE, hasPermission } from './permissions';
+
+/**
+ * The signed-in user and their role, through Supabase Auth. The session is
+ * kept in localStorage by the Supabase client, so it survives reloads and is
+ * shared by the tabs of a browser.
+ */
+class AuthService {
+  constructor() {
+    this.user = null;
+    this.role = null;
+    this.ready = false;
+    // Counts user changes, so a slow role lookup can't override a newer one
+    this.userVersion = 0;
+    this.initializing = null;
+    this.listeners = { change: [] };
+  }
+
+  /**
+   * Read the stored session and follow sign-ins, sign-outs and token
+   * refreshes from now on. Safe to call more than once.
+   * @returns {Promise<Object|null>} The signed-in user
+   */
+  init() {
+    if (!this.initializing) {
+      supabase.auth.onAuthStateChange((event, session) => {
+        // Supabase calls made from inside this callback wait for it to return
+        setTimeout(() => this._setUser(session?.user || null), 0);
+      });
+      this.initializing = supabase.auth.getSession()
+        .then(({ data, error }) => {
+          if (error) throw error;
+          return this._setUser(data.session?.user || null);
+        })
+        .catch(error => {
+          // Without a reachable project nobody is signed in
+          console.error('Could not read the sign-in session:', error);
+          return this._setUser(null);
+        })
+        .then(() => this.user);
+    }
+    return this.initializing;
+  }
+
+  /**
+   * The signed-in user, or null. Only meaningful once ready.
+   */
+  getUser() {
+    return this.user;
+  }
+
+  /**
+   * The role of the signed-in user, one of ROLES, or null when signed out
+   */
+  getRole() {
+    return this.role;
+  }
+
+  /**
+   * Whether the signed-in user's role has a permission
+   * @param {string} permission - Key of PERMISSIONS in services/permissions
+   */
+  can(permission) {
+    return Boolean(this.role) && hasPermission(this.role, permission);
+  }
+
+  /**
+   * Whether the stored session and the user's role have been read
+   */
+  isReady() {
+    return this.ready;
+  }
+
+  /**
+   * Sign in with an email address and password
+   * @param {string} email
+   * @param {string} password
+   * @returns {Promise<Object>} The signed-in user
+   */
+  async signIn(email, password) {
+    const { data, error } = await supabase.auth.signInWithPassword({ email, password });
+    if (error) {
+      throw new Error(error.status === 400 ? 'Wrong email address or password' : error.message);
+    }
+    await this._setUser(data.user);
+    return data.user;
+  }
+
+  async signOut() {
+    const { error } = await supabase.auth.signOut();
+    if (error) {
+      console.error('Error signing out:', error);
+      throw error;
+    }
+    await this._setUser(null);
+  }
+
+  addEventListener(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event].push(callback);
+    } else {
+      console.warn(`Unknown auth event: ${event}`);
+    }
+  }
+
+  removeEventListener(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+    }
+  }
+
+  async _setUser(user) {
+    if (this.ready && this.user?.id === user?.id) {
+      // Same user with a refreshed token
+      this.user = user;
+      return;
+    }
+
+    const version = ++this.userVersion;
+    let role = null;
+    if (user) {
+      role = await SupabaseService.getUserRole(user.id).catch(error => {
+        console.warn(`Could not read the role of ${user.email}, using ${DEFAULT_ROLE}:`, error.message);
+        return null;
+      });
+    }
+    if (version !== this.userVersion) return;
+
+    this.user = user;
+    this.role = user ? (ROLES.includes(role) ? role : DEFAULT_ROLE) : null;
+    this.ready = true;
+
+    this.listeners.change.forEach(callback => {
+      try {
+        callback(user, this.role);
+      } catch (error) {
+        console.error('Error in auth listener:', error);
+      }
+    });
+  }
+}
+
+export default new AuthService();
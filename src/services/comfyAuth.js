@@ -0,0 +1,120 @@
+// src/services/comfyAuth.js
+import config from '../config';
+
+/**
+ * Credentials for ComfyUI servers behind an authenticating reverse proxy.
+ *
+ * config.comfyUiAuth maps server base URLs to credentials:
+ *   { "https://gpu.example.com": { "type": "bearer", "token": "...", "ws": "query" } }
+ *
+ * `type` is `bearer` (`token`) or `basic` (`username`, `password`). HTTP
+ * requests get an Authorization header. Browsers can't set headers on a
+ * WebSocket, so `ws` says how /ws gets the token instead:
+ * - `query`: as the `wsParam` query parameter, `token` by default
+ * - `subprotocol`: by offering the subprotocols `wsProtocol` (`bearer` by
+ *   default) and the token; the proxy has to answer with `wsProtocol`
+ * - `none`: not at all, for proxies that leave /ws open
+ * Basic credentials go to /ws as base64url of `username:password`.
+ */
+
+const toBase64 = (text) => {
+  let binary = '';
+  new TextEncoder().encode(text).forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+};
+
+// Query strings and subprotocols can't hold + / =
+const toBase64Url = (text) => toBase64(text).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+/**
+ * Credentials of the server a URL belongs to
+ * @param {string} url - The server's base URL or any URL on it, e.g. a /view URL
+ * @param {Object} auth - Credentials per server base URL, defaults to config.comfyUiAuth
+ * @returns {Object|null} Null when the server needs none
+ */
+export const getServerCredentials = (url, auth = config.comfyUiAuth) => {
+  // The longest matching base URL wins, for servers behind one host on different paths
+  const base = Object.keys(auth)
+    .filter(serverUrl => url === serverUrl || url.startsWith(`${serverUrl}/`) || url.startsWith(`${serverUrl}?`))
+    .sort((a, b) => b.length - a.length)[0];
+  const credentials = base ? auth[base] : null;
+  return credentials?.type && credentials.type !== 'none' ? credentials : null;
+};
+
+/**
+ * Headers for an HTTP request to a server: config.comfyUiHeaders plus the
+ * server's Authorization header
+ * @param {string} url - Request URL
+ * @param {Object} sources - Settings to use instead of config, for unsaved settings
+ * @param {Object} sources.headers - Headers sent to every server
+ * @param {Object} sources.auth - Credentials per server base URL
+ */
+export const getAuthHeaders = (url, { headers = config.comfyUiHeaders, auth = config.comfyUiAuth } = {}) => {
+  const credentials = getServerCredentials(url, auth);
+  if (!credentials) return { ...headers };
+
+  const authorization = credentials.type === 'basic'
+    ? `Basic ${toBase64(`${credentials.username}:${credentials.password || ''}`)}`
+    : `Bearer ${credentials.token}`;
+  return { ...headers, Authorization: authorization };
+};
+
+/**
+ * Whether requests to a URL need headers, so it can't be used as a plain
+ * `<img src>` and has to be fetched
+ * @param {string} url - Request URL
+ */
+export const requiresAuth = (url) => Object.keys(getAuthHeaders(url)).length > 0;
+
+/**
+ * How to authenticate a server's WebSocket
+ * @param {string} serverUrl - Base URL of the server's HTTP API
+ * @param {Object} auth - Credentials per server base URL, defaults to config.comfyUiAuth
+ * @returns {{params: Object, protocols: Array<string>}} Query parameters to add
+ *   to the /ws URL and subprotocols to offer
+ */
+export const getWebSocketAuth = (serverUrl, auth = config.comfyUiAuth) => {
+  const credentials = getServerCredentials(serverUrl, auth);
+  if (!credentials || credentials.ws === 'none') {
+    return { params: {}, protocols: [] };
+  }
+
+  const token = credentials.type === 'basic'
+    ? toBase64Url(`${credentials.username}:${credentials.password || ''}`)
+    : credentials.token;
+  if (credentials.ws === 'subprotocol') {
+    return { params: {}, protocols: [credentials.wsProtocol || 'bearer', token] };
+  }
+  return { params: { [credentials.wsParam || 'token']: token }, protocols: [] };
+};
+
+/**
+ * The URL and subprotocols to open a server's WebSocket with
+ * @param {string} wsUrl - The server's /ws endpoint, without query string
+ * @param {string} serverUrl - Base URL of the server's HTTP API
+ * @param {Object} params - Other query parameters, e.g. clientId
+ * @param {Object} auth - Credentials per server base URL, defaults to config.comfyUiAuth
+ * @returns {{url: string, protocols: Array<string>}}
+ */
+export const getWebSocketTarget = (wsUrl, serverUrl, params = {}, auth = config.comfyUiAuth) => {
+  const wsAuth = getWebSocketAuth(serverUrl, auth);
+  const query = new URLSearchParams({ ...params, ...wsAuth.params }).toString();
+  return { url: query ? `${wsUrl}?${query}` : wsUrl, protocols: wsAuth.protocols };
+};
+
+/**
+ * Add the headers of getAuthHeaders to every request of an axios instance
+ * @param {Object} instance - Axios instance whose requests use absolute URLs
+ */
+export const withAuth = (instance) => {
+  instance.interceptors.request.use((request) => {
+    Object.entries(getAuthHeaders(request.url)).forEach(([name, value]) => {
+      // Headers set on the request itself win
+      request.headers.set(name, value, false);
+    });
+    return request;
+  });
+  return instance;
+};
@@ -0,0 +1,7 @@
+// src/services/comfyClientId.js
+
+// One client id per browser tab. ComfyUI only sends progress events for a
+// prompt to the socket that registered with the same client id.
+export const CLIENT_ID = `frontend-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+export default CLIENT_ID;
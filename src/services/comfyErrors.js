@@ -0,0 +1,113 @@
+// src/services/comfyErrors.js
+
+/**
+ * Thrown while waiting on a prompt that was interrupted or removed from the
+ * ComfyUI queue before it produced outputs
+ */
+export class PromptCancelledError extends Error {
+  /**
+   * @param {string} promptId - The cancelled prompt
+   * @param {string} reason - 'interrupted' or 'removed'
+   */
+  constructor(promptId, reason) {
+    super(reason === 'interrupted'
+      ? `Prompt ${promptId} was interrupted`
+      : `Prompt ${promptId} was removed from the queue`);
+    this.name = 'PromptCancelledError';
+    this.promptId = promptId;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Thrown when a prompt has not finished within the generation timeout. A
+ * prompt that is still queued or running may yet produce its outputs.
+ */
+export class PromptTimeoutError extends Error {
+  /**
+   * @param {string} promptId - The prompt waited for
+   * @param {number} timeoutMs - How long was waited
+   * @param {boolean} stillQueued - Whether the prompt was still in the server's queue, or its state is unknown
+   */
+  constructor(promptId, timeoutMs, stillQueued) {
+    super(`Timed out after ${Math.round(timeoutMs / 1000)}s waiting for prompt ${promptId}`);
+    this.name = 'PromptTimeoutError';
+    this.promptId = promptId;
+    this.stillQueued = stillQueued;
+  }
+}
+
+/**
+ * Thrown before queueing when a workflow does not match the server's
+ * /object_info node definitions
+ */
+export class WorkflowValidationError extends Error {
+  /**
+   * @param {Array<Object>} problems - Problems found by validateWorkflow
+   */
+  constructor(problems) {
+    super(`Workflow has ${problems.length} problem${problems.length === 1 ? '' : 's'}:\n`
+      + problems.map(problem => `- ${problem.message}`).join('\n'));
+    this.name = 'WorkflowValidationError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Thrown when /prompt rejects a workflow. Wraps ComfyUI's `error` and
+ * `node_errors` response into a flat list of node errors.
+ */
+export class PromptRejectedError extends Error {
+  /**
+   * @param {Object} response - Body of the 400 response from /prompt
+   */
+  constructor({ error = {}, node_errors: nodeErrorMap = {} } = {}) {
+    const nodeErrors = Object.entries(nodeErrorMap).flatMap(([nodeId, entry]) =>
+      (entry.errors || []).map(nodeError => ({
+        nodeId,
+        classType: entry.class_type,
+        input: nodeError.extra_info?.input_name || null,
+        code: nodeError.type,
+        message: nodeError.details ? `${nodeError.message}: ${nodeError.details}` : nodeError.message,
+        receivedValue: nodeError.extra_info?.received_value
+      }))
+    );
+
+    super(nodeErrors.length > 0
+      ? `${error.message || 'ComfyUI rejected the prompt'}: ${nodeErrors.map(e => e.message).join('; ')}`
+      : [error.message || 'ComfyUI rejected the prompt', error.details].filter(Boolean).join(': '));
+    this.name = 'PromptRejectedError';
+    this.type = error.type || null;
+    this.details = error.details || '';
+    this.nodeErrors = nodeErrors;
+  }
+}
+
+/**
+ * Sort the node-level problems of a WorkflowValidationError or
+ * PromptRejectedError by the form field that produced them.
+ * @param {Error} error - Any error; errors without node details go to `general`
+ * @param {Object} fieldMap - Maps 'nodeId.input' (or just 'nodeId') to a field name
+ * @returns {{fields: Object<string, Array<string>>, general: Array<string>}}
+ */
+export const mapErrorToFields = (error, fieldMap = {}) => {
+  const result = { fields: {}, general: [] };
+  if (!error) return result;
+
+  const items = error.nodeErrors || error.problems;
+  if (!items || items.length === 0) {
+    result.general.push(error.message);
+    return result;
+  }
+
+  items.forEach(item => {
+    const field = fieldMap[`${item.nodeId}.${item.input}`] || fieldMap[item.nodeId];
+    if (field) {
+      result.fields[field] = [...(result.fields[field] || []), item.message];
+    } else {
+      result.general.push(item.message);
+    }
+  });
+
+  return result;
+};
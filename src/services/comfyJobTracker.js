@@ -0,0 +1,464 @@
+// src/services/comfyJobTracker.js
+import comfyServerPool from './comfyServerPool';
+import ComfyService from './comfyService';
+
+const FINISHED_STATUSES = ['success', 'error', 'interrupted'];
+const MAX_FINISHED_JOBS = 50;
+
+/**
+ * Follows ComfyUI execution events per prompt_id.
+ *
+ * ComfyUI reports the prompt being worked on through `executing`, per-node
+ * results through `executed`, and the end of a prompt through
+ * `execution_success`, `execution_error`, `execution_interrupted` or an
+ * `executing` message whose node is null. Binary latent previews are kept as
+ * an object URL on the job they belong to. Events are recorded for every
+ * prompt seen on the socket, so a job tracked after it already started (or
+ * finished) still gets its full state.
+ *
+ * Each server of the pool has its own socket, and the prompt running on each
+ * is kept apart for messages without a prompt_id. When the pool moves a prompt
+ * to another server, subscribers and waiters carry over to the new prompt_id.
+ *
+ * Events sent while a socket is down are lost, so whenever a socket
+ * (re)connects the open jobs of its server are checked against /history and
+ * /queue, see reconcile.
+ */
+class ComfyJobTracker {
+  constructor(pool) {
+    this.pool = pool;
+    this.sockets = new Set();
+    this.jobs = new Map();
+    this.subscribers = new Map();
+    this.waiters = new Map();
+    this.listeners = { job: [] };
+    // Prompt id running on each server, by server id
+    this.runningPrompts = new Map();
+
+    this.pool.addEventListener('failover', (data) => this._handleFailover(data));
+  }
+
+  /**
+   * Start following a prompt
+   * @param {string} promptId - Prompt id returned by /prompt
+   * @param {Object} options - Tracking options
+   * @param {Object} options.workflow - The queued workflow, used to count nodes
+   * @param {string} options.server - Id of the server running the prompt, defaults to its owner in the pool
+   * @returns {Promise<Object>} Resolves with the final job state once the
+   *   prompt finishes, whether it succeeded, failed or was interrupted
+   */
+  track(promptId, options = {}) {
+    this._attach(options.server || this.pool.getServerFor(promptId).id);
+
+    const job = this._getOrCreate(promptId);
+    if (options.workflow) {
+      job.totalNodes = Object.keys(options.workflow).length;
+    }
+
+    if (FINISHED_STATUSES.includes(job.status)) {
+      return Promise.resolve(this._snapshot(job));
+    }
+
+    return new Promise((resolve) => {
+      const waiters = this.waiters.get(promptId) || [];
+      waiters.push(resolve);
+      this.waiters.set(promptId, waiters);
+    });
+  }
+
+  /**
+   * Receive a job snapshot on every state change of a prompt
+   * @param {string} promptId - Prompt id to follow
+   * @param {Function} callback - Called with the job snapshot
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(promptId, callback) {
+    this._attach(this.pool.getServerFor(promptId).id);
+
+    const callbacks = this.subscribers.get(promptId) || [];
+    callbacks.push(callback);
+    this.subscribers.set(promptId, callbacks);
+
+    if (this.jobs.has(promptId)) {
+      callback(this._snapshot(this.jobs.get(promptId)));
+    }
+
+    return () => {
+      const remaining = (this.subscribers.get(promptId) || []).filter(cb => cb !== callback);
+      if (remaining.length > 0) {
+        this.subscribers.set(promptId, remaining);
+      } else {
+        this.subscribers.delete(promptId);
+      }
+    };
+  }
+
+  /**
+   * Listen to every job, e.g. to mark generations on a timeline
+   * @param {string} event - 'job', called with a job snapshot on every state change
+   * @param {Function} callback - Event handler
+   */
+  addEventListener(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event].push(callback);
+    } else {
+      console.warn(`Unknown job tracker event: ${event}`);
+    }
+  }
+
+  removeEventListener(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+    }
+  }
+
+  /**
+   * Bring the open jobs of a server up to date after events may have been
+   * missed. Prompts found in /history finish with their result; prompts that
+   * are neither there nor in /queue any more count as interrupted.
+   * @param {string} serverId - Server whose socket (re)connected
+   */
+  async reconcile(serverId) {
+    const open = [...this.jobs.values()].filter(job =>
+      !FINISHED_STATUSES.includes(job.status) && this.pool.getServerFor(job.promptId).id === serverId
+    );
+    if (open.length === 0) return;
+
+    let queue;
+    try {
+      queue = await ComfyService.getQueue(serverId);
+    } catch (error) {
+      // The next connection tries again
+      console.warn(`Could not reconcile jobs on ${serverId}:`, error.message);
+      return;
+    }
+    const running = new Set((queue.queue_running || []).map(item => item[1]));
+    const pending = new Set((queue.queue_pending || []).map(item => item[1]));
+
+    // /history is read after /queue, so a prompt that finished in between is found there
+    await Promise.all(open.map(async ({ promptId }) => {
+      let entry = null;
+      try {
+        entry = (await ComfyService.getOutput(promptId))?.[promptId] || null;
+      } catch (error) {
+        console.warn(`Could not look up ${promptId} in the history:`, error.message);
+        return;
+      }
+
+      if (entry) {
+        this._finishFromHistory(promptId, entry);
+      } else if (running.has(promptId)) {
+        const job = this._getOrCreate(promptId);
+        if (job.status !== 'running') {
+          job.status = 'running';
+          job.startedAt = job.startedAt || Date.now();
+          this._emit(job);
+        }
+      } else if (!pending.has(promptId)) {
+        this._finish(promptId, 'interrupted', {
+          message: 'The prompt left the queue without a result while the connection was down'
+        });
+      }
+    }));
+  }
+
+  /**
+   * Stop a prompt. ComfyUI's /interrupt only stops the prompt that is running,
+   * so a prompt still waiting is deleted from the queue instead and finishes
+   * as interrupted.
+   * @param {string} promptId - Prompt id
+   */
+  async cancel(promptId) {
+    const serverId = this.pool.getServerFor(promptId).id;
+
+    if (this.jobs.get(promptId)?.status !== 'running') {
+      await ComfyService.deleteFromQueue([promptId], serverId);
+      // It may have started just before the delete reached the server
+      const queue = await ComfyService.getQueue(serverId);
+      const currentId = this.pool.resolve(promptId);
+      if (!(queue.queue_running || []).some(item => item[1] === currentId)) {
+        this._finish(promptId, 'interrupted', { message: 'The prompt was removed from the queue' });
+        return;
+      }
+    }
+
+    await ComfyService.interrupt(promptId, serverId);
+  }
+
+  /**
+   * Get the current state of a prompt, or null if nothing is known about it
+   * @param {string} promptId - Prompt id
+   */
+  getJob(promptId) {
+    const job = this.jobs.get(promptId);
+    return job ? this._snapshot(job) : null;
+  }
+
+  // Listen to (and open) the socket of a server, once
+  _attach(serverId) {
+    const server = this.pool.getServer(serverId);
+    const socket = this.pool.getSocket(server.id);
+    socket.connect();
+    if (this.sockets.has(socket)) return;
+
+    Object.entries(this._handlersFor(server.id)).forEach(([event, handler]) => {
+      socket.addEventListener(event, handler);
+    });
+    socket.addEventListener('status', (status) => {
+      if (status.connected) {
+        this.reconcile(server.id);
+      }
+    });
+    this.sockets.add(socket);
+  }
+
+  // Socket event handlers for one server, so messages without a prompt_id go
+  // to the prompt running on that server
+  _handlersFor(serverId) {
+    return {
+      execution_start: (data) => this._handleExecutionStart(serverId, data),
+      execution_cached: (data) => this._handleExecutionCached(data),
+      executing: (data) => this._handleExecuting(serverId, data),
+      progress: (data) => this._handleProgress(serverId, data),
+      executed: (data) => this._handleExecuted(serverId, data),
+      execution_success: (data) => this._finish(data.prompt_id, 'success'),
+      execution_error: (data) => this._finish(data.prompt_id, 'error', {
+        nodeId: data.node_id,
+        nodeType: data.node_type,
+        message: data.exception_message,
+        type: data.exception_type,
+        traceback: data.traceback
+      }),
+      execution_interrupted: (data) => this._finish(data.prompt_id, 'interrupted', {
+        nodeId: data.node_id,
+        nodeType: data.node_type,
+        message: 'Execution was interrupted'
+      }),
+      preview: (data) => this._handlePreview(serverId, data)
+    };
+  }
+
+  // Forget a prompt as the running one of whichever server it ran on
+  _clearRunning(promptId) {
+    this.runningPrompts.forEach((running, serverId) => {
+      if (running === promptId) {
+        this.runningPrompts.delete(serverId);
+      }
+    });
+  }
+
+  _getOrCreate(promptId) {
+    if (!this.jobs.has(promptId)) {
+      this.jobs.set(promptId, {
+        promptId,
+        status: 'queued',
+        currentNode: null,
+        progress: { value: 0, max: 0, percent: 0, node: null },
+        executedNodes: [],
+        cachedNodes: [],
+        totalNodes: null,
+        outputs: {},
+        preview: null,
+        error: null,
+        startedAt: null,
+        finishedAt: null
+      });
+    }
+    return this.jobs.get(promptId);
+  }
+
+  _snapshot(job) {
+    return {
+      ...job,
+      progress: { ...job.progress },
+      executedNodes: [...job.executedNodes],
+      cachedNodes: [...job.cachedNodes],
+      outputs: { ...job.outputs }
+    };
+  }
+
+  _emit(job) {
+    const snapshot = this._snapshot(job);
+    [...(this.subscribers.get(job.promptId) || []), ...this.listeners.job].forEach(callback => {
+      try {
+        callback(snapshot);
+      } catch (error) {
+        console.error(`Error in job tracker subscriber for ${job.promptId}:`, error);
+      }
+    });
+  }
+
+  _handleExecutionStart(serverId, data) {
+    const job = this._getOrCreate(data.prompt_id);
+    job.status = 'running';
+    job.startedAt = data.timestamp || Date.now();
+    this.runningPrompts.set(serverId, data.prompt_id);
+    this._emit(job);
+  }
+
+  _handleExecutionCached(data) {
+    const job = this._getOrCreate(data.prompt_id);
+    job.cachedNodes = data.nodes || [];
+    this._emit(job);
+  }
+
+  _handleExecuting(serverId, data) {
+    // Older servers only put prompt_id on some messages
+    const promptId = data.prompt_id || this.runningPrompts.get(serverId);
+    if (!promptId) return;
+
+    if (data.node === null || data.node === undefined) {
+      // A null node marks the end of the prompt on servers without execution_success
+      this._finish(promptId, 'success');
+      return;
+    }
+
+    const job = this._getOrCreate(promptId);
+    job.status = 'running';
+    job.currentNode = data.node;
+    job.progress = { value: 0, max: 0, percent: 0, node: data.node };
+    this.runningPrompts.set(serverId, promptId);
+    this._emit(job);
+  }
+
+  _handleProgress(serverId, data) {
+    const promptId = data.prompt_id || this.runningPrompts.get(serverId);
+    if (!promptId || !data.max) return;
+
+    const job = this._getOrCreate(promptId);
+    job.progress = {
+      value: data.value,
+      max: data.max,
+      percent: Math.round((data.value / data.max) * 100),
+      node: data.node || job.currentNode
+    };
+    this._emit(job);
+  }
+
+  _handleExecuted(serverId, data) {
+    const promptId = data.prompt_id || this.runningPrompts.get(serverId);
+    if (!promptId) return;
+
+    const job = this._getOrCreate(promptId);
+    if (!job.executedNodes.includes(data.node)) {
+      job.executedNodes.push(data.node);
+    }
+    if (data.output) {
+      job.outputs[data.node] = data.output;
+    }
+    this._emit(job);
+  }
+
+  _handlePreview(serverId, data) {
+    const promptId = data.promptId || this.runningPrompts.get(serverId);
+    if (!promptId) return;
+
+    const job = this._getOrCreate(promptId);
+    if (job.preview) {
+      URL.revokeObjectURL(job.preview.url);
+    }
+    job.preview = {
+      url: URL.createObjectURL(data.blob),
+      mimeType: data.mimeType,
+      nodeId: data.nodeId || job.currentNode,
+      receivedAt: Date.now()
+    };
+    this._emit(job);
+  }
+
+  _handleFailover({ promptId, newPromptId, to }) {
+    const job = this.jobs.get(promptId);
+    const hasListeners = this.subscribers.has(promptId) || this.waiters.has(promptId);
+    if (!job || !hasListeners) return;
+
+    this._attach(to);
+
+    const replacement = this._getOrCreate(newPromptId);
+    replacement.totalNodes = job.totalNodes;
+
+    // Whoever followed the old prompt follows the new one
+    const callbacks = this.subscribers.get(promptId) || [];
+    this.subscribers.set(newPromptId, [...(this.subscribers.get(newPromptId) || []), ...callbacks]);
+    this.subscribers.delete(promptId);
+    this.waiters.set(newPromptId, [...(this.waiters.get(newPromptId) || []), ...(this.waiters.get(promptId) || [])]);
+    this.waiters.delete(promptId);
+
+    if (job.preview) {
+      URL.revokeObjectURL(job.preview.url);
+    }
+    this.jobs.delete(promptId);
+    this._clearRunning(promptId);
+
+    this._emit(replacement);
+  }
+
+  _finishFromHistory(promptId, entry) {
+    const job = this._getOrCreate(promptId);
+    const messages = entry.status?.messages || [];
+    const [, start] = messages.find(([type]) => type === 'execution_start') || [];
+    job.startedAt = job.startedAt || start?.timestamp || null;
+
+    if (entry.status?.status_str === 'error') {
+      if (messages.some(([type]) => type === 'execution_interrupted')) {
+        this._finish(promptId, 'interrupted', { message: 'Execution was interrupted' });
+        return;
+      }
+      const [, details = {}] = messages.find(([type]) => type === 'execution_error') || [];
+      this._finish(promptId, 'error', {
+        nodeId: details.node_id,
+        nodeType: details.node_type,
+        message: details.exception_message || 'unknown error',
+        type: details.exception_type,
+        traceback: details.traceback
+      });
+      return;
+    }
+
+    if (entry.status?.completed || Object.keys(entry.outputs || {}).length > 0) {
+      job.outputs = { ...job.outputs, ...entry.outputs };
+      job.executedNodes = [...new Set([...job.executedNodes, ...Object.keys(entry.outputs || {})])];
+      this._finish(promptId, 'success');
+    }
+  }
+
+  _finish(promptId, status, error = null) {
+    if (!promptId) return;
+
+    const job = this._getOrCreate(promptId);
+    // execution_success and the trailing null `executing` both arrive for one prompt
+    if (FINISHED_STATUSES.includes(job.status)) return;
+
+    job.status = status;
+    job.error = error;
+    job.currentNode = null;
+    job.finishedAt = Date.now();
+    this.pool.release(promptId);
+    if (status === 'success') {
+      job.progress = { ...job.progress, value: job.progress.max, percent: 100 };
+    }
+    this._clearRunning(promptId);
+
+    this._emit(job);
+
+    const snapshot = this._snapshot(job);
+    (this.waiters.get(promptId) || []).forEach(resolve => resolve(snapshot));
+    this.waiters.delete(promptId);
+
+    this._pruneFinished();
+  }
+
+  _pruneFinished() {
+    const finished = [...this.jobs.values()]
+      .filter(job => FINISHED_STATUSES.includes(job.status) && !this.subscribers.has(job.promptId))
+      .sort((a, b) => a.finishedAt - b.finishedAt);
+
+    finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS)).forEach(job => {
+      if (job.preview) {
+        URL.revokeObjectURL(job.preview.url);
+      }
+      this.jobs.delete(job.promptId);
+    });
+  }
+}
+
+export default new ComfyJobTracker(comfyServerPool);
@@ -0,0 +1,297 @@
+// src/services/comfyServerPool.js
+import axios from 'axios';
+import config, { deriveWsUrl } from '../config';
+import { CLIENT_ID } from './comfyClientId';
+import comfyUIWebSocketService, { ComfyUIWebSocketService } from './comfyUIWebSocketService';
+import { withAuth } from './comfyAuth';
+
+// Consecutive failed checks before a server counts as down, so one slow
+// response doesn't move jobs around
+const FAILURES_BEFORE_DOWN = 2;
+const CHECK_TIMEOUT = 5000; // ms
+// Finished prompts whose owner is remembered, for late history and /view lookups
+const MAX_FINISHED_JOBS = 200;
+
+const http = withAuth(axios.create({ timeout: CHECK_TIMEOUT }));
+
+/**
+ * Spreads prompts over the ComfyUI servers in config.comfyUiServers.
+ *
+ * Each server's health and queue depth come from /system_stats and /queue.
+ * New prompts go to the healthy server with the shortest queue, and the pool
+ * remembers which server owns each prompt_id so history, /view, queue actions
+ * and WebSocket tracking talk to the right machine. While prompts are out the
+ * pool keeps checking; when their server goes down they are queued again on
+ * another server and a `failover` event maps the old prompt_id to the new one.
+ * The same event follows a prompt that was queued again to reorder the queue.
+ */
+class ComfyServerPool {
+  constructor(urls) {
+    this.servers = urls.map((url, index) => ({
+      id: url,
+      url,
+      // The primary server honours an explicit WS URL from the settings
+      wsUrl: index === 0 ? config.comfyUiWs : deriveWsUrl(url),
+      healthy: true,
+      failures: 0,
+      queueDepth: 0,
+      stats: null,
+      error: null,
+      checkedAt: 0
+    }));
+    this.sockets = new Map([[this.servers[0].id, comfyUIWebSocketService]]);
+    this.jobs = new Map();
+    this.listeners = { change: [], failover: [] };
+    this.timer = null;
+    this.refreshing = null;
+  }
+
+  get primary() {
+    return this.servers[0];
+  }
+
+  /**
+   * Current state of every server
+   * @returns {Array<{id: string, url: string, healthy: boolean, queueDepth: number, error: string, checkedAt: number}>}
+   */
+  getServers() {
+    return this.servers.map(server => ({ ...server }));
+  }
+
+  /**
+   * Look up a server by id, falling back to the primary server
+   * @param {string} serverId - Server id (its base URL)
+   */
+  getServer(serverId) {
+    return this.servers.find(server => server.id === serverId) || this.primary;
+  }
+
+  /**
+   * Check the health and queue depth of every server, then move the open
+   * prompts of servers that went down
+   */
+  refresh() {
+    if (!this.refreshing) {
+      this.refreshing = Promise.all(this.servers.map(server => this._checkServer(server)))
+        .then(() => {
+          this._emit('change', this.getServers());
+          return this._failOver();
+        })
+        .finally(() => {
+          this.refreshing = null;
+        });
+    }
+    return this.refreshing;
+  }
+
+  /**
+   * Choose the server for a new prompt: the healthy server with the shortest
+   * queue. Falls back to the primary server when none looks healthy, so the
+   * request itself reports what is wrong.
+   */
+  async pickServer() {
+    if (this.servers.length === 1) return this.primary;
+
+    const stale = this.servers.some(server => Date.now() - server.checkedAt > config.serverHealthIntervalMs);
+    if (stale) {
+      await this.refresh();
+    }
+
+    const chosen = this._leastLoaded();
+    if (!chosen) return this.primary;
+
+    // Count the prompt we're about to send until the next check sees it
+    chosen.queueDepth++;
+    return chosen;
+  }
+
+  /**
+   * Record that a server owns a prompt
+   * @param {string} promptId - Prompt id returned by the server
+   * @param {string} serverId - Id of the server it was queued on
+   * @param {Object} options - What is needed to queue the prompt elsewhere
+   * @param {Object} options.workflow - The queued workflow; without it the prompt never moves
+   * @param {string} options.clientId - Client id the prompt was queued with
+   */
+  assign(promptId, serverId, options = {}) {
+    this.jobs.set(promptId, {
+      promptId,
+      serverId,
+      workflow: options.workflow || null,
+      clientId: options.clientId || CLIENT_ID,
+      replacedBy: null,
+      done: false
+    });
+    this._startChecks();
+  }
+
+  /**
+   * Record that a prompt was queued again under a new id, e.g. to move it in
+   * its server's queue. Whoever follows the old id moves on as after a failover.
+   * @param {string} promptId - The id the prompt had
+   * @param {string} newPromptId - The id it was queued under now
+   * @param {string} serverId - Id of the server it was queued on
+   */
+  requeued(promptId, newPromptId, serverId) {
+    const job = this.jobs.get(promptId);
+    this.assign(newPromptId, serverId, { workflow: job?.workflow, clientId: job?.clientId });
+    this.jobs.set(promptId, { ...(job || { promptId, serverId, workflow: null, clientId: CLIENT_ID, done: false }), replacedBy: newPromptId });
+    this._emit('failover', { promptId, newPromptId, from: serverId, to: serverId });
+  }
+
+  /**
+   * Follow failovers from a prompt id to the id it currently runs under
+   * @param {string} promptId - Any prompt id handed out by queuePrompt
+   */
+  resolve(promptId) {
+    let current = promptId;
+    while (this.jobs.get(current)?.replacedBy) {
+      current = this.jobs.get(current).replacedBy;
+    }
+    return current;
+  }
+
+  /**
+   * The server that owns a prompt, after failovers. Prompts the pool doesn't
+   * know, e.g. ones queued by another tab, belong to the primary server.
+   * @param {string} promptId - Prompt id
+   */
+  getServerFor(promptId) {
+    const job = this.jobs.get(this.resolve(promptId));
+    return this.getServer(job?.serverId);
+  }
+
+  /**
+   * Stop watching a prompt for failover, once it has finished one way or another
+   * @param {string} promptId - Prompt id
+   */
+  release(promptId) {
+    // The ids the prompt had before a failover or move are done with it
+    const current = this.resolve(promptId);
+    this.jobs.forEach(entry => {
+      if (this.resolve(entry.promptId) === current) {
+        entry.done = true;
+      }
+    });
+
+    const finished = [...this.jobs.values()].filter(entry => entry.done);
+    finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS)).forEach(entry => {
+      this.jobs.delete(entry.promptId);
+    });
+
+    if (![...this.jobs.values()].some(entry => !entry.done && !entry.replacedBy)) {
+      this._stopChecks();
+    }
+  }
+
+  /**
+   * The WebSocket of a server, created on first use
+   * @param {string} serverId - Server id, defaults to the primary server
+   * @returns {ComfyUIWebSocketService}
+   */
+  getSocket(serverId) {
+    const server = this.getServer(serverId);
+    if (!this.sockets.has(server.id)) {
+      this.sockets.set(server.id, new ComfyUIWebSocketService(server.wsUrl, server.url));
+    }
+    return this.sockets.get(server.id);
+  }
+
+  addEventListener(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event].push(callback);
+    } else {
+      console.warn(`Unknown server pool event: ${event}`);
+    }
+  }
+
+  removeEventListener(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+    }
+  }
+
+  async _checkServer(server) {
+    try {
+      const [stats, queue] = await Promise.all([
+        http.get(`${server.url}/system_stats`),
+        http.get(`${server.url}/queue`)
+      ]);
+      server.healthy = true;
+      server.failures = 0;
+      server.error = null;
+      server.stats = stats.data;
+      server.queueDepth = (queue.data.queue_running || []).length + (queue.data.queue_pending || []).length;
+    } catch (error) {
+      server.failures++;
+      server.healthy = server.failures < FAILURES_BEFORE_DOWN;
+      server.error = error.message;
+    }
+    server.checkedAt = Date.now();
+  }
+
+  _leastLoaded(excludeId = null) {
+    return this.servers
+      .filter(server => server.healthy && server.id !== excludeId)
+      .reduce((best, server) => (!best || server.queueDepth < best.queueDepth ? server : best), null);
+  }
+
+  async _failOver() {
+    const stranded = [...this.jobs.values()].filter(job =>
+      !job.done && !job.replacedBy && job.workflow && !this.getServer(job.serverId).healthy
+    );
+
+    for (const job of stranded) {
+      const target = this._leastLoaded(job.serverId);
+      if (!target) {
+        console.warn(`No healthy server to take over prompt ${job.promptId} from ${job.serverId}`);
+        continue;
+      }
+
+      try {
+        const response = await http.post(`${target.url}/prompt`, {
+          prompt: job.workflow,
+          client_id: job.clientId
+        });
+        const newPromptId = response.data.prompt_id;
+
+        this.assign(newPromptId, target.id, { workflow: job.workflow, clientId: job.clientId });
+        job.replacedBy = newPromptId;
+        target.queueDepth++;
+
+        console.warn(`Prompt ${job.promptId} moved from ${job.serverId} to ${target.id} as ${newPromptId}`);
+        this._emit('failover', {
+          promptId: job.promptId,
+          newPromptId,
+          from: job.serverId,
+          to: target.id
+        });
+      } catch (error) {
+        console.error(`Failed to move prompt ${job.promptId} to ${target.id}:`, error.message);
+      }
+    }
+  }
+
+  _startChecks() {
+    if (this.timer || this.servers.length === 1) return;
+    this.timer = setInterval(() => this.refresh(), config.serverHealthIntervalMs);
+  }
+
+  _stopChecks() {
+    if (!this.timer) return;
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  _emit(event, data) {
+    this.listeners[event].forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`Error in server pool ${event} listener:`, error);
+      }
+    });
+  }
+}
+
+export default new ComfyServerPool(config.comfyUiServers);
@@ -1,20 +1,97 @@
 // src/services/comfyService.js
 import axios from 'axios';
+import config from '../config';
+import { PromptCancelledError, PromptRejectedError, PromptTimeoutError, WorkflowValidationError } from './comfyErrors';
+import { validateWorkflow, getEnumOptions } from '../workflows/workflowValidator';
+import { composeTraitPrompt } from '../workflows/vehicleWorkflow';
+import { CLIENT_ID } from './comfyClientId';
+import comfyServerPool from './comfyServerPool';
+import { withAuth } from './comfyAuth';
 
+const http = withAuth(axios.create());
 
-// Remove the /api suffix
-const API_BASE_URL = import.meta.env.VITE_COMFY_UI_API || 'http://localhost:8188';
+// How many history polls go by between checks that the prompt is still queued
+const QUEUE_CHECK_EVERY = 5;
 
-console.log("API URL:", API_BASE_URL)
+// Prompts being moved in the queue, briefly out of it while they are queued again
+const movingPrompts = new Set();
 
+// Node definitions only change when models or custom nodes are installed
+const OBJECT_INFO_TTL = 60 * 1000;
+// Keyed by server id
+const objectInfoCache = new Map();
+
+// Requests go to the primary server unless a server URL is given
+const url = (path, server = config.comfyUiApi) => `${server}${path}`;
+
+// Base URL of the server that owns a prompt
+const ownerOf = (promptId) => comfyServerPool.getServerFor(promptId).url;
+
+export const VEHICLE_WORKFLOW_DEFAULTS = {
+  checkpoint: 'sdxl/sd_xl_base_1.0.safetensors',
+  width: 1024,
+  height: 1024,
+  sampler: 'euler_ancestral'
+};
+
+// Form field behind each input of createVehicleWorkflow, for mapErrorToFields
+export const VEHICLE_WORKFLOW_FIELDS = {
+  '4': 'checkpoint',
+  '4.ckpt_name': 'checkpoint',
+  '5': 'resolution',
+  '5.width': 'resolution',
+  '5.height': 'resolution',
+  '3.sampler_name': 'sampler',
+  '3.scheduler': 'sampler',
+  '6': 'prompt',
+  '6.text': 'prompt'
+};
+
+// Form fields of createVariantWorkflow; it has no resolution of its own
+export const VARIANT_WORKFLOW_FIELDS = {
+  '4': 'checkpoint',
+  '4.ckpt_name': 'checkpoint',
+  '3.sampler_name': 'sampler',
+  '3.scheduler': 'sampler',
+  '3.denoise': 'denoise',
+  '6': 'prompt',
+  '6.text': 'prompt',
+  '10': 'image',
+  '10.image': 'image',
+  '11': 'image'
+};
 
 export const ComfyService = {
+  clientId: CLIENT_ID,
+
+  /**
+   * Base URL of the ComfyUI HTTP API
+   */
+  get baseUrl() {
+    return config.comfyUiApi;
+  },
+
+  /**
+   * Check whether the ComfyUI server is reachable
+   * @returns {Promise<boolean>}
+   */
+  async checkConnection() {
+    try {
+      await http.get(url('/system_stats'));
+      return true;
+    } catch (error) {
+      console.error('ComfyUI connection error:', error.message);
+      return false;
+    }
+  },
+
   /**
    * Get the status of the ComfyUI server
+   * @param {string} server - Server id, defaults to the primary server
    */
-  async getStatus() {
+  async getStatus(server) {
     try {
-      const response = await axios.get(`${API_BASE_URL}/system_stats`);
+      const response = await http.get(url('/system_stats', comfyServerPool.getServer(server).url));
       return response.data;
     } catch (error) {
       console.error('Error getting ComfyUI status:', error);
@@ -22,35 +99,62 @@ export const ComfyService = {
     }
   },
 
+  /**
+   * Choose the server for a new prompt, e.g. to upload its input images first
+   * @returns {Promise<{id: string, url: string}>}
+   */
+  pickServer() {
+    return comfyServerPool.pickServer();
+  },
+
   /**
    * Queue a prompt for processing in ComfyUI
    * @param {Object} workflow - The workflow to queue
+   * @param {Object} options - Queue options
+   * @param {string} options.clientId - Client id to report progress to, defaults to this tab's id
+   * @param {string} options.server - Id of the server to use, defaults to the least loaded one.
+   *   Prompts sent to a chosen server stay there, since they may depend on files
+   *   uploaded to it, and are not moved when it goes down.
+   * @returns {Promise<Object>} The /prompt response plus `server`, the id of the server that owns the prompt
    */
-  async queuePrompt(workflow) {
+  async queuePrompt(workflow, options = {}) {
     try {
+      const server = options.server ? comfyServerPool.getServer(options.server) : await comfyServerPool.pickServer();
+      const clientId = options.clientId || CLIENT_ID;
+
       // Wrap the workflow in the expected format
       const payload = {
         prompt: workflow,
-        client_id: "generator-" + Date.now()
+        client_id: clientId
       };
-      
-      console.log("Sending workflow to ComfyUI:", payload);
-      
-      const response = await axios.post(`${API_BASE_URL}/prompt`, payload);
-      return response.data;
+
+      console.log(`Sending workflow to ComfyUI at ${server.url}:`, payload);
+
+      const response = await http.post(url('/prompt', server.url), payload);
+      comfyServerPool.assign(response.data.prompt_id, server.id, {
+        workflow: options.server ? null : workflow,
+        clientId
+      });
+      return { ...response.data, server: server.id };
     } catch (error) {
       console.error('Error queuing prompt:', error);
       console.error('Error details:', error.response?.data || error.message);
+      if (error.response?.data?.error) {
+        throw new PromptRejectedError(error.response.data);
+      }
       throw error;
     }
   },
 
   /**
    * Get the history of generated images
+   * @param {number} maxItems - Optional limit on the number of entries returned
    */
-  async getHistory() {
+  async getHistory(maxItems) {
     try {
-      const response = await axios.get(`${API_BASE_URL}/history`);
+      const response = await http.get(url('/history'), {
+        params: maxItems ? { max_items: maxItems } : undefined
+      });
       return response.data;
     } catch (error) {
       console.error('Error getting history:', error);
@@ -58,35 +162,410 @@ export const ComfyService = {
     }
   },
 
-    // Add this to your ComfyService
-  async getAvailableModels() {
+  /**
+   * Get the output of a specific execution
+   * @param {string} promptId - The prompt ID to get output for
+   */
+  async getOutput(promptId) {
+    try {
+      const response = await http.get(url(`/history/${promptId}`, ownerOf(promptId)));
+      return response.data;
+    } catch (error) {
+      console.error('Error getting output:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Poll /history/{prompt_id} until the prompt has finished
+   * @param {string} promptId - The prompt ID to wait for
+   * @param {Object} options - Polling options
+   * @param {number} options.interval - Milliseconds between polls
+   * @param {number} options.timeout - Milliseconds before giving up
+   * @param {Function} options.onPoll - Called with the attempt number after each unfinished poll
+   * @param {Function} options.lookupPromptId - Resolves with the id the prompt is
+   *   recorded under now, e.g. on its session, to follow a move to a new id
+   *   before the prompt is declared removed
+   * @returns {Promise<Object>} The history entry, with `outputs` and `status`, plus
+   *   the `promptId` and `server` it finished under, which differ from the
+   *   queued ones after a failover
+   * @throws {PromptCancelledError} When the prompt was interrupted or left the queue
+   * @throws {PromptTimeoutError} When the prompt didn't finish in time
+   */
+  async waitForHistory(promptId, options = {}) {
     try {
-      // This endpoint might be different depending on your ComfyUI version
-      const response = await axios.get(`${API_BASE_URL}/object_info`);
-      const data = response.data;
-      
-      // Extract available models from the response
-      if (data && data.CheckpointLoaderSimple && data.CheckpointLoaderSimple.input.required.ckpt_name) {
-        return data.CheckpointLoaderSimple.input.required.ckpt_name.options;
+      return await this._pollHistory(promptId, options);
+    } finally {
+      comfyServerPool.release(promptId);
+    }
+  },
+
+  async _pollHistory(queuedPromptId, options) {
+    const interval = options.interval || config.historyPollIntervalMs;
+    const timeout = options.timeout || config.generationTimeoutMs;
+    const deadline = Date.now() + timeout;
+    let attempt = 0;
+
+    while (Date.now() < deadline) {
+      attempt++;
+
+      // Pick up a move to another server since the last poll
+      const promptId = comfyServerPool.resolve(queuedPromptId);
+
+      let entry = null;
+      try {
+        const history = await this.getOutput(promptId);
+        entry = history?.[promptId] || null;
+      } catch (error) {
+        // A dropped request shouldn't end a long generation; try again next round
+        console.warn(`History poll ${attempt} for ${promptId} failed:`, error.message);
       }
-      
-      return [];
+
+      if (entry?.status?.status_str === 'error') {
+        const messages = entry.status.messages || [];
+        if (messages.some(([type]) => type === 'execution_interrupted')) {
+          throw new PromptCancelledError(promptId, 'interrupted');
+        }
+        const [, details = {}] = messages.find(([type]) => type === 'execution_error') || [];
+        throw new Error(`Prompt ${promptId} failed: ${details.exception_message || 'unknown error'}`);
+      }
+
+      if (entry && (entry.status?.completed || Object.keys(entry.outputs || {}).length > 0)) {
+        return { ...entry, promptId, server: comfyServerPool.getServerFor(promptId).id };
+      }
+
+      // A prompt deleted from the queue never reaches the history
+      if (!entry && attempt % QUEUE_CHECK_EVERY === 0 && !(await this._isQueued(promptId))) {
+        if (await this._wasRequeued(promptId, interval, options)) continue;
+        throw new PromptCancelledError(promptId, 'removed');
+      }
+
+      if (options.onPoll) {
+        options.onPoll(attempt);
+      }
+      await new Promise(resolve => setTimeout(resolve, interval));
+    }
+
+    throw new PromptTimeoutError(queuedPromptId, timeout, await this._isQueued(comfyServerPool.resolve(queuedPromptId)));
+  },
+
+  // Moving a prompt, possibly from another tab, deletes it and queues it again,
+  // sometimes under a new id; give the move time to land before giving up
+  async _wasRequeued(promptId, interval, options) {
+    await new Promise(resolve => setTimeout(resolve, interval));
+    const history = await this.getOutput(promptId).catch(() => ({}));
+    if (history?.[promptId] || await this._isQueued(promptId)) return true;
+
+    const currentId = await options.lookupPromptId?.().catch(() => null);
+    if (currentId && currentId !== promptId) {
+      comfyServerPool.requeued(promptId, currentId, comfyServerPool.getServerFor(promptId).id);
+      return true;
+    }
+    return false;
+  },
+
+  async _isQueued(promptId) {
+    if (movingPrompts.has(promptId)) return true;
+    try {
+      const queue = await this.getQueue(comfyServerPool.getServerFor(promptId).id);
+      return [...(queue.queue_running || []), ...(queue.queue_pending || [])]
+        .some(item => item[1] === promptId);
+    } catch {
+      // Can't tell, so keep waiting
+      return true;
+    }
+  },
+
+  /**
+   * Build the /view URL for an output image
+   * @param {Object} image - Image reference as found in history outputs
+   * @param {string} image.filename - File name
+   * @param {string} image.subfolder - Sub folder inside the output directory
+   * @param {string} image.type - One of output, input or temp
+   * @param {string} image.server - Server that produced the image, defaults to the primary server
+   */
+  getViewUrl({ filename, subfolder = '', type = 'output', server }) {
+    const params = new URLSearchParams({ filename, subfolder, type });
+    return url(`/view?${params.toString()}`, comfyServerPool.getServer(server).url);
+  },
+
+  /**
+   * Flatten the images of a prompt's outputs, as found in history entries
+   * and `executed` messages, into a list with ready-to-use view URLs
+   * @param {Object} outputs - Outputs keyed by node id
+   * @param {string} server - Id of the server that ran the prompt
+   */
+  getOutputImages(outputs = {}, server = comfyServerPool.primary.id) {
+    return Object.entries(outputs).flatMap(([nodeId, output]) =>
+      (output?.images || []).map(image => ({
+        nodeId,
+        filename: image.filename,
+        subfolder: image.subfolder || '',
+        type: image.type || 'output',
+        server,
+        url: this.getViewUrl({ ...image, server })
+      }))
+    );
+  },
+
+  /**
+   * Download an output image as a Blob. Servers that need credentials can't
+   * be read through a plain `<img src>`, so display their images from this.
+   * @param {Object} image - Image reference as found in history outputs
+   */
+  async getImageBlob(image) {
+    try {
+      const response = await http.get(this.getViewUrl(image), { responseType: 'blob' });
+      return response.data;
+    } catch (error) {
+      console.error(`Error fetching image ${image.filename}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get node definitions from the server
+   * @param {string} nodeClass - Optional node class to fetch a single definition
+   * @param {string} server - Server id, defaults to the primary server
+   */
+  async getObjectInfo(nodeClass, server) {
+    try {
+      const path = nodeClass ? `/object_info/${nodeClass}` : '/object_info';
+      const response = await http.get(url(path, comfyServerPool.getServer(server).url));
+      return response.data;
+    } catch (error) {
+      console.error('Error getting object info:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get all node definitions, cached for a minute
+   * @param {Object} options - Cache options
+   * @param {boolean} options.refresh - Ignore the cache
+   * @param {string} options.server - Server id, defaults to the primary server
+   */
+  async getCachedObjectInfo(options = {}) {
+    const serverId = comfyServerPool.getServer(options.server).id;
+    const cached = objectInfoCache.get(serverId);
+    if (!options.refresh && cached && Date.now() - cached.fetchedAt < OBJECT_INFO_TTL) {
+      return cached.data;
+    }
+    const data = await this.getObjectInfo(undefined, serverId);
+    objectInfoCache.set(serverId, { data, fetchedAt: Date.now() });
+    return data;
+  },
+
+  /**
+   * Get the allowed values of an enum input, e.g. the checkpoints of CheckpointLoaderSimple
+   * @param {string} nodeClass - Node class, e.g. 'KSampler'
+   * @param {string} inputName - Input name, e.g. 'sampler_name'
+   * @returns {Promise<Array<string>>} Empty when the server can't be reached
+   */
+  async getInputOptions(nodeClass, inputName) {
+    try {
+      const data = await this.getCachedObjectInfo();
+      const inputs = data?.[nodeClass]?.input || {};
+      return getEnumOptions(inputs.required?.[inputName] || inputs.optional?.[inputName]) || [];
     } catch (error) {
-      console.error('Error getting available models:', error);
+      console.error(`Error getting options for ${nodeClass}.${inputName}:`, error);
       return [];
     }
   },
 
+  async getAvailableModels() {
+    return this.getInputOptions('CheckpointLoaderSimple', 'ckpt_name');
+  },
+
   /**
-   * Get the output of a specific execution
-   * @param {string} promptId - The prompt ID to get output for
+   * Check a workflow against the server's node definitions before queueing it
+   * @param {Object} workflow - Workflow in API format
+   * @param {Object} options - Validation options
+   * @param {string} options.server - Server id the workflow will run on, defaults to the primary server
+   * @throws {WorkflowValidationError} When the server would reject the workflow
+   * @returns {Promise<Array>} Empty list of problems, or null when /object_info could not be read
    */
-  async getOutput(promptId) {
+  async validateWorkflow(workflow, options = {}) {
+    let objectInfo;
+    try {
+      objectInfo = await this.getCachedObjectInfo({ server: options.server });
+    } catch (error) {
+      // Let /prompt be the judge when the definitions can't be loaded
+      console.warn('Skipping workflow validation, /object_info unavailable:', error.message);
+      return null;
+    }
+
+    const problems = validateWorkflow(workflow, objectInfo);
+    if (problems.length > 0) {
+      throw new WorkflowValidationError(problems);
+    }
+    return problems;
+  },
+
+  /**
+   * Get the running and pending prompts
+   * @param {string} server - Server id, defaults to the primary server
+   */
+  async getQueue(server) {
     try {
-      const response = await axios.get(`${API_BASE_URL}/history/${promptId}`);
+      const response = await http.get(url('/queue', comfyServerPool.getServer(server).url));
       return response.data;
     } catch (error) {
-      console.error('Error getting output:', error);
+      console.error('Error getting queue:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Remove pending prompts from the queue
+   * @param {Array<string>} promptIds - Prompt ids to remove
+   * @param {string} server - Server id, defaults to the server that owns the first prompt
+   */
+  async deleteFromQueue(promptIds, server) {
+    const serverUrl = server ? comfyServerPool.getServer(server).url : ownerOf(promptIds[0]);
+    try {
+      const response = await http.post(url('/queue', serverUrl), { delete: promptIds.map(id => comfyServerPool.resolve(id)) });
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting from queue:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Move a pending prompt to another position in its server's queue. ComfyUI
+   * can't reorder, so the prompt is taken out and queued again with a new
+   * priority number. Servers that honour a client prompt_id keep the id; on
+   * others the pool maps the old id to the new one.
+   * @param {string} promptId - Pending prompt to move
+   * @param {number} number - New priority; the queue runs the lowest number first
+   * @param {string} server - Server id, defaults to the server that owns the prompt
+   * @returns {Promise<{prompt_id: string, number: number, server: string}>}
+   */
+  async movePrompt(promptId, number, server) {
+    const target = server ? comfyServerPool.getServer(server) : comfyServerPool.getServerFor(promptId);
+    const currentId = comfyServerPool.resolve(promptId);
+
+    movingPrompts.add(currentId);
+    try {
+      const queue = await this.getQueue(target.id);
+      const entry = (queue.queue_pending || []).find(item => item[1] === currentId);
+      if (!entry) {
+        throw new Error('The prompt is no longer waiting in the queue');
+      }
+      const [, , prompt, extraData = {}] = entry;
+
+      await this.deleteFromQueue([currentId], target.id);
+      // A prompt that started in the meantime was not removed
+      const after = await this.getQueue(target.id);
+      if ((after.queue_running || []).some(item => item[1] === currentId)) {
+        throw new Error('The prompt started running before it could be moved');
+      }
+
+      let response;
+      try {
+        response = await http.post(url('/prompt', target.url), {
+          prompt,
+          prompt_id: currentId,
+          number,
+          client_id: extraData.client_id,
+          extra_data: extraData
+        });
+      } catch (error) {
+        console.error(`Error queuing prompt ${currentId} again; it was removed from the queue:`, error);
+        throw error;
+      }
+      if (response.data.prompt_id !== currentId) {
+        comfyServerPool.requeued(currentId, response.data.prompt_id, target.id);
+      }
+      return { ...response.data, server: target.id };
+    } finally {
+      movingPrompts.delete(currentId);
+    }
+  },
+
+  /**
+   * Remove every pending prompt from the queue; the running prompt is not affected
+   * @param {string} server - Server id, defaults to the primary server
+   */
+  async clearQueue(server) {
+    try {
+      const response = await http.post(url('/queue', comfyServerPool.getServer(server).url), { clear: true });
+      return response.data;
+    } catch (error) {
+      console.error('Error clearing queue:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Interrupt the running prompt
+   * @param {string} promptId - Only interrupt if this prompt is the one running (ignored by older
+   *   servers); also picks the server, which is the primary server without it
+   * @param {string} server - Server id, for prompts the pool doesn't know the owner of
+   */
+  async interrupt(promptId, server) {
+    const serverUrl = (server || !promptId) ? comfyServerPool.getServer(server).url : ownerOf(promptId);
+    try {
+      const response = await http.post(
+        url('/interrupt', serverUrl),
+        promptId ? { prompt_id: comfyServerPool.resolve(promptId) } : {}
+      );
+      return response.data;
+    } catch (error) {
+      console.error('Error interrupting prompt:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Ask the server to unload its models and free cached memory. ComfyUI does
+   * this once the running prompt, if any, has finished.
+   * @param {Object} options - What to free
+   * @param {boolean} options.unloadModels - Unload every model from VRAM, defaults to true
+   * @param {boolean} options.freeMemory - Also release torch's cached memory, defaults to true
+   * @param {string} server - Server id, defaults to the primary server
+   */
+  async freeMemory(options = {}, server) {
+    const { unloadModels = true, freeMemory = true } = options;
+    try {
+      const response = await http.post(url('/free', comfyServerPool.getServer(server).url), {
+        unload_models: unloadModels,
+        free_memory: freeMemory
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error freeing memory:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Upload an image to the ComfyUI input directory
+   * @param {Blob} file - Image data
+   * @param {Object} options - Upload options
+   * @param {string} options.filename - File name to store the image under
+   * @param {string} options.subfolder - Sub folder inside the input directory
+   * @param {boolean} options.overwrite - Replace an existing file with the same name
+   * @param {string} options.server - Server id; upload to the server that will run the prompt
+   * @returns {Promise<{name: string, subfolder: string, type: string}>}
+   */
+  async uploadImage(file, options = {}) {
+    const formData = new FormData();
+    formData.append('image', file, options.filename || file.name || `upload_${Date.now()}.png`);
+    formData.append('type', 'input');
+    if (options.subfolder) {
+      formData.append('subfolder', options.subfolder);
+    }
+    if (options.overwrite) {
+      formData.append('overwrite', 'true');
+    }
+
+    try {
+      const response = await http.post(url('/upload/image', comfyServerPool.getServer(options.server).url), formData);
+      return response.data;
+    } catch (error) {
+      console.error('Error uploading image:', error);
       throw error;
     }
   },
@@ -95,14 +574,20 @@ export const ComfyService = {
    * Create a simple workflow for generating a post-apocalyptic vehicle
    * @param {string} prompt - The text prompt for generation
    * @param {Array} traits - Array of traits to include in generation
+   * @param {Object} settings - Overrides for VEHICLE_WORKFLOW_DEFAULTS, plus an optional `seed`
+   * @returns {{workflow: Object, timestamp: number, fieldMap: Object}} fieldMap
+   *   ties node inputs back to the form fields they came from
    */
-  createVehicleWorkflow(prompt, traits = []) {
-    // Combine traits into prompt
-    const traitPrompts = traits.map(trait => 
-      trait.parameters?.prompt_fragment || ''
-    ).filter(p => p.length > 0);
+  createVehicleWorkflow(prompt, traits = [], settings = {}) {
+    const {
+      checkpoint,
+      width,
+      height,
+      sampler,
+      seed = Math.floor(Math.random() * 1000000)
+    } = { ...VEHICLE_WORKFLOW_DEFAULTS, ...settings };
 
-    const fullPrompt = [prompt, ...traitPrompts].join(', ');
+    const fullPrompt = composeTraitPrompt(prompt, traits);
       // Create a unique timestamp
     const timestamp = Math.floor(Date.now()/1000);
     
@@ -112,10 +597,10 @@ export const ComfyService = {
    const workflow={
       "3": {
         "inputs": {
-          "seed": Math.floor(Math.random() * 1000000),
+          "seed": seed,
           "steps": 30,
           "cfg": 7,
-          "sampler_name": "euler_ancestral",
+          "sampler_name": sampler,
           "scheduler": "normal",
           "denoise": 1,
           "model": ["4", 0],
@@ -127,14 +612,14 @@ export const ComfyService = {
       },
       "4": {
         "inputs": {
-          "ckpt_name": "sdxl/sd_xl_base_1.0.safetensors"
+          "ckpt_name": checkpoint
         },
         "class_type": "CheckpointLoaderSimple"
       },
       "5": {
         "inputs": {
-          "width": 1024,
-          "height": 1024,
+          "width": width,
+          "height": height,
           "batch_size": 1
         },
         "class_type": "EmptyLatentImage"
@@ -170,8 +655,44 @@ export const ComfyService = {
 
     };
       // Return the workflow AND the timestamp we used
-      return{ workflow, timestamp };
+      return{ workflow, timestamp, fieldMap: VEHICLE_WORKFLOW_FIELDS };
+
+  },
+
+  /**
+   * Create an image-to-image workflow that varies an uploaded image.
+   * Same graph as createVehicleWorkflow, but the latent comes from
+   * LoadImage → VAEEncode instead of EmptyLatentImage.
+   * @param {string} prompt - The text prompt for generation
+   * @param {string} image - Input image name as returned by uploadImage, including subfolder
+   * @param {Object} settings - Overrides for VEHICLE_WORKFLOW_DEFAULTS plus
+   *   `denoise` (0-1): how far the result may move away from the image
+   * @returns {{workflow: Object, timestamp: number, fieldMap: Object}}
+   */
+  createVariantWorkflow(prompt, image, settings = {}) {
+    const { denoise = 0.6, ...rest } = settings;
+    const { workflow, timestamp } = this.createVehicleWorkflow(prompt, [], rest);
+
+    // The source image decides the size, so the empty latent goes away
+    delete workflow["5"];
+    workflow["3"].inputs.latent_image = ["11", 0];
+    workflow["3"].inputs.denoise = denoise;
+    workflow["9"].inputs.filename_prefix = `postapoc_variant_${timestamp}`;
+    workflow["10"] = {
+      "inputs": {
+        "image": image
+      },
+      "class_type": "LoadImage"
+    };
+    workflow["11"] = {
+      "inputs": {
+        "pixels": ["10", 0],
+        "vae": ["4", 2]
+      },
+      "class_type": "VAEEncode"
+    };
 
+    return { workflow, timestamp, fieldMap: VARIANT_WORKFLOW_FIELDS };
   }
 
 
@@ -0,0 +1,164 @@
+// src/services/comfyStatsMonitor.js
+import config from '../config';
+import ComfyService from './comfyService';
+import comfyServerPool from './comfyServerPool';
+import comfyJobTracker from './comfyJobTracker';
+
+// How far back samples and generations are kept
+export const HISTORY_WINDOW_MS = 60 * 60 * 1000;
+// Samples closer together than this are duplicates from the pool's own checks
+const MIN_SAMPLE_SPACING = 250; // ms
+
+/**
+ * Keeps the last hour of /system_stats samples per server, plus the start
+ * and end of every generation this tab followed, for the server dashboard.
+ *
+ * Samples are polled while anything is subscribed. While prompts are out the
+ * server pool checks /system_stats anyway, and those results are kept too, so
+ * the chart has data from generations that ran while the dashboard was closed.
+ */
+class ComfyStatsMonitor {
+  constructor(pool, tracker) {
+    this.pool = pool;
+    this.samples = new Map(pool.getServers().map(server => [server.id, []]));
+    this.latest = new Map();
+    this.generations = new Map();
+    this.subscribers = [];
+    this.timer = null;
+
+    pool.addEventListener('change', (servers) => {
+      servers.filter(server => server.stats && !server.error).forEach(server => {
+        this._record(server.id, server.stats, server.checkedAt);
+      });
+      this._notify();
+    });
+    tracker.addEventListener('job', (job) => this._recordJob(job));
+  }
+
+  /**
+   * Receive the monitor state now and after every change; polling runs
+   * while there is at least one subscriber
+   * @param {Function} callback - Called with the result of getState
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(callback) {
+    this.subscribers.push(callback);
+    callback(this.getState());
+
+    if (!this.timer) {
+      this.refresh();
+      this.timer = setInterval(() => this.refresh(), config.statsPollIntervalMs);
+    }
+
+    return () => {
+      this.subscribers = this.subscribers.filter(cb => cb !== callback);
+      if (this.subscribers.length === 0 && this.timer) {
+        clearInterval(this.timer);
+        this.timer = null;
+      }
+    };
+  }
+
+  /**
+   * Sample every server now
+   */
+  async refresh() {
+    await Promise.all(this.pool.getServers().map(async (server) => {
+      try {
+        const stats = await ComfyService.getStatus(server.id);
+        this._record(server.id, stats, Date.now());
+      } catch (error) {
+        this.latest.set(server.id, { ...this.latest.get(server.id), error: error.message, checkedAt: Date.now() });
+      }
+    }));
+    this._notify();
+  }
+
+  /**
+   * Samples and generations of the last hour
+   * @returns {{now: number, servers: Array, generations: Array}} Each server has
+   *   its latest `stats`, the `error` of the last check and its `samples`, each
+   *   `{time, devices}`; generations have `promptId`, `serverId`, `status`,
+   *   `startedAt` and `finishedAt` (null while running)
+   */
+  getState() {
+    const now = Date.now();
+    return {
+      now,
+      servers: this.pool.getServers().map(server => ({
+        id: server.id,
+        url: server.url,
+        stats: this.latest.get(server.id)?.stats || null,
+        error: this.latest.get(server.id)?.error || null,
+        checkedAt: this.latest.get(server.id)?.checkedAt || null,
+        samples: [...(this.samples.get(server.id) || [])]
+      })),
+      generations: [...this.generations.values()]
+        .filter(generation => (generation.finishedAt || now) >= now - HISTORY_WINDOW_MS)
+        .map(generation => ({ ...generation }))
+    };
+  }
+
+  _record(serverId, stats, time) {
+    this.latest.set(serverId, { stats, error: null, checkedAt: time });
+
+    const samples = this.samples.get(serverId) || [];
+    if (samples.length > 0 && time - samples[samples.length - 1].time < MIN_SAMPLE_SPACING) return;
+
+    samples.push({
+      time,
+      devices: (stats.devices || []).map(device => ({
+        name: device.name,
+        vram_total: device.vram_total,
+        vram_free: device.vram_free,
+        torch_vram_total: device.torch_vram_total,
+        torch_vram_free: device.torch_vram_free
+      }))
+    });
+    const cutoff = time - HISTORY_WINDOW_MS;
+    this.samples.set(serverId, samples.filter(sample => sample.time >= cutoff));
+  }
+
+  _recordJob(job) {
+    if (job.status === 'queued') return;
+
+    const generation = this.generations.get(job.promptId) || {
+      promptId: job.promptId,
+      serverId: this.pool.getServerFor(job.promptId).id
+    };
+    const changed = generation.status !== job.status;
+    Object.assign(generation, {
+      status: job.status,
+      // A socket that connected after execution_start first sees the prompt running
+      startedAt: job.startedAt || generation.startedAt || Date.now(),
+      finishedAt: job.finishedAt
+    });
+    this.generations.set(job.promptId, generation);
+
+    const cutoff = Date.now() - HISTORY_WINDOW_MS;
+    this.generations.forEach((entry, promptId) => {
+      if (entry.finishedAt && entry.finishedAt < cutoff) {
+        this.generations.delete(promptId);
+      }
+    });
+
+    // Progress events don't move the markers
+    if (changed) {
+      this._notify();
+    }
+  }
+
+  _notify() {
+    if (this.subscribers.length === 0) return;
+    const state = this.getState();
+    this.subscribers.forEach(callback => {
+      try {
+        callback(state);
+      } catch (error) {
+        console.error('Error in stats monitor subscriber:', error);
+      }
+    });
+  }
+}
+
+export default new ComfyStatsMonitor(comfyServerPool, comfyJobTracker);
@@ -1,54 +1,104 @@
 // src/services/comfyUIWebSocketService.js
-class ComfyUIWebSocketService {
-    constructor() {
+import config from '../config';
+import { CLIENT_ID } from './comfyClientId';
+import { getWebSocketTarget } from './comfyAuth';
+
+// Binary frame event types sent by ComfyUI
+const BINARY_PREVIEW_IMAGE = 1;
+const BINARY_PREVIEW_IMAGE_WITH_METADATA = 4;
+
+// Reconnect delays grow from the base to the cap, each picked at random
+// between half and all of the step so many tabs don't retry in lockstep
+const RECONNECT_BASE_DELAY = 1000; // ms
+const RECONNECT_MAX_DELAY = 30 * 1000; // ms
+
+const isTabHidden = () => typeof document !== 'undefined' && document.visibilityState === 'hidden';
+
+export class ComfyUIWebSocketService {
+    /**
+     * @param {string} wsUrl - The server's /ws endpoint, without query string
+     * @param {string} serverUrl - Base URL of the server's HTTP API, whose credentials are used
+     */
+    constructor(wsUrl = config.comfyUiWs, serverUrl = config.comfyUiApi) {
+      this.wsUrl = wsUrl;
+      this.serverUrl = serverUrl;
       this.socket = null;
       this.isConnected = false;
+      // 'status' reports the socket connection itself; every other key is a
+      // ComfyUI message type and receives that message's data payload
       this.listeners = {
         'status': [],
         'execution_start': [],
         'execution_cached': [],
+        'executing': [],
+        'executed': [],
+        'progress': [],
+        'execution_success': [],
         'execution_error': [],
-        'execution_complete': [],
-        'progress': []
+        'execution_interrupted': [],
+        'preview': [],
+        'message': []
       };
       this.reconnectAttempts = 0;
-      this.maxReconnectAttempts = 5;
-      this.reconnectDelay = 3000; // ms
+      this.reconnectTimer = null;
+      this.shouldReconnect = false;
+      // Set once connected, so later connections are reported as reconnects
+      this.hasConnected = false;
+      this._handleVisibilityChange = () => {
+        // Retries wait while the tab is hidden; pick them up right away when it shows again
+        if (!isTabHidden() && this.shouldReconnect && !this.isConnected && !this.reconnectTimer) {
+          this.connect();
+        }
+      };
     }
     
-    connect(url = process.env.REACT_APP_COMFYUI_WS_URL) {
-      if (this.socket && this.isConnected) {
+    /**
+     * Open the socket, always with this server's URL and this tab's clientId,
+     * so ComfyUI keeps sending the events of prompts queued earlier. Dropped
+     * connections are retried until disconnect() is called.
+     */
+    connect() {
+      this.shouldReconnect = true;
+      // A manual connect skips the rest of the backoff
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+
+      if (this.socket && (this.isConnected || this.socket.readyState === WebSocket.CONNECTING)) {
         console.log("WebSocket already connected");
         return;
       }
       
-      console.log(`Connecting to ComfyUI WebSocket at ${url}...`);
+      console.log(`Connecting to ComfyUI WebSocket at ${this.wsUrl}...`);
       
       try {
-        this.socket = new WebSocket(url);
+        // Tokens go in the query string or a subprotocol, see comfyAuth
+        const { url, protocols } = getWebSocketTarget(this.wsUrl, this.serverUrl, { clientId: CLIENT_ID });
+        const socket = new WebSocket(url, protocols);
+        this.socket = socket;
+        // Latent previews arrive as binary frames
+        socket.binaryType = 'arraybuffer';
         
-        this.socket.onopen = () => {
+        socket.onopen = () => {
           console.log("ComfyUI WebSocket connection established");
           this.isConnected = true;
           this.reconnectAttempts = 0;
-          this._notifyListeners('status', { connected: true });
+          // Listeners catch up on what happened while the socket was down
+          this._notifyListeners('status', { connected: true, reconnected: this.hasConnected });
+          this.hasConnected = true;
         };
         
-        this.socket.onmessage = (event) => {
+        socket.onmessage = (event) => {
+          if (event.data instanceof ArrayBuffer) {
+            this._handleBinaryMessage(event.data);
+            return;
+          }
+
           try {
             const data = JSON.parse(event.data);
             
-            // Handle different message types
-            if (data.type === 'execution_start') {
-              this._notifyListeners('execution_start', data);
-            } else if (data.type === 'execution_cached') {
-              this._notifyListeners('execution_cached', data);
-            } else if (data.type === 'execution_error') {
-              this._notifyListeners('execution_error', data);
-            } else if (data.type === 'execution_complete') {
-              this._notifyListeners('execution_complete', data);
-            } else if (data.type === 'progress') {
-              this._notifyListeners('progress', data);
+            // ComfyUI's own 'status' message is queue info, not connection state
+            if (data.type !== 'status' && data.type !== 'message') {
+              this._notifyListeners(data.type, data.data || {});
             }
             
             // Also send the raw message to any handlers interested in all messages
@@ -58,7 +108,8 @@ class ComfyUIWebSocketService {
           }
         };
         
-        this.socket.onerror = (error) => {
+        socket.onerror = (error) => {
+          if (this.socket !== socket) return;
           console.error("ComfyUI WebSocket error:", error);
           this._notifyListeners('status', { 
             connected: false, 
@@ -67,8 +118,11 @@ class ComfyUIWebSocketService {
           });
         };
         
-        this.socket.onclose = (event) => {
+        socket.onclose = (event) => {
+          // A socket replaced by connect() or closed by disconnect()
+          if (this.socket !== socket) return;
           console.log(`ComfyUI WebSocket connection closed: ${event.code} - ${event.reason}`);
+          this.socket = null;
           this.isConnected = false;
           this._notifyListeners('status', { 
             connected: false, 
@@ -81,14 +135,26 @@ class ComfyUIWebSocketService {
         };
       } catch (error) {
         console.error("Failed to create WebSocket connection:", error);
+        this._attemptReconnect();
       }
     }
     
+    /**
+     * Close the socket and stop reconnecting
+     */
     disconnect() {
+      this.shouldReconnect = false;
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+      if (typeof document !== 'undefined') {
+        document.removeEventListener('visibilitychange', this._handleVisibilityChange);
+      }
+
       if (this.socket) {
-        this.socket.close();
+        const socket = this.socket;
         this.socket = null;
         this.isConnected = false;
+        socket.close();
       }
     }
     
@@ -106,6 +172,45 @@ class ComfyUIWebSocketService {
       }
     }
     
+    /**
+     * Decode a binary frame. Every frame starts with a big-endian uint32 event
+     * type. PREVIEW_IMAGE (1) follows it with a uint32 image format (1 = JPEG,
+     * 2 = PNG) and the image bytes. PREVIEW_IMAGE_WITH_METADATA (4) follows it
+     * with a uint32 length, that many bytes of JSON metadata naming the prompt
+     * and node, and the image bytes.
+     */
+    _handleBinaryMessage(buffer) {
+      if (buffer.byteLength < 8) return;
+
+      const view = new DataView(buffer);
+      const eventType = view.getUint32(0);
+
+      if (eventType === BINARY_PREVIEW_IMAGE) {
+        const mimeType = view.getUint32(4) === 2 ? 'image/png' : 'image/jpeg';
+        this._notifyListeners('preview', {
+          blob: new Blob([buffer.slice(8)], { type: mimeType }),
+          mimeType,
+          promptId: null,
+          nodeId: null
+        });
+      } else if (eventType === BINARY_PREVIEW_IMAGE_WITH_METADATA) {
+        const metadataLength = view.getUint32(4);
+        let metadata = {};
+        try {
+          metadata = JSON.parse(new TextDecoder().decode(buffer.slice(8, 8 + metadataLength)));
+        } catch (error) {
+          console.error("Error parsing preview metadata:", error);
+        }
+        const mimeType = metadata.image_type || 'image/jpeg';
+        this._notifyListeners('preview', {
+          blob: new Blob([buffer.slice(8 + metadataLength)], { type: mimeType }),
+          mimeType,
+          promptId: metadata.prompt_id || null,
+          nodeId: metadata.node_id || null
+        });
+      }
+    }
+    
     _notifyListeners(event, data) {
       if (this.listeners[event]) {
         this.listeners[event].forEach(callback => {
@@ -119,21 +224,32 @@ class ComfyUIWebSocketService {
     }
     
     _attemptReconnect() {
-      if (this.reconnectAttempts < this.maxReconnectAttempts) {
-        this.reconnectAttempts++;
-        console.log(`Attempting to reconnect (${this.reconnectAttempts}/${this.maxReconnectAttempts}) in ${this.reconnectDelay/1000}s...`);
-        
-        setTimeout(() => {
-          this.connect();
-        }, this.reconnectDelay);
-      } else {
-        console.error("Failed to reconnect after multiple attempts");
-        this._notifyListeners('status', { 
-          connected: false, 
-          reconnectFailed: true, 
-          message: "Failed to reconnect after multiple attempts" 
-        });
+      if (!this.shouldReconnect || this.reconnectTimer) return;
+
+      if (typeof document !== 'undefined') {
+        document.addEventListener('visibilitychange', this._handleVisibilityChange);
+      }
+      if (isTabHidden()) {
+        console.log("Tab is hidden, reconnecting once it is visible again");
+        return;
       }
+
+      const step = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** this.reconnectAttempts);
+      const delay = Math.round(step / 2 + Math.random() * (step / 2));
+      this.reconnectAttempts++;
+      console.log(`Attempting to reconnect (attempt ${this.reconnectAttempts}) in ${(delay / 1000).toFixed(1)}s...`);
+      this._notifyListeners('status', {
+        connected: false,
+        reconnecting: true,
+        attempt: this.reconnectAttempts,
+        retryIn: delay,
+        message: `Reconnecting in ${Math.ceil(delay / 1000)}s (attempt ${this.reconnectAttempts})`
+      });
+
+      this.reconnectTimer = setTimeout(() => {
+        this.reconnectTimer = null;
+        this.connect();
+      }, delay);
     }
   }
   
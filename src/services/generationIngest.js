@@ -0,0 +1,170 @@
+// src/services/generationIngest.js
+import ComfyService from './comfyService';
+import SupabaseService from './supabaseService';
+
+// Ingests running in this page, by prompt id
+const inFlight = new Map();
+
+/**
+ * Thrown when saving a prompt's outputs fails. Everything the ingest created
+ * has been deleted again and the session is marked failed.
+ */
+export class IngestError extends Error {
+  /**
+   * @param {string} step - The step that failed: check, lookup, download, upload, asset, traits, session link or session
+   * @param {Error} cause - The error of that step
+   */
+  constructor(step, cause) {
+    super(`Could not save the outputs (${step}): ${cause.message}`);
+    this.name = 'IngestError';
+    this.step = step;
+    this.cause = cause;
+  }
+}
+
+/**
+ * What a session needs to turn its prompt's outputs into assets. It is kept
+ * in the session's parameters as `ingest`, so the outputs can still be saved
+ * when the page that queued the prompt is gone.
+ * @param {Object} options
+ * @param {Object} options.metadata - Asset metadata shared by every output image, e.g. prompt and seed
+ * @param {string} options.parentAssetId - Parent of the new assets, for variants
+ * @param {Array<string>} options.traitIds - Traits to tag every new asset with
+ */
+export const describeIngest = ({ metadata = {}, parentAssetId = null, traitIds = [] } = {}) => ({
+  metadata,
+  parent_asset_id: parentAssetId,
+  trait_ids: traitIds
+});
+
+const step = async (name, action) => {
+  try {
+    return await action();
+  } catch (error) {
+    throw new IngestError(name, error);
+  }
+};
+
+const imageKey = (nodeId, filename) => `${nodeId}/${filename}`;
+
+// Undo a failed ingest; what can't be deleted is logged rather than hiding the original error
+const compensate = async ({ assetIds, files }) => {
+  try {
+    await SupabaseService.deleteAssets(assetIds);
+  } catch (error) {
+    console.error(`Could not delete the assets of a failed ingest (${assetIds.join(', ')}):`, error);
+  }
+  try {
+    if (files.length > 0) {
+      await SupabaseService.removeFiles(files);
+    }
+  } catch (error) {
+    console.error(`Could not delete the files of a failed ingest (${files.join(', ')}):`, error);
+  }
+};
+
+const runIngest = async (session, { promptId, server, images }, options) => {
+  const ingest = session.parameters?.ingest || describeIngest();
+  const parameters = {
+    ...session.parameters,
+    prompt_id: promptId,
+    server: server || images[0]?.server || session.parameters?.server
+  };
+  const created = { assetIds: [], files: [] };
+
+  try {
+    if (images.length === 0) {
+      throw new IngestError('check', new Error('ComfyUI finished the prompt but returned no images'));
+    }
+
+    // Images saved by an earlier run for this prompt are not saved twice
+    const existing = await step('lookup', () => SupabaseService.getAssetsByPromptId(promptId));
+    const saved = new Set(existing.map(asset => imageKey(asset.metadata?.comfy_node_id, asset.metadata?.comfy_filename)));
+    const missing = images.filter(image => !saved.has(imageKey(image.nodeId, image.filename)));
+
+    // Download everything before writing anything
+    const blobs = await step('download', () =>
+      Promise.all(missing.map(image => image.blob || ComfyService.getImageBlob(image)))
+    );
+
+    const assets = [...existing];
+    for (const [index, image] of missing.entries()) {
+      options.onProgress?.(existing.length + index + 1, images.length);
+
+      const storagePath = `images-2d/${session.id}/${image.filename}`;
+      // A file left behind by a run whose clean-up failed is replaced
+      await step('upload', () => SupabaseService.uploadFile(storagePath, blobs[index], { upsert: true }));
+      created.files.push(storagePath);
+
+      const asset = await step('asset', () => SupabaseService.createAsset({
+        asset_type: 'image_2d',
+        storage_path: storagePath,
+        parent_asset_id: ingest.parent_asset_id || null,
+        status: 'complete',
+        metadata: {
+          ...ingest.metadata,
+          comfy_prompt_id: promptId,
+          comfy_filename: image.filename,
+          comfy_subfolder: image.subfolder,
+          comfy_node_id: image.nodeId,
+          comfy_server: image.server
+        }
+      }));
+      created.assetIds.push(asset.id);
+
+      if (ingest.trait_ids?.length > 0) {
+        await step('traits', () => SupabaseService.addAssetTraits(asset.id, ingest.trait_ids));
+      }
+      await step('session link', () => SupabaseService.addAssetToSession(session.id, asset.id));
+      assets.push(asset);
+    }
+
+    const completed = await step('session', () =>
+      SupabaseService.updateSession(session.id, { status: 'completed', parameters })
+    );
+    return { session: completed, assets };
+  } catch (error) {
+    await compensate(created);
+    try {
+      await SupabaseService.updateSession(session.id, {
+        status: 'failed',
+        parameters: { ...parameters, error: error.message }
+      });
+    } catch (sessionUpdateError) {
+      console.error(`Could not mark session ${session.id} failed:`, sessionUpdateError);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Save the output images of a finished prompt as assets of the session that
+ * queued it, then mark the session completed.
+ *
+ * Every image of the prompt is saved or none is: when a step fails, the
+ * files uploaded and rows created so far are deleted again and the session
+ * is marked failed with the reason in `parameters.error`. Ingest is
+ * idempotent per prompt_id: images already saved for the prompt are
+ * skipped, and calls for a prompt that is being saved in this page share
+ * that run.
+ * @param {Object} session - Session with `parameters.ingest` from describeIngest
+ * @param {Object} result - The finished prompt
+ * @param {string} result.promptId - Prompt id the images came from, after failovers
+ * @param {string} result.server - Id of the server that ran it
+ * @param {Array} result.images - Images as returned by ComfyService.getOutputImages; an
+ *   image's `blob`, when set, is saved instead of downloading it again
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with the number of the image being saved and the total
+ * @returns {Promise<{session: Object, assets: Array<Object>}>} The completed session and every asset of the prompt
+ * @throws {IngestError}
+ */
+export const ingestOutputs = (session, result, options = {}) => {
+  if (!inFlight.has(result.promptId)) {
+    inFlight.set(result.promptId, runIngest(session, result, options).finally(() => {
+      inFlight.delete(result.promptId);
+    }));
+  }
+  return inFlight.get(result.promptId);
+};
+
+export default ingestOutputs;
@@ -0,0 +1,118 @@
+// src/services/generationRerun.js
+import ComfyService from './comfyService';
+import SupabaseService from './supabaseService';
+import pendingGenerations from './pendingGenerations';
+import { PromptCancelledError } from './comfyErrors';
+import { ingestOutputs, IngestError } from './generationIngest';
+
+const SAMPLER_TYPES = ['KSampler', 'KSamplerAdvanced'];
+
+// Parameters that belong to one run and are not copied to a re-run
+const RUN_PARAMETERS = ['prompt_id', 'server', 'ingest', 'workflow', 'timeline', 'error'];
+
+/**
+ * The seed of a workflow's sampler
+ * @param {Object} workflow - Workflow in ComfyUI API format
+ * @returns {number|undefined}
+ */
+export const getWorkflowSeed = (workflow = {}) => {
+  const sampler = Object.values(workflow).find(node => SAMPLER_TYPES.includes(node.class_type));
+  return sampler?.inputs.seed ?? sampler?.inputs.noise_seed;
+};
+
+/**
+ * A copy of a workflow with every sampler set to a seed
+ * @param {Object} workflow - Workflow in ComfyUI API format
+ * @param {number} seed - The new seed
+ */
+export const reseedWorkflow = (workflow, seed) => Object.fromEntries(
+  Object.entries(workflow).map(([nodeId, node]) => {
+    if (!SAMPLER_TYPES.includes(node.class_type)) return [nodeId, node];
+    const seedInput = 'noise_seed' in node.inputs ? 'noise_seed' : 'seed';
+    return [nodeId, { ...node, inputs: { ...node.inputs, [seedInput]: seed } }];
+  })
+);
+
+/**
+ * Whether a session stored what it needs to run again
+ * @param {Object} session - Generation session
+ */
+export const canRerun = (session) => Boolean(session?.parameters?.workflow);
+
+/**
+ * Queue the workflow of a session again as a new session and save its outputs
+ * @param {Object} session - Session whose parameters hold the workflow
+ * @param {Object} options - Re-run options
+ * @param {boolean} options.newSeed - Use a random seed instead of the session's
+ * @param {Function} options.onStatus - Called with a progress message
+ * @param {Function} options.onQueued - Called with the new session once its prompt is queued
+ * @returns {Promise<{session: Object, assets: Array<Object>}>} The new, completed session and its assets
+ */
+export const rerunSession = async (session, options = {}) => {
+  const { onStatus = () => {}, onQueued = () => {} } = options;
+  if (!canRerun(session)) {
+    throw new Error('This session did not store its workflow, so it cannot be run again');
+  }
+
+  const { parameters } = session;
+  const seed = options.newSeed ? Math.floor(Math.random() * 1000000000) : getWorkflowSeed(parameters.workflow);
+  const workflow = options.newSeed ? reseedWorkflow(parameters.workflow, seed) : parameters.workflow;
+
+  // Input images such as a variant's source only exist on the server they were uploaded to
+  const usesInputImages = Object.values(workflow).some(node => node.class_type === 'LoadImage');
+  const target = usesInputImages ? { server: parameters.server } : {};
+
+  onStatus('Checking workflow...');
+  await ComfyService.validateWorkflow(workflow, target);
+
+  const copied = Object.fromEntries(Object.entries(parameters).filter(([key]) => !RUN_PARAMETERS.includes(key)));
+  let rerun = await SupabaseService.createSession({
+    ...copied,
+    ...(copied.seed !== undefined && { seed }),
+    source: 'rerun',
+    rerun_of: session.id
+  });
+
+  try {
+    onStatus('Queuing generation...');
+    const queued = await ComfyService.queuePrompt(workflow, target);
+
+    const ingest = parameters.ingest || {};
+    rerun = await SupabaseService.updateSession(rerun.id, {
+      status: 'in_progress',
+      parameters: {
+        ...rerun.parameters,
+        prompt_id: queued.prompt_id,
+        server: queued.server,
+        workflow,
+        ingest: { ...ingest, metadata: { ...ingest.metadata, ...(ingest.metadata?.seed !== undefined && { seed }) } }
+      }
+    });
+    pendingGenerations.add(rerun);
+    onQueued(rerun);
+
+    onStatus('Generation in progress...');
+    const historyEntry = await ComfyService.waitForHistory(queued.prompt_id, {
+      lookupPromptId: () => SupabaseService.getSessionPromptId(rerun.id)
+    });
+    const images = ComfyService.getOutputImages(historyEntry.outputs, historyEntry.server);
+
+    return await ingestOutputs(rerun, { promptId: historyEntry.promptId, server: historyEntry.server, images }, {
+      onProgress: (index, total) => onStatus(`Saving image ${index} of ${total}...`)
+    });
+  } catch (error) {
+    // A failed ingest has already marked the session failed, with the reason
+    if (!(error instanceof IngestError)) {
+      const cancelled = error instanceof PromptCancelledError;
+      await SupabaseService.updateSession(rerun.id, {
+        status: cancelled ? 'cancelled' : 'failed',
+        parameters: { ...rerun.parameters, error: error.message }
+      }).catch(sessionUpdateError => console.error('Failed to update session status:', sessionUpdateError));
+    }
+    throw error;
+  } finally {
+    pendingGenerations.remove(rerun.id);
+  }
+};
+
+export default rerunSession;
@@ -0,0 +1,301 @@
+// src/services/pendingGenerations.js
+import config from '../config';
+import ComfyService from './comfyService';
+import comfyServerPool from './comfyServerPool';
+import SupabaseService from './supabaseService';
+import authService from './authService';
+import { PromptCancelledError, PromptTimeoutError } from './comfyErrors';
+import { CLIENT_ID } from './comfyClientId';
+import { ingestOutputs, IngestError } from './generationIngest';
+
+const STORAGE_KEY = 'comfy-frontend.pending-generations';
+const HEARTBEAT_INTERVAL = 10 * 1000;
+// A page whose heartbeat is older than this is gone
+const HEARTBEAT_TIMEOUT = 3 * HEARTBEAT_INTERVAL;
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled', 'postponed', 'unreachable'];
+
+/**
+ * Finishes generations whose page went away before their outputs were saved.
+ *
+ * Pages register each session they queue a prompt for. The list lives in
+ * localStorage, shared by the tabs of this browser, and every page keeps a
+ * heartbeat on its own entries until they are removed. On startup, resume
+ * picks up the signed-in user's sessions that this browser lists, whose page
+ * is gone and that are still `in_progress` in the database. Sessions queued
+ * elsewhere, e.g. by the CLI or another user, are left alone. It waits for their prompt in ComfyUI's /history, saves the outputs
+ * with the `ingest` description stored on the session, and marks the session
+ * completed, or failed or cancelled when the prompt never finished. Sessions
+ * whose server can't be reached, or whose prompt is still queued when the wait
+ * times out, stay pending for the next start.
+ */
+class PendingGenerations {
+  constructor() {
+    this.listeners = { change: [] };
+    this.recoveries = [];
+    this.heartbeat = null;
+    this.resuming = null;
+    this.rechecked = false;
+
+    comfyServerPool.addEventListener('failover', (data) => this._handleFailover(data));
+    // A reload or closed tab gives up its sessions at once instead of after the heartbeat timeout
+    globalThis.addEventListener?.('pagehide', () => this._beat(0));
+    globalThis.addEventListener?.('pageshow', (event) => {
+      if (event.persisted) this._beat();
+    });
+  }
+
+  /**
+   * Claim a session whose prompt this page has queued
+   * @param {Object} session - Session whose parameters hold prompt_id and server
+   */
+  add(session) {
+    const { prompt_id: promptId, server } = session.parameters || {};
+    this._write([
+      ...this._read().filter(entry => entry.sessionId !== session.id),
+      { sessionId: session.id, promptId, server, parameters: session.parameters, owner: CLIENT_ID, heartbeatAt: Date.now() }
+    ]);
+    this._startHeartbeat();
+  }
+
+  /**
+   * Forget a session once its outputs are saved or it has failed
+   * @param {string} sessionId - Session ID
+   */
+  remove(sessionId) {
+    this._write(this._read().filter(entry => entry.sessionId !== sessionId));
+    this._stopHeartbeatIfIdle();
+  }
+
+  /**
+   * Give up a session whose prompt is still queued, so the next start of the
+   * app finishes it
+   * @param {string} sessionId - Session ID
+   */
+  release(sessionId) {
+    this._write(this._read().map(entry =>
+      entry.sessionId === sessionId ? { ...entry, owner: null, heartbeatAt: 0 } : entry
+    ));
+    this._stopHeartbeatIfIdle();
+  }
+
+  /**
+   * The sessions resume is working on or has finished
+   * @returns {Array<{sessionId: string, promptId: string, status: string, message: string}>}
+   *   status is checking, waiting, saving, completed, failed, cancelled, postponed or unreachable
+   */
+  getRecoveries() {
+    return this.recoveries.map(recovery => ({ ...recovery }));
+  }
+
+  /**
+   * Drop the finished recoveries from getRecoveries
+   */
+  dismiss() {
+    this.recoveries = this.recoveries.filter(recovery => !FINISHED_STATUSES.includes(recovery.status));
+    this._emit();
+  }
+
+  /**
+   * Finish the in-progress sessions of pages that are gone. Safe to call
+   * more than once; sessions already being recovered are skipped.
+   */
+  resume() {
+    if (!this.resuming) {
+      this.resuming = this._resume()
+        .catch(error => console.error('Error resuming pending generations:', error))
+        .finally(() => {
+          this.resuming = null;
+        });
+    }
+    return this.resuming;
+  }
+
+  /**
+   * Listen to recovery progress
+   * @param {string} event - 'change', called with getRecoveries()
+   * @param {Function} callback - Event handler
+   */
+  addEventListener(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event].push(callback);
+    } else {
+      console.warn(`Unknown pending generations event: ${event}`);
+    }
+  }
+
+  removeEventListener(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+    }
+  }
+
+  async _resume() {
+    const userId = authService.getUser()?.id;
+    if (!config.supabaseUrl || !userId) return;
+
+    const now = Date.now();
+    const entries = this._read();
+    const isClaimed = (entry) => entry.owner === CLIENT_ID || now - entry.heartbeatAt <= HEARTBEAT_TIMEOUT;
+    const claimed = new Set(entries.filter(isClaimed).map(entry => entry.sessionId));
+    const recovering = new Set(this.recoveries.map(recovery => recovery.sessionId));
+    const abandoned = new Set(entries
+      .filter(entry => !isClaimed(entry) && !recovering.has(entry.sessionId))
+      .map(entry => entry.sessionId));
+
+    // A page that crashed never gave up its sessions; look again once its heartbeat is stale
+    if (!this.rechecked && entries.some(entry => entry.owner !== CLIENT_ID && claimed.has(entry.sessionId))) {
+      this.rechecked = true;
+      setTimeout(() => this.resume(), HEARTBEAT_TIMEOUT);
+    }
+
+    if (abandoned.size === 0) return;
+
+    const sessions = await SupabaseService.getSessionsByStatus(['in_progress'], { ids: [...abandoned] });
+    const open = new Set(sessions.map(session => session.id));
+
+    // Abandoned sessions that were finished some other way need nothing more
+    this._write(this._read().filter(entry => !abandoned.has(entry.sessionId) || open.has(entry.sessionId)));
+
+    // Another user's sessions wait for them to sign in on this browser
+    const orphans = sessions.filter(session => session.parameters?.prompt_id && session.created_by === userId);
+
+    if (orphans.length === 0) return;
+
+    this.recoveries.push(...orphans.map(session => ({
+      sessionId: session.id,
+      promptId: session.parameters.prompt_id,
+      status: 'checking',
+      message: 'Looking up the prompt in ComfyUI'
+    })));
+    this._emit();
+
+    for (const session of orphans) {
+      await this._recover(session);
+    }
+  }
+
+  async _recover(session) {
+    const { prompt_id: promptId, server } = session.parameters;
+    const update = (changes) => {
+      this.recoveries = this.recoveries.map(recovery =>
+        recovery.sessionId === session.id ? { ...recovery, ...changes } : recovery
+      );
+      this._emit();
+    };
+
+    if (server && !comfyServerPool.getServers().some(entry => entry.id === server)) {
+      update({ status: 'unreachable', message: `${server} is no longer a configured server` });
+      return;
+    }
+
+    // Claim the session so other tabs leave it alone while it is recovered here
+    this.add(session);
+
+    try {
+      await ComfyService.getQueue(server);
+    } catch (error) {
+      this.release(session.id);
+      update({ status: 'unreachable', message: `${server || config.comfyUiApi} did not answer (${error.message}); trying again on the next start` });
+      return;
+    }
+
+    comfyServerPool.assign(promptId, server);
+    update({ status: 'waiting', message: 'Waiting for ComfyUI to finish the prompt' });
+
+    try {
+      const historyEntry = await ComfyService.waitForHistory(promptId, {
+        lookupPromptId: () => SupabaseService.getSessionPromptId(session.id)
+      });
+      const images = ComfyService.getOutputImages(historyEntry.outputs, historyEntry.server);
+
+      update({ status: 'saving', message: `Saving ${images.length} image(s)` });
+      const { assets } = await ingestOutputs(session, {
+        promptId: historyEntry.promptId,
+        server: historyEntry.server,
+        images
+      });
+      update({ status: 'completed', message: `Saved ${assets.length} image(s)` });
+      this.remove(session.id);
+    } catch (error) {
+      // Only prompts that are gone fail; a long queue is waited out on the next start
+      if (error instanceof PromptTimeoutError && error.stillQueued) {
+        this.release(session.id);
+        update({ status: 'postponed', message: 'The prompt is still queued in ComfyUI; trying again on the next start' });
+        return;
+      }
+
+      console.error(`Error recovering session ${session.id}:`, error);
+      const cancelled = error instanceof PromptCancelledError && error.reason === 'interrupted';
+      // A failed ingest has already marked the session failed, with the reason
+      if (!(error instanceof IngestError)) {
+        try {
+          await SupabaseService.updateSession(session.id, { status: cancelled ? 'cancelled' : 'failed' });
+        } catch (sessionUpdateError) {
+          console.error('Failed to update session status:', sessionUpdateError);
+        }
+      }
+      update({ status: cancelled ? 'cancelled' : 'failed', message: error.message });
+      this.remove(session.id);
+    }
+  }
+
+  // Keep the session of a prompt moved to another server pointing at the new prompt
+  async _handleFailover({ promptId, newPromptId, to }) {
+    const entry = this._read().find(item => item.owner === CLIENT_ID && item.promptId === promptId);
+    if (!entry) return;
+
+    try {
+      const session = await SupabaseService.updateSession(entry.sessionId, {
+        parameters: { ...entry.parameters, prompt_id: newPromptId, server: to }
+      });
+      this.add(session);
+    } catch (error) {
+      console.error(`Failed to record the failover of session ${entry.sessionId}:`, error);
+    }
+  }
+
+  _read() {
+    try {
+      const entries = JSON.parse(globalThis.localStorage?.getItem(STORAGE_KEY) || '[]');
+      return Array.isArray(entries) ? entries : [];
+    } catch {
+      return [];
+    }
+  }
+
+  _write(entries) {
+    globalThis.localStorage?.setItem(STORAGE_KEY, JSON.stringify(entries));
+  }
+
+  // A heartbeat of 0 lets other pages take the entries over at once
+  _beat(heartbeatAt = Date.now()) {
+    this._write(this._read().map(entry => entry.owner === CLIENT_ID ? { ...entry, heartbeatAt } : entry));
+  }
+
+
+  _startHeartbeat() {
+    if (!this.heartbeat) {
+      this.heartbeat = setInterval(() => this._beat(), HEARTBEAT_INTERVAL);
+    }
+  }
+
+  _stopHeartbeatIfIdle() {
+    if (!this._read().some(entry => entry.owner === CLIENT_ID)) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  _emit() {
+    const recoveries = this.getRecoveries();
+    this.listeners.change.forEach(callback => {
+      try {
+        callback(recoveries);
+      } catch (error) {
+        console.error('Error in pending generations listener:', error);
+      }
+    });
+  }
+}
+
+export default new PendingGenerations();
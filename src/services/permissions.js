@@ -0,0 +1,66 @@
+// src/services/permissions.js
+// Roles are kept in the user_roles table; row-level security in Supabase
+// enforces them, the checks here only keep the UI from offering what the
+// database would refuse.
+
+/**
+ * Roles from least to most privileged; each has the permissions of the ones before it
+ */
+export const ROLES = ['viewer', 'generator', 'curator', 'admin'];
+
+// Users without a row in user_roles
+export const DEFAULT_ROLE = 'viewer';
+
+/**
+ * The least privileged role that has each permission
+ */
+export const PERMISSIONS = {
+  // Queue GPU jobs: new generations, variants, re-runs and queue edits
+  generate: 'generator',
+  editTraits: 'curator',
+  deleteAssets: 'curator',
+  // Server actions that affect everyone's jobs, such as unloading models
+  manageServers: 'admin'
+};
+
+/**
+ * Whether a role has a permission
+ * @param {string} role - One of ROLES
+ * @param {string} permission - Key of PERMISSIONS
+ */
+export const hasPermission = (role, permission) => {
+  const required = PERMISSIONS[permission];
+  if (!required) {
+    console.warn(`Unknown permission: ${permission}`);
+    return false;
+  }
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+};
+
+/**
+ * Thrown when Supabase refuses an action, usually through row-level security
+ */
+export class PermissionDeniedError extends Error {
+  /**
+   * @param {string} action - What was refused, e.g. "delete assets"
+   * @param {Error} cause - The error from Supabase, if any
+   */
+  constructor(action, cause = null) {
+    super(`You don't have permission to ${action}. Ask an admin if you need it.`);
+    this.name = 'PermissionDeniedError';
+    this.action = action;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Whether a Supabase error is a refusal: a row-level security violation or a
+ * missing grant from PostgREST, or a 403 from Storage
+ * @param {Object} error - Error returned by the Supabase client
+ */
+export const isPermissionError = (error) => Boolean(error) && (
+  error.code === '42501' ||
+  error.status === 403 ||
+  error.statusCode === '403' ||
+  /row-level security|permission denied/i.test(error.message || '')
+);
@@ -1,58 +1,201 @@
 // src/services/supabaseService.js
 import { createClient } from '@supabase/supabase-js';
+import config from '../config';
+import { PermissionDeniedError, isPermissionError } from './permissions';
 
-const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
-const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY;
+// createClient throws without a URL, which would keep the Settings page from
+// loading; requests go nowhere until a project is set there
+if (!config.supabaseUrl || !config.supabaseAnonKey) {
+  console.warn('Supabase is not configured. Set the project URL and anon key on the Settings page.');
+}
+const supabase = createClient(config.supabaseUrl || 'http://supabase.invalid', config.supabaseAnonKey || 'unset');
 
-const supabase = createClient(supabaseUrl, supabaseAnonKey);
-
-// console.log("ComfyUI API URL:", process.env.REACT_APP_COMFYUI_API_URL);
-// console.log("ComfyUI WS URL:", process.env.REACT_APP_COMFYUI_WS_URL);
-
-// Add near the top of your component or in a useEffect
-console.log("Supabase connection check:", 
-  supabase.auth.getSession().then(res => console.log("Session:", res))
-);
 // Add this line to export the supabase instance
 export { supabase };
 
+// Log and return a Supabase error to throw. Refusals by row-level security are
+// expected for some roles, so they become a PermissionDeniedError with a message
+// for the UI instead of being logged.
+const serviceError = (message, error, action) => {
+  if (isPermissionError(error)) {
+    return new PermissionDeniedError(action, error);
+  }
+  console.error(`${message}:`, error);
+  return error;
+};
+
+// Id of the signed-in user, stored as created_by on new rows. The session
+// comes from the client's storage and is only refreshed once it has expired.
+const getCurrentUserId = async () => {
+  const { data } = await supabase.auth.getSession();
+  return data.session?.user.id || null;
+};
+
+// Page size of getAssets
+const ASSET_PAGE_SIZE = 48;
+
+// Assets getAssetModels reads its models from
+const MODEL_SCAN_LIMIT = 1000;
+
+// Signed URLs are valid for an hour and reused until shortly before they expire
+const SIGNED_URL_TTL = 60 * 60; // s
+const SIGNED_URL_MARGIN = 5 * 60 * 1000; // ms
+const signedUrls = new Map();
+// getDownloadUrl calls made in the same tick, signed together
+let signingBatch = null;
+// Realtime channels opened so far; channel names must be unique
+let channelCount = 0;
+
+// Split storage paths into their bucket and the paths inside it
+const groupByBucket = (storagePaths) => {
+  const byBucket = {};
+  storagePaths.forEach(storagePath => {
+    const [bucket, ...pathParts] = storagePath.split('/');
+    byBucket[bucket] = [...(byBucket[bucket] || []), pathParts.join('/')];
+  });
+  return byBucket;
+};
+
+const cachedUrl = (assetPath) => {
+  const cached = signedUrls.get(assetPath);
+  return cached && cached.expiresAt - SIGNED_URL_MARGIN > Date.now() ? cached.url : null;
+};
+
 export const SupabaseService = {
   /**
-   * Get all assets with optional filtering
-   * @param {Object} options - Filter options
+   * Get a page of assets, newest first, with optional filtering
+   * @param {Object} options - Filter and paging options
+   * @param {string} options.search - Full-text search over metadata.prompt, in web search syntax
    * @param {string} options.assetType - Filter by asset type
-   * @param {string} options.sessionId - Filter by session ID
+   * @param {Array<string>} options.traitIds - Only assets tagged with every one of these traits
+   * @param {string} options.model - Filter by metadata.model, the checkpoint file
+   * @param {number} options.seedMin - Lowest metadata.seed
+   * @param {number} options.seedMax - Highest metadata.seed
+   * @param {string} options.status - Filter by asset status
+   * @param {string} options.createdAfter - ISO timestamp; only assets created at or after it
+   * @param {string} options.createdBefore - ISO timestamp; only assets created before it
+   * @param {string} options.sessionId - Filter by the session that produced the asset
+   * @param {string} options.createdBy - Only assets of this user
    * @param {string} options.parentId - Filter by parent asset ID
+   * @param {Array<string>} options.ids - Only these assets, e.g. to check whether changed assets still match
+   * @param {number} options.limit - Page size
+   * @param {Object} options.cursor - nextCursor of the previous page; omit for the first page
+   * @returns {Promise<{assets: Array<Object>, nextCursor: Object|null}>} nextCursor is null on the last page
    */
   async getAssets(options = {}) {
+    const limit = options.limit || ASSET_PAGE_SIZE;
+    const traitIds = options.traitIds || [];
+
+    // Every filter on a linked table needs its own inner join; the trait
+    // joins are aliased so that each one has to match
+    const select = [
+      '*, traits:asset_traits(traits:trait_id(*))',
+      ...traitIds.map((traitId, index) => `trait_${index}:asset_traits!inner(trait_id)`),
+      ...(options.sessionId ? ['session_filter:session_assets!inner(session_id)'] : [])
+    ].join(', ');
     let query = supabase
       .from('assets')
-      .select('*, traits:asset_traits(traits:trait_id(*))');
+      .select(select);
+
+    if (options.search) {
+      query = query.textSearch('metadata->>prompt', options.search, { type: 'websearch', config: 'english' });
+    }
 
     if (options.assetType) {
       query = query.eq('asset_type', options.assetType);
     }
 
+    traitIds.forEach((traitId, index) => {
+      query = query.eq(`trait_${index}.trait_id`, traitId);
+    });
+
+    if (options.model) {
+      query = query.eq('metadata->>model', options.model);
+    }
+
+    // metadata->seed stays JSON, so the comparison is numeric
+    if (options.seedMin !== undefined) {
+      query = query.gte('metadata->seed', options.seedMin);
+    }
+
+    if (options.seedMax !== undefined) {
+      query = query.lte('metadata->seed', options.seedMax);
+    }
+
+    if (options.status) {
+      query = query.eq('status', options.status);
+    }
+
+    if (options.createdAfter) {
+      query = query.gte('created_at', options.createdAfter);
+    }
+
+    if (options.createdBefore) {
+      query = query.lt('created_at', options.createdBefore);
+    }
+
     if (options.sessionId) {
-      // This assumes you've added a session_id column to the assets table
-      query = query.eq('session_id', options.sessionId);
+      query = query.eq('session_filter.session_id', options.sessionId);
     }
 
     if (options.parentId) {
       query = query.eq('parent_asset_id', options.parentId);
     }
 
+    if (options.createdBy) {
+      query = query.eq('created_by', options.createdBy);
+    }
+
+    if (options.ids) {
+      query = query.in('id', options.ids);
+    }
+
+    // Continue after the last asset of the previous page; the id breaks ties
+    // between assets created in the same instant
+    if (options.cursor) {
+      const { createdAt, id } = options.cursor;
+      query = query.or(`created_at.lt."${createdAt}",and(created_at.eq."${createdAt}",id.lt.${id})`);
+    }
+
     // Order by creation date, newest first
-    query = query.order('created_at', { ascending: false });
+    query = query
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(limit + 1);
 
     const { data, error } = await query;
 
     if (error) {
-      console.error('Error fetching assets:', error);
-      throw error;
+      throw serviceError('Error fetching assets', error, 'view assets');
     }
 
-    return data;
+    // One extra row tells whether there is another page
+    const assets = data.slice(0, limit);
+    const last = assets[assets.length - 1];
+    return {
+      assets,
+      nextCursor: data.length > limit ? { createdAt: last.created_at, id: last.id } : null
+    };
+  },
+
+  /**
+   * The checkpoints the library's assets were made with, for the model filter.
+   * PostgREST has no DISTINCT, so only the newest assets are looked at.
+   * @returns {Promise<Array<string>>} Sorted model file names
+   */
+  async getAssetModels() {
+    const { data, error } = await supabase
+      .from('assets')
+      .select('model:metadata->>model')
+      .not('metadata->>model', 'is', null)
+      .order('created_at', { ascending: false })
+      .limit(MODEL_SCAN_LIMIT);
+
+    if (error) {
+      throw serviceError('Error fetching asset models', error, 'view assets');
+    }
+
+    return [...new Set(data.map(row => row.model))].sort();
   },
 
   /**
@@ -72,13 +215,165 @@ export const SupabaseService = {
       .single();
 
     if (error) {
-      console.error('Error fetching asset:', error);
-      throw error;
+      throw serviceError('Error fetching asset', error, 'view this asset');
+    }
+
+    return data;
+  },
+
+  /**
+   * Create an asset record
+   * @param {Object} asset - Columns of the new asset, e.g. asset_type,
+   *   storage_path, parent_asset_id, metadata; created_by defaults to the signed-in user
+   */
+  async createAsset(asset) {
+    const { data, error } = await supabase
+      .from('assets')
+      .insert({ created_by: await getCurrentUserId(), ...asset })
+      .select()
+      .single();
+
+    if (error) {
+      throw serviceError('Error creating asset', error, 'create assets');
+    }
+
+    return data;
+  },
+
+  /**
+   * Get the assets saved from a ComfyUI prompt
+   * @param {string} promptId - Prompt ID stored in metadata.comfy_prompt_id
+   */
+  async getAssetsByPromptId(promptId) {
+    const { data, error } = await supabase
+      .from('assets')
+      .select('*')
+      .eq('metadata->>comfy_prompt_id', promptId);
+
+    if (error) {
+      throw serviceError('Error fetching assets by prompt', error, 'view assets');
     }
 
     return data;
   },
 
+  /**
+   * Delete assets together with their trait and session links. The links go
+   * with the asset rows through `on delete cascade`, so an asset is either
+   * deleted whole or left untouched.
+   * @param {Array<string>} assetIds - Asset IDs
+   */
+  async deleteAssets(assetIds) {
+    if (!assetIds || assetIds.length === 0) return;
+
+    // Row-level security leaves rows it hides from a delete in place without an error
+    const { data, error } = await supabase.from('assets').delete().in('id', assetIds).select('id');
+    if (error) {
+      throw serviceError('Error deleting assets', error, 'delete assets');
+    }
+    if (data.length < assetIds.length) {
+      throw new PermissionDeniedError('delete assets');
+    }
+  },
+
+  /**
+   * Delete an asset and its file. Assets with variants can't be deleted
+   * before their variants are.
+   * @param {Object} asset - Asset with id and storage_path
+   */
+  async deleteAsset(asset) {
+    // Checked first, for a clearer message than the foreign key error
+    const { data: variants, error } = await supabase
+      .from('assets')
+      .select('id')
+      .eq('parent_asset_id', asset.id)
+      .limit(1);
+
+    if (error) {
+      throw serviceError('Error fetching variants', error, 'view assets');
+    }
+    if (variants.length > 0) {
+      throw new Error('This asset has variants. Delete them first.');
+    }
+
+    await this.deleteAssets([asset.id]);
+    if (asset.storage_path) {
+      // The asset is gone either way; a file left behind is only logged
+      await this.removeFiles([asset.storage_path])
+        .catch(error => console.error(`Could not delete the file of asset ${asset.id}:`, error));
+    }
+  },
+
+  /**
+   * Link an asset to the session that produced it
+   * @param {string} sessionId - Session ID
+   * @param {string} assetId - Asset ID
+   */
+  async addAssetToSession(sessionId, assetId) {
+    const { error } = await supabase
+      .from('session_assets')
+      .insert({ session_id: sessionId, asset_id: assetId });
+
+    if (error) {
+      throw serviceError('Error linking asset to session', error, 'add assets to sessions');
+    }
+  },
+
+  /**
+   * Tag an asset with traits
+   * @param {string} assetId - Asset ID
+   * @param {Array<string>} traitIds - Trait IDs
+   */
+  async addAssetTraits(assetId, traitIds) {
+    const { error } = await supabase
+      .from('asset_traits')
+      .insert(traitIds.map(traitId => ({ asset_id: assetId, trait_id: traitId })));
+
+    if (error) {
+      throw serviceError('Error linking traits to asset', error, 'tag assets with traits');
+    }
+  },
+
+  /**
+   * Replace the traits of an asset
+   * @param {string} assetId - Asset ID
+   * @param {Array<string>} traitIds - Trait IDs the asset should have
+   */
+  async setAssetTraits(assetId, traitIds) {
+    const { data: current, error } = await supabase
+      .from('asset_traits')
+      .select('trait_id')
+      .eq('asset_id', assetId);
+
+    if (error) {
+      throw serviceError('Error fetching asset traits', error, 'view traits');
+    }
+
+    const currentIds = current.map(link => link.trait_id);
+    const removed = currentIds.filter(traitId => !traitIds.includes(traitId));
+    const added = traitIds.filter(traitId => !currentIds.includes(traitId));
+
+    if (removed.length > 0) {
+      const { data: deleted, error: deleteError } = await supabase
+        .from('asset_traits')
+        .delete()
+        .eq('asset_id', assetId)
+        .in('trait_id', removed)
+        .select('trait_id');
+
+      if (deleteError) {
+        throw serviceError('Error removing traits from asset', deleteError, 'edit traits');
+      }
+      if (deleted.length < removed.length) {
+        throw new PermissionDeniedError('edit traits');
+      }
+    }
+
+    if (added.length > 0) {
+      await this.addAssetTraits(assetId, added);
+    }
+  },
+
   /**
    * Get all generation sessions
    */
@@ -89,8 +384,7 @@ export const SupabaseService = {
       .order('created_at', { ascending: false });
 
     if (error) {
-      console.error('Error fetching sessions:', error);
-      throw error;
+      throw serviceError('Error fetching sessions', error, 'view sessions');
     }
 
     return data;
@@ -109,61 +403,162 @@ export const SupabaseService = {
       .single();
 
     if (sessionError) {
-      console.error('Error fetching session:', sessionError);
-      throw sessionError;
+      throw serviceError('Error fetching session', sessionError, 'view this session');
     }
 
-    // Get the assets for this session
-    const { data: assets, error: assetsError } = await supabase
-      .from('assets')
-      .select('*, traits:asset_traits(traits:trait_id(*))')
-      .eq('session_id', id)
-      .order('created_at', { ascending: false });
+    // Get the assets for this session through session_assets
+    const { data: links, error: assetsError } = await supabase
+      .from('session_assets')
+      .select('asset:asset_id(*, traits:asset_traits(traits:trait_id(*)))')
+      .eq('session_id', id);
 
     if (assetsError) {
-      console.error('Error fetching session assets:', assetsError);
-      throw assetsError;
+      throw serviceError('Error fetching session assets', assetsError, 'view this session');
     }
 
     return {
       ...session,
-      assets
+      assets: links
+        .map(link => link.asset)
+        .filter(Boolean)
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
     };
   },
 
   /**
-   * Create a new generation session
+   * Create a new generation session, owned by the signed-in user
    * @param {Object} parameters - Session parameters
    */
+  async createSession(parameters = {}) {
+    const { data, error } = await supabase
+      .from('generation_sessions')
+      .insert({
+        parameters: { ...parameters, timeline: [{ status: 'initiated', at: new Date().toISOString() }] },
+        status: 'initiated',
+        created_by: await getCurrentUserId()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw serviceError('Error creating session', error, 'start generations');
+    }
 
+    return data;
+  },
 
-  async createSession(parameters = {}) {
-    try {
-      const { data, error } = await supabase
-        .from('generation_sessions')
-        .insert({
-          parameters,
-          status: 'initiated'
-        })
-        .select()
-        .single();
-  
-      if (error) {
-        console.error('Error creating session:', error);
-        // Log detailed error information
-        console.error('Error code:', error.code);
-        console.error('Error message:', error.message);
-        console.error('Error details:', error.details);
-        throw error;
+  /**
+   * Update fields of a generation session. Status changes are added to
+   * `parameters.timeline`, on top of the given parameters or else the stored ones;
+   * writing the status the timeline ends with adds nothing.
+   * @param {string} id - Session ID
+   * @param {Object} updates - Columns to update, e.g. status or parameters
+   */
+  async updateSession(id, updates) {
+    let changes = updates;
+    if (updates.status) {
+      let parameters = updates.parameters;
+      if (!parameters) {
+        const { data: current, error: currentError } = await supabase
+          .from('generation_sessions')
+          .select('parameters')
+          .eq('id', id)
+          .single();
+
+        if (currentError) {
+          throw serviceError('Error fetching session', currentError, 'view this session');
+        }
+        parameters = current.parameters;
       }
-  
-      return data;
-    } catch (err) {
-      console.error('Exception in createSession:', err);
-      throw err;
+      let timeline = parameters?.timeline || [];
+      // The queue panel and the generating page can both report the same
+      // cancellation; keep the first one
+      if (timeline[timeline.length - 1]?.status !== updates.status) {
+        timeline = [...timeline, { status: updates.status, at: new Date().toISOString() }];
+      }
+      changes = { ...updates, parameters: { ...parameters, timeline } };
+    }
+
+    const { data, error } = await supabase
+      .from('generation_sessions')
+      .update(changes)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw serviceError('Error updating session', error, 'update sessions');
+    }
+
+    return data;
+  },
+
+  /**
+   * Get the sessions that queued the given ComfyUI prompts
+   * @param {Array<string>} promptIds - ComfyUI prompt IDs stored in parameters.prompt_id
+   */
+  async getSessionsByPromptIds(promptIds) {
+    if (!promptIds || promptIds.length === 0) {
+      return [];
+    }
+
+    const { data, error } = await supabase
+      .from('generation_sessions')
+      .select('*')
+      .in('parameters->>prompt_id', promptIds);
+
+    if (error) {
+      throw serviceError('Error fetching sessions by prompt', error, 'view sessions');
+    }
+
+    return data;
+  },
+
+  /**
+   * Get the ComfyUI prompt a session currently waits for; moving a prompt in
+   * the queue panel can re-queue it under a new id
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<string|null>} The prompt id stored in parameters.prompt_id
+   */
+  async getSessionPromptId(sessionId) {
+    const { data, error } = await supabase
+      .from('generation_sessions')
+      .select('prompt_id:parameters->>prompt_id')
+      .eq('id', sessionId)
+      .single();
+
+    if (error) {
+      throw serviceError('Error fetching session prompt', error, 'view this session');
     }
 
-  },  
+    return data.prompt_id || null;
+  },
+
+  /**
+   * Get the sessions in one of the given states, oldest first
+   * @param {Array<string>} statuses - Session statuses, e.g. ['in_progress']
+   * @param {Object} options - Query options
+   * @param {Array<string>} options.ids - Only look at these sessions
+   */
+  async getSessionsByStatus(statuses, options = {}) {
+    let query = supabase
+      .from('generation_sessions')
+      .select('*')
+      .in('status', statuses);
+
+    if (options.ids) {
+      query = query.in('id', options.ids);
+    }
+
+    const { data, error } = await query.order('created_at', { ascending: true });
+
+    if (error) {
+      throw serviceError('Error fetching sessions by status', error, 'view sessions');
+    }
+
+    return data;
+  },
+
   /**
    * Get all traits, optionally filtered by type
    * @param {string} traitType - Optional trait type to filter by
@@ -180,33 +575,182 @@ export const SupabaseService = {
     const { data, error } = await query;
 
     if (error) {
-      console.error('Error fetching traits:', error);
-      throw error;
+      throw serviceError('Error fetching traits', error, 'view traits');
     }
 
     return data;
   },
 
   /**
-   * Get a signed URL for downloading an asset
-   * @param {string} assetPath - Storage path of the asset
+   * Get the role of a user from user_roles
+   * @param {string} userId - Auth user ID
+   * @returns {Promise<string|null>} The role, or null if the user has none
    */
-  async getDownloadUrl(assetPath) {
-    // Parse storage path to get bucket and path
+  async getUserRole(userId) {
+    const { data, error } = await supabase
+      .from('user_roles')
+      .select('role')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      throw serviceError('Error fetching user role', error, 'read roles');
+    }
+
+    return data?.role || null;
+  },
+
+  /**
+   * Upload a file to storage
+   * @param {string} storagePath - Path including the bucket, e.g. 'images-2d/<session>/<file>'
+   * @param {Blob} file - File contents
+   * @param {Object} options - Upload options
+   * @param {boolean} options.upsert - Replace a file already at the path instead of failing
+   */
+  async uploadFile(storagePath, file, options = {}) {
+    const [bucket, ...pathParts] = storagePath.split('/');
+
+    const { error } = await supabase
+      .storage
+      .from(bucket)
+      .upload(pathParts.join('/'), file, { upsert: Boolean(options.upsert) });
+
+    if (error) {
+      throw serviceError('Error uploading file', error, 'upload files');
+    }
+
+    return storagePath;
+  },
+
+  /**
+   * Delete files from storage
+   * @param {Array<string>} storagePaths - Paths including the bucket
+   */
+  async removeFiles(storagePaths) {
+    for (const [bucket, paths] of Object.entries(groupByBucket(storagePaths))) {
+      const { error } = await supabase.storage.from(bucket).remove(paths);
+      if (error) {
+        throw serviceError('Error removing files', error, 'delete files');
+      }
+    }
+  },
+
+  /**
+   * Download the file behind an asset
+   * @param {string} assetPath - Storage path of the asset, including the bucket
+   * @returns {Promise<Blob>}
+   */
+  async downloadFile(assetPath) {
     const [bucket, ...pathParts] = assetPath.split('/');
-    const path = pathParts.join('/');
-    
-    // Get signed URL
+
     const { data, error } = await supabase
       .storage
       .from(bucket)
-      .createSignedUrl(path, 60 * 60); // 1 hour expiry
-      
+      .download(pathParts.join('/'));
+
     if (error) {
-      throw error;
+      throw serviceError('Error downloading file', error, 'download files');
     }
-    
-    return data.signedUrl;
+
+    return data;
+  },
+
+  /**
+   * Get signed URLs for downloading assets, signing each bucket's paths in
+   * one request. URLs are cached until shortly before they expire.
+   * @param {Array<string>} assetPaths - Storage paths of the assets, including the bucket
+   * @returns {Promise<Object>} Signed URL per storage path; null for files that could not be signed
+   */
+  async getDownloadUrls(assetPaths) {
+    const missing = [...new Set(assetPaths)].filter(assetPath => !cachedUrl(assetPath));
+
+    for (const [bucket, paths] of Object.entries(groupByBucket(missing))) {
+      const { data, error } = await supabase
+        .storage
+        .from(bucket)
+        .createSignedUrls(paths, SIGNED_URL_TTL);
+
+      if (error) {
+        throw serviceError('Error signing URLs', error, 'download files');
+      }
+
+      const expiresAt = Date.now() + SIGNED_URL_TTL * 1000;
+      data.forEach(item => {
+        if (item.signedUrl) {
+          signedUrls.set(`${bucket}/${item.path}`, { url: item.signedUrl, expiresAt });
+        } else {
+          console.warn(`Could not sign ${bucket}/${item.path}:`, item.error);
+        }
+      });
+    }
+
+    return Object.fromEntries(assetPaths.map(assetPath => [assetPath, cachedUrl(assetPath)]));
+  },
+
+  /**
+   * Get a signed URL for downloading an asset. Calls made in the same tick
+   * are signed together, see getDownloadUrls.
+   * @param {string} assetPath - Storage path of the asset
+   */
+  async getDownloadUrl(assetPath) {
+    const cached = cachedUrl(assetPath);
+    if (cached) return cached;
+
+    if (!signingBatch) {
+      const batch = { paths: new Set() };
+      batch.urls = new Promise(resolve => setTimeout(resolve, 0)).then(() => {
+        signingBatch = null;
+        return this.getDownloadUrls([...batch.paths]);
+      });
+      signingBatch = batch;
+    }
+    signingBatch.paths.add(assetPath);
+
+    const urls = await signingBatch.urls;
+    if (!urls[assetPath]) {
+      throw new Error(`Could not get a download URL for ${assetPath}`);
+    }
+    return urls[assetPath];
+  },
+
+  /**
+   * Listen for inserts, updates and deletes on tables through Supabase
+   * realtime. The tables must be in the `supabase_realtime` publication.
+   * @param {Array<string>} tables - Tables in the public schema
+   * @param {Function} onChange - Called with each change: { table, eventType, new, old }
+   * @param {Object} options
+   * @param {Function} options.onResync - Called when the channel is back after an
+   *   outage or the browser comes back online; changes in between were missed
+   * @returns {Function} Unsubscribes and closes the channel
+   */
+  subscribeToChanges(tables, onChange, options = {}) {
+    const { onResync = () => {} } = options;
+    let interrupted = false;
+
+    const channel = supabase.channel(`changes:${tables.join(',')}:${++channelCount}`);
+    tables.forEach(table => {
+      channel.on('postgres_changes', { event: '*', schema: 'public', table }, onChange);
+    });
+    channel.subscribe((status, error) => {
+      if (status === 'SUBSCRIBED') {
+        if (interrupted) {
+          interrupted = false;
+          onResync();
+        }
+      } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+        // The client rejoins the channel by itself
+        console.warn(`Realtime channel for ${tables.join(', ')}: ${status}`, error || '');
+        interrupted = true;
+      }
+    });
+
+    const handleOnline = () => onResync();
+    window.addEventListener('online', handleOnline);
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      supabase.removeChannel(channel);
+    };
   }
 };
 
@@ -0,0 +1,111 @@
+// src/utils/asset-filters.js
+
+/**
+ * Asset library filters and the query string keys they are kept under, so
+ * a filtered view can be bookmarked and shared.
+ */
+export const EMPTY_FILTERS = {
+  search: '',
+  assetType: '',
+  traitIds: [],
+  model: '',
+  seedMin: '',
+  seedMax: '',
+  status: '',
+  from: '',
+  to: '',
+  sessionId: '',
+  // 'mine' for the signed-in user's assets only
+  owner: ''
+};
+
+const PARAM_NAMES = {
+  search: 'q',
+  assetType: 'type',
+  model: 'model',
+  seedMin: 'seed_min',
+  seedMax: 'seed_max',
+  status: 'status',
+  from: 'from',
+  to: 'to',
+  sessionId: 'session',
+  owner: 'owner'
+};
+
+const TRAITS_PARAM = 'traits';
+
+/**
+ * Read the filters from the page's query string
+ * @param {URLSearchParams} searchParams
+ * @returns {Object} Filters shaped like EMPTY_FILTERS
+ */
+export const parseAssetFilters = (searchParams) => {
+  const filters = { ...EMPTY_FILTERS };
+  Object.entries(PARAM_NAMES).forEach(([key, param]) => {
+    filters[key] = searchParams.get(param) || '';
+  });
+  filters.traitIds = (searchParams.get(TRAITS_PARAM) || '').split(',').filter(Boolean);
+  return filters;
+};
+
+/**
+ * Write filters to a query string, leaving out the ones not set
+ * @param {Object} filters - Filters shaped like EMPTY_FILTERS
+ * @returns {URLSearchParams}
+ */
+export const serializeAssetFilters = (filters) => {
+  const searchParams = new URLSearchParams();
+  Object.entries(PARAM_NAMES).forEach(([key, param]) => {
+    const value = String(filters[key] ?? '').trim();
+    if (value) {
+      searchParams.set(param, value);
+    }
+  });
+  if (filters.traitIds?.length > 0) {
+    searchParams.set(TRAITS_PARAM, filters.traitIds.join(','));
+  }
+  return searchParams;
+};
+
+/**
+ * Whether any filter is set
+ * @param {Object} filters - Filters shaped like EMPTY_FILTERS
+ */
+export const hasAssetFilters = (filters) => serializeAssetFilters(filters).toString() !== '';
+
+const toSeed = (value) => {
+  const seed = Number.parseInt(value, 10);
+  return Number.isNaN(seed) ? undefined : seed;
+};
+
+// Dates are whole local days: from its first moment, to the end of the last one
+const startOfDay = (date, days = 0) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const start = new Date(year, month - 1, day + days);
+  return Number.isNaN(start.getTime()) ? undefined : start.toISOString();
+};
+
+/**
+ * Turn filters into options for SupabaseService.getAssets
+ * @param {Object} filters - Filters shaped like EMPTY_FILTERS
+ * @param {Object} context
+ * @param {string} context.userId - The signed-in user, whom 'mine' refers to
+ */
+export const toAssetQuery = (filters, { userId } = {}) => {
+  const options = {
+    search: filters.search.trim(),
+    assetType: filters.assetType,
+    traitIds: filters.traitIds,
+    model: filters.model.trim(),
+    seedMin: toSeed(filters.seedMin),
+    seedMax: toSeed(filters.seedMax),
+    status: filters.status,
+    createdAfter: filters.from ? startOfDay(filters.from) : undefined,
+    createdBefore: filters.to ? startOfDay(filters.to, 1) : undefined,
+    sessionId: filters.sessionId,
+    createdBy: filters.owner === 'mine' ? userId : undefined
+  };
+  return Object.fromEntries(Object.entries(options).filter(([, value]) =>
+    value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0)
+  ));
+};
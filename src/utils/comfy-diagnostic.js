@@ -1,68 +1,455 @@
-// ComfyUI Connection Diagnostics Utility
-const diagnoseCowfyUIConnection = async () => {
-    const results = {
-      endpoint: false,
-      authentication: false,
-      requestFormatting: false,
-      responseHandling: false
+// src/utils/comfy-diagnostic.js
+// Checks a ComfyUI server end to end and reports the results as JSON. Shared
+// by the diagnostic page and `npm run comfy -- diagnose`, so it only uses
+// APIs that exist in both the browser and Node.
+import ComfyService from '../services/comfyService';
+import comfyServerPool from '../services/comfyServerPool';
+import { getAuthHeaders, getWebSocketTarget } from '../services/comfyAuth';
+import { getVehicleWorkflow } from '../workflows/vehicleWorkflow';
+import { getEnumOptions, findClosestMatches } from '../workflows/workflowValidator';
+
+export const REPORT_VERSION = 1;
+
+const DEFAULT_TIMEOUT = 10 * 1000; // ms, per request
+const ROUND_TRIP_TIMEOUT = 60 * 1000; // ms
+// How long the round trip waits for WebSocket events after /history has the result
+const EVENT_GRACE = 1000; // ms
+// Origin the CLI claims when checking CORS, the Vite dev server
+export const DEFAULT_ORIGIN = 'http://localhost:5173';
+
+// Loader inputs that name a model file
+export const MODEL_INPUTS = {
+  CheckpointLoaderSimple: { input: 'ckpt_name', kind: 'checkpoint' },
+  VAELoader: { input: 'vae_name', kind: 'vae' },
+  LoraLoader: { input: 'lora_name', kind: 'lora' },
+  LoraLoaderModelOnly: { input: 'lora_name', kind: 'lora' },
+  UpscaleModelLoader: { input: 'model_name', kind: 'upscaler' }
+};
+
+export const MODEL_KINDS = ['checkpoint', 'vae', 'lora', 'upscaler'];
+
+// Runs without any models, so the round trip tests the plumbing and not the GPU.
+// PreviewImage writes to the temp folder, which ComfyUI empties on restart.
+const ROUND_TRIP_WORKFLOW = {
+  "1": {
+    "inputs": {
+      "width": 64,
+      "height": 64,
+      "batch_size": 1,
+      "color": 0
+    },
+    "class_type": "EmptyImage"
+  },
+  "2": {
+    "inputs": {
+      "images": ["1", 0]
+    },
+    "class_type": "PreviewImage"
+  }
+};
+
+/**
+ * The workflows this app queues, built with their default settings
+ * @returns {Array<{name: string, workflow: Object}>}
+ */
+export const getAppWorkflows = () => [
+  {
+    name: 'Vehicle generator',
+    workflow: getVehicleWorkflow({ name: 'diagnostic', vehicleType: 'car', attributes: { condition: 'rusted' } })
+  },
+  {
+    name: 'Generation form',
+    workflow: ComfyService.createVehicleWorkflow('diagnostic').workflow
+  },
+  {
+    name: 'Image variant',
+    workflow: ComfyService.createVariantWorkflow('diagnostic', 'diagnostic.png').workflow
+  }
+];
+
+const isBrowser = typeof window !== 'undefined';
+
+const withTimeout = (promise, ms, what) => {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`${what} did not answer within ${Math.round(ms / 1000)}s`)), ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+};
+
+const describeError = (error) => {
+  const status = error.response?.status;
+  if (status === 401 || status === 403) {
+    return `HTTP ${status}; the server wants credentials, set them for it on the Settings page or in VITE_COMFY_UI_AUTH`;
+  }
+  return status ? `HTTP ${status}` : error.message;
+};
+
+const allowsOrigin = (headers, origin) => {
+  const allowed = headers.get('access-control-allow-origin');
+  return allowed === '*' || allowed === origin;
+};
+
+const checkHttp = async (ctx) => {
+  ctx.stats = await withTimeout(ComfyService.getStatus(ctx.server.id), ctx.timeoutMs, '/system_stats');
+  const system = ctx.stats?.system || {};
+  const devices = (ctx.stats?.devices || []).map(device => device.name);
+
+  return {
+    status: 'pass',
+    message: `ComfyUI ${system.comfyui_version || '(unknown version)'} answered on ${ctx.server.url}`,
+    details: {
+      comfyui_version: system.comfyui_version,
+      python_version: system.python_version,
+      os: system.os,
+      devices
+    }
+  };
+};
+
+// The browser enforces CORS itself, so a cross-origin request that succeeds
+// proves the headers are right. Node doesn't, so there the headers are read.
+const checkCors = async (ctx) => {
+  if (isBrowser && new URL(ctx.server.url).origin === window.location.origin) {
+    return { status: 'pass', message: 'The API is served from this page\'s origin, so CORS does not apply' };
+  }
+
+  const origin = isBrowser ? window.location.origin : ctx.origin;
+  const originHeader = isBrowser ? {} : { Origin: origin };
+  // Auth headers make every request preflighted, so they are sent here too
+  const authHeaders = getAuthHeaders(ctx.server.url);
+  const requestHeaders = ['content-type', ...Object.keys(authHeaders).map(name => name.toLowerCase())];
+  const signal = () => AbortSignal.timeout(ctx.timeoutMs);
+  const problems = [];
+
+  const get = await fetch(`${ctx.server.url}/system_stats`, {
+    headers: { ...originHeader, ...authHeaders },
+    signal: signal()
+  });
+  if (!isBrowser && !allowsOrigin(get.headers, origin)) {
+    problems.push(`GET /system_stats has no Access-Control-Allow-Origin for ${origin}`);
+  }
+
+  if (!isBrowser) {
+    const preflight = await fetch(`${ctx.server.url}/prompt`, {
+      method: 'OPTIONS',
+      headers: {
+        ...originHeader,
+        'Access-Control-Request-Method': 'POST',
+        'Access-Control-Request-Headers': requestHeaders.join(', ')
+      },
+      signal: signal()
+    });
+    const methods = (preflight.headers.get('access-control-allow-methods') || '').toUpperCase();
+    const allowedHeaders = (preflight.headers.get('access-control-allow-headers') || '').toLowerCase();
+    const missingHeader = requestHeaders.find(name => !allowedHeaders.includes(name));
+
+    if (!allowsOrigin(preflight.headers, origin)) {
+      problems.push(`The preflight for POST /prompt has no Access-Control-Allow-Origin for ${origin}`);
+    } else if (!methods.includes('POST') && methods !== '*') {
+      problems.push('The preflight for POST /prompt does not allow POST');
+    } else if (missingHeader && allowedHeaders !== '*') {
+      problems.push(`The preflight for POST /prompt does not allow the ${missingHeader} header`);
+    }
+  } else {
+    // A JSON POST is preflighted; an empty body is rejected with a 400 and queues nothing
+    await fetch(`${ctx.server.url}/prompt`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...authHeaders },
+      body: '{}',
+      signal: signal()
+    });
+  }
+
+  if (problems.length > 0) {
+    return {
+      status: 'fail',
+      message: `${problems[0]}. Start ComfyUI with --enable-cors-header "${origin}" or "*"`,
+      details: { origin, problems }
     };
-    
-    console.log("Starting ComfyUI connection diagnostics...");
-    
-    // 1. Check endpoint connection
-    try {
-      const response = await fetch(`${process.env.REACT_APP_COMFYUI_API_URL}/system_stats`);
-      if (response.ok) {
-        results.endpoint = true;
-        console.log("✅ Endpoint connection successful");
-      } else {
-        console.error(`❌ Endpoint connection failed with status: ${response.status}`);
+  }
+  return { status: 'pass', message: `Requests from ${origin} are allowed`, details: { origin } };
+};
+
+// Opens the socket the round trip listens on, and leaves it open for it
+const checkWebSocket = (ctx) => {
+  if (!ctx.WebSocket) {
+    return { status: 'skip', message: 'No WebSocket implementation available in this environment' };
+  }
+
+  // The report shows the URL without the token
+  const wsUrl = `${ctx.server.wsUrl}?clientId=${ctx.clientId}`;
+  const target = getWebSocketTarget(ctx.server.wsUrl, ctx.server.url, { clientId: ctx.clientId });
+
+  return new Promise((resolve) => {
+    let opened = false;
+    const socket = new ctx.WebSocket(target.url, target.protocols);
+    const timer = setTimeout(() => {
+      if (!opened) socket.close();
+      resolve(opened
+        ? { status: 'warn', message: 'Connected, but the server sent no status message', details: { url: wsUrl } }
+        : { status: 'fail', message: `No handshake within ${Math.round(ctx.timeoutMs / 1000)}s`, details: { url: wsUrl } });
+    }, ctx.timeoutMs);
+
+    socket.onopen = () => {
+      opened = true;
+      ctx.socket = socket;
+    };
+    socket.onmessage = (event) => {
+      if (typeof event.data !== 'string') return; // binary preview frames
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch {
+        return;
       }
-    } catch (error) {
-      console.error("❌ Endpoint connection error:", error.message);
-    }
-    
-    // 2. Test authentication if applicable
-    // (ComfyUI may not require auth, but if you've set it up, test it here)
-    
-    // 3. Test request formatting with a simple prompt
-    try {
-      const testWorkflow = {
-        // Simple test workflow JSON structure
-        // This would be your actual ComfyUI workflow structure
-        prompt: "Test vehicle",
-        // Other required parameters
-      };
-      
-      const response = await fetch(`${process.env.REACT_APP_COMFYUI_API_URL}/prompt`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(testWorkflow),
-      });
-      
-      if (response.ok) {
-        results.requestFormatting = true;
-        console.log("✅ Request formatting test passed");
-        
-        // 4. Test response handling
-        const data = await response.json();
-        if (data && data.prompt_id) {
-          results.responseHandling = true;
-          console.log("✅ Response handling test passed");
-        } else {
-          console.error("❌ Response handling test failed - missing expected data");
-        }
+      ctx.events.push(message);
+      if (message.type === 'status') {
+        clearTimeout(timer);
+        resolve({
+          status: 'pass',
+          message: `Connected to ${ctx.server.wsUrl}`,
+          details: { url: wsUrl, queue_remaining: message.data?.status?.exec_info?.queue_remaining }
+        });
+      }
+    };
+    socket.onerror = () => {
+      clearTimeout(timer);
+      if (!opened) socket.close();
+      resolve({ status: 'fail', message: `Could not connect to ${ctx.server.wsUrl}`, details: { url: wsUrl } });
+    };
+  });
+};
+
+const checkNodes = async (ctx) => {
+  ctx.objectInfo = await withTimeout(ComfyService.getObjectInfo(null, ctx.server.id), ctx.timeoutMs, '/object_info');
+
+  const usedBy = {};
+  ctx.workflows.forEach(({ name, workflow }) => {
+    Object.values(workflow).forEach(node => {
+      usedBy[node.class_type] = [...new Set([...(usedBy[node.class_type] || []), name])];
+    });
+  });
+
+  const missing = Object.keys(usedBy).filter(classType => !ctx.objectInfo[classType]);
+  const details = {
+    required: Object.keys(usedBy).sort(),
+    missing: missing.map(classType => ({ classType, usedBy: usedBy[classType] }))
+  };
+
+  if (missing.length > 0) {
+    return { status: 'fail', message: `Not installed: ${missing.join(', ')}`, details };
+  }
+  return {
+    status: 'pass',
+    message: `All ${details.required.length} node classes are installed (${Object.keys(ctx.objectInfo).length} available)`,
+    details
+  };
+};
+
+// Files a server offers for a loader input, empty when the loader isn't installed
+const installedFiles = (objectInfo, classType) =>
+  getEnumOptions(objectInfo[classType]?.input?.required?.[MODEL_INPUTS[classType].input]) || [];
+
+const checkModels = async (ctx) => {
+  const referenced = new Map();
+  ctx.workflows.forEach(({ name, workflow }) => {
+    Object.values(workflow).forEach(node => {
+      const model = MODEL_INPUTS[node.class_type];
+      const file = model && node.inputs?.[model.input];
+      if (!file) return;
+
+      const key = `${node.class_type}:${file}`;
+      const entry = referenced.get(key) || { kind: model.kind, classType: node.class_type, file, usedBy: [] };
+      entry.usedBy = [...new Set([...entry.usedBy, name])];
+      referenced.set(key, entry);
+    });
+  });
+
+  const models = [...referenced.values()].map(entry => {
+    const options = installedFiles(ctx.objectInfo, entry.classType);
+    const available = options.includes(entry.file);
+    return { ...entry, available, suggestions: available ? [] : findClosestMatches(entry.file, options) };
+  });
+  const missing = models.filter(model => !model.available);
+
+  // How many files of each kind the server has, across every loader of that kind
+  const installed = Object.fromEntries(MODEL_KINDS.map(kind => [
+    kind,
+    new Set(Object.keys(MODEL_INPUTS)
+      .filter(classType => MODEL_INPUTS[classType].kind === kind)
+      .flatMap(classType => installedFiles(ctx.objectInfo, classType))).size
+  ]));
+  const details = { models, installed };
+
+  if (missing.length > 0) {
+    const describe = (model) => model.suggestions.length > 0
+      ? `${model.kind} ${model.file} (closest: ${model.suggestions[0].value})`
+      : `${model.kind} ${model.file}`;
+    return { status: 'fail', message: `Missing on this server: ${missing.map(describe).join(', ')}`, details };
+  }
+  const kinds = [...new Set(models.map(model => model.kind))].join(' and ');
+  return { status: 'pass', message: `All ${models.length} referenced ${kinds} files are installed`, details };
+};
+
+const checkRoundTrip = async (ctx) => {
+  const started = Date.now();
+  const { prompt_id: promptId } = await ComfyService.queuePrompt(ROUND_TRIP_WORKFLOW, {
+    server: ctx.server.id,
+    clientId: ctx.clientId
+  });
+  const queuedMs = Date.now() - started;
+
+  const entry = await ComfyService.waitForHistory(promptId, { interval: 500, timeout: ctx.roundTripTimeoutMs });
+  const finishedMs = Date.now() - started;
+
+  const [image] = ComfyService.getOutputImages(entry.outputs, entry.server);
+  if (!image) {
+    return { status: 'fail', message: 'The prompt finished without an image', details: { promptId, queuedMs, finishedMs } };
+  }
+
+  const response = await fetch(image.url, { headers: getAuthHeaders(image.url), signal: AbortSignal.timeout(ctx.timeoutMs) });
+  const bytes = response.ok ? (await response.arrayBuffer()).byteLength : 0;
+  const details = {
+    promptId,
+    queuedMs,
+    finishedMs,
+    image: { filename: image.filename, type: image.type, status: response.status, bytes }
+  };
+  if (!response.ok || bytes === 0) {
+    return { status: 'fail', message: `/view answered ${response.status} for ${image.filename}`, details };
+  }
+
+  if (!ctx.socket) {
+    return { status: 'pass', message: `Queued, ran and downloaded a test image in ${finishedMs} ms`, details };
+  }
+
+  const isDone = () => ctx.events.some(event =>
+    event.data?.prompt_id === promptId && event.type === 'execution_success'
+  );
+  const graceEnds = Date.now() + EVENT_GRACE;
+  while (!isDone() && Date.now() < graceEnds) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+
+  details.events = [...new Set(ctx.events.filter(event => event.data?.prompt_id === promptId).map(event => event.type))];
+  if (details.events.length === 0) {
+    return {
+      status: 'warn',
+      message: 'The prompt ran, but the WebSocket saw none of its events, so live progress will not work',
+      details
+    };
+  }
+  return {
+    status: 'pass',
+    message: `Queued, ran and downloaded a test image in ${finishedMs} ms, with ${details.events.length} kinds of live events`,
+    details
+  };
+};
+
+// `needs` lists checks that must pass (or warn) first
+const CHECKS = [
+  { id: 'http', name: 'HTTP API reachable', run: checkHttp },
+  { id: 'cors', name: 'CORS headers', run: checkCors, needs: ['http'] },
+  { id: 'websocket', name: 'WebSocket handshake', run: checkWebSocket, needs: ['http'] },
+  { id: 'nodes', name: 'Workflow nodes installed', run: checkNodes, needs: ['http'] },
+  { id: 'models', name: 'Referenced models installed', run: checkModels, needs: ['nodes'] },
+  { id: 'round_trip', name: 'Prompt round trip', run: checkRoundTrip, needs: ['http'] }
+];
+
+export const DIAGNOSTIC_CHECKS = CHECKS.map(({ id, name }) => ({ id, name }));
+
+/**
+ * Run every diagnostic check against one ComfyUI server
+ * @param {Object} options - Diagnostic options
+ * @param {string} options.server - Server id, defaults to the primary server
+ * @param {Function} options.WebSocket - WebSocket constructor, defaults to the global one
+ * @param {string} options.origin - Origin to check CORS for outside the browser
+ * @param {boolean} options.roundTrip - Queue a test prompt, on by default
+ * @param {number} options.timeoutMs - Timeout of each request
+ * @param {number} options.roundTripTimeoutMs - How long the test prompt may take
+ * @param {Function} options.onCheck - Called with each check result as it completes
+ * @returns {Promise<Object>} Report with `ok`, `summary` and one entry per check in `checks`
+ */
+export const runDiagnostics = async (options = {}) => {
+  const server = comfyServerPool.getServer(options.server);
+  const ctx = {
+    server,
+    WebSocket: options.WebSocket || globalThis.WebSocket,
+    origin: options.origin || DEFAULT_ORIGIN,
+    timeoutMs: options.timeoutMs || DEFAULT_TIMEOUT,
+    roundTripTimeoutMs: options.roundTripTimeoutMs || ROUND_TRIP_TIMEOUT,
+    clientId: `diagnostics_${Math.random().toString(36).slice(2, 10)}`,
+    workflows: getAppWorkflows(),
+    events: [],
+    socket: null,
+    stats: null,
+    objectInfo: null
+  };
+
+  const startedAt = new Date();
+  const report = {
+    version: REPORT_VERSION,
+    startedAt: startedAt.toISOString(),
+    finishedAt: null,
+    environment: isBrowser
+      ? { runtime: 'browser', userAgent: globalThis.navigator?.userAgent, origin: window.location.origin }
+      : { runtime: `node ${globalThis.process?.versions?.node}`, origin: ctx.origin },
+    server: { id: server.id, url: server.url, wsUrl: server.wsUrl },
+    ok: false,
+    summary: { pass: 0, warn: 0, fail: 0, skip: 0 },
+    checks: []
+  };
+
+  try {
+    for (const check of CHECKS) {
+      const started = Date.now();
+      const blocker = (check.needs || [])
+        .map(id => report.checks.find(result => result.id === id))
+        .find(result => !['pass', 'warn'].includes(result?.status));
+
+      let result;
+      if (blocker) {
+        result = { status: 'skip', message: `Skipped because "${blocker.name}" did not pass` };
+      } else if (check.id === 'round_trip' && options.roundTrip === false) {
+        result = { status: 'skip', message: 'Skipped on request' };
       } else {
-        console.error(`❌ Request formatting test failed with status: ${response.status}`);
-        const errorText = await response.text();
-        console.error("Error details:", errorText);
+        try {
+          result = await check.run(ctx);
+        } catch (error) {
+          result = { status: 'fail', message: describeError(error) };
+          if (isBrowser && error instanceof TypeError) {
+            // fetch gives no reason for network errors, and a CORS rejection is one
+            result.message += '. The browser also reports CORS rejections like this; `npm run comfy -- diagnose` can tell them apart';
+          }
+          if (error.nodeErrors || error.details) {
+            result.details = { type: error.type, details: error.details, nodeErrors: error.nodeErrors };
+          }
+        }
       }
-    } catch (error) {
-      console.error("❌ Request/response test error:", error.message);
+
+      const entry = {
+        id: check.id,
+        name: check.name,
+        status: result.status,
+        message: result.message,
+        durationMs: Date.now() - started,
+        details: result.details || null
+      };
+      report.checks.push(entry);
+      report.summary[entry.status]++;
+      options.onCheck?.(entry);
     }
-    
-    console.log("Diagnostics complete:", results);
-    return results;
-  };
\ No newline at end of file
+  } finally {
+    ctx.socket?.close();
+  }
+
+  report.finishedAt = new Date().toISOString();
+  report.durationMs = Date.now() - startedAt.getTime();
+  report.ok = report.summary.fail === 0;
+  return report;
+};
+
+export default runDiagnostics;
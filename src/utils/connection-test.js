@@ -0,0 +1,111 @@
+// src/utils/connection-test.js
+// Tries the settings entered on the Settings page before they are saved, so
+// it talks to the servers directly instead of through the app's services.
+import { createClient } from '@supabase/supabase-js';
+import { getBuildSetting, deriveWsUrl, parseHeaders, parseServerAuth } from '../config';
+import { getAuthHeaders, getWebSocketTarget } from '../services/comfyAuth';
+
+const TIMEOUT = 5000; // ms
+
+// Empty fields fall back the same way config does
+const resolve = (values) => {
+  const value = (key) => values[key]?.trim() || getBuildSetting(key);
+  const api = value('comfyUiApi').replace(/\/+$/, '');
+  const wsUrl = values.comfyUiWs?.trim() || (values.comfyUiApi?.trim() ? '' : getBuildSetting('comfyUiWs'));
+  return {
+    servers: [api, ...value('comfyUiServers').split(',').map(url => url.trim().replace(/\/+$/, ''))]
+      .filter((url, index, all) => url && all.indexOf(url) === index),
+    wsUrl: wsUrl || deriveWsUrl(api),
+    headers: parseHeaders(value('comfyUiHeaders')),
+    auth: parseServerAuth(value('comfyUiAuth')),
+    supabaseUrl: value('supabaseUrl'),
+    supabaseAnonKey: value('supabaseAnonKey')
+  };
+};
+
+const testServer = async (url, sources) => {
+  try {
+    const response = await fetch(`${url}/system_stats`, {
+      headers: getAuthHeaders(url, sources),
+      signal: AbortSignal.timeout(TIMEOUT)
+    });
+    if (response.status === 401 || response.status === 403) {
+      return { status: 'fail', message: `The server refused the credentials (status ${response.status})` };
+    }
+    if (!response.ok) {
+      return { status: 'fail', message: `/system_stats answered with status ${response.status}` };
+    }
+    const stats = await response.json();
+    return { status: 'pass', message: `ComfyUI ${stats.system?.comfyui_version || '(unknown version)'}` };
+  } catch (error) {
+    // The browser hides CORS failures behind a generic network error
+    return { status: 'fail', message: `No response (${error.message}). Is the server running with CORS enabled?` };
+  }
+};
+
+const testWebSocket = (target) => new Promise((resolveResult) => {
+  let socket;
+  const finish = (result) => {
+    clearTimeout(timer);
+    socket?.close();
+    resolveResult(result);
+  };
+  const timer = setTimeout(() => finish({ status: 'fail', message: `No status message within ${TIMEOUT / 1000}s` }), TIMEOUT);
+
+  try {
+    socket = new WebSocket(target.url, target.protocols);
+  } catch (error) {
+    finish({ status: 'fail', message: error.message });
+    return;
+  }
+  // ComfyUI greets every new connection with its queue status
+  socket.onmessage = (event) => {
+    try {
+      if (JSON.parse(event.data).type === 'status') {
+        finish({ status: 'pass', message: 'Connected and received the queue status' });
+      }
+    } catch {
+      // Binary preview frames
+    }
+  };
+  socket.onerror = () => finish({ status: 'fail', message: 'The connection failed' });
+});
+
+const testSupabase = async (url, anonKey) => {
+  if (!url || !anonKey) {
+    return { status: 'fail', message: 'The project URL and anon key are both required' };
+  }
+  try {
+    const client = createClient(url, anonKey, { auth: { persistSession: false } });
+    const { error } = await client.from('assets').select('id').limit(1).abortSignal(AbortSignal.timeout(TIMEOUT));
+    if (error) {
+      return { status: 'fail', message: error.message || 'The query failed' };
+    }
+    return { status: 'pass', message: 'Queried the assets table' };
+  } catch (error) {
+    return { status: 'fail', message: error.message };
+  }
+};
+
+/**
+ * Try the connection settings without saving them
+ * @param {Object} values - Raw values keyed like SETTINGS; empty ones fall back to env and defaults
+ * @returns {Promise<Array<{id: string, name: string, status: 'pass'|'fail', message: string}>>}
+ */
+export const testConnection = async (values) => {
+  const settings = resolve(values);
+
+  const [servers, ws, supabase] = await Promise.all([
+    Promise.all(settings.servers.map(url => testServer(url, settings))),
+    testWebSocket(getWebSocketTarget(settings.wsUrl, settings.servers[0], {}, settings.auth)),
+    testSupabase(settings.supabaseUrl, settings.supabaseAnonKey)
+  ]);
+
+  return [
+    ...settings.servers.map((url, index) => ({ id: `http:${url}`, name: `ComfyUI ${url}`, ...servers[index] })),
+    { id: 'websocket', name: `WebSocket ${settings.wsUrl}`, ...ws },
+    { id: 'supabase', name: `Supabase ${settings.supabaseUrl || '(not set)'}`, ...supabase }
+  ];
+};
+
+export default testConnection;
@@ -1,8 +1,48 @@
 // src/workflows/vehicleWorkflow.js
 
+export const DEFAULT_SETTINGS = {
+  checkpoint: 'epicrealism_naturalSinRC1VAE.safetensors',
+  width: 768,
+  height: 768,
+  sampler: 'euler_ancestral'
+};
+
+// Form field behind each input of getVehicleWorkflow, for mapErrorToFields
+export const WORKFLOW_FIELDS = {
+  '4': 'checkpoint',
+  '4.ckpt_name': 'checkpoint',
+  '5': 'resolution',
+  '5.width': 'resolution',
+  '5.height': 'resolution',
+  '3.sampler_name': 'sampler',
+  '3.scheduler': 'sampler'
+};
+
+/**
+ * Append the prompt fragments of the selected traits to a prompt
+ * @param {string} prompt - Base prompt
+ * @param {Array} traits - Trait rows; their parameters.prompt_fragment is used
+ */
+export const composeTraitPrompt = (prompt, traits = []) => {
+  const traitPrompts = traits.map(trait =>
+    trait.parameters?.prompt_fragment || ''
+  ).filter(p => p.length > 0);
+
+  return [prompt, ...traitPrompts].join(', ');
+};
+
 // This is a simplified example - you'll need to replace with your actual ComfyUI workflow
+// options.traits adds trait prompt fragments; options.settings overrides
+// DEFAULT_SETTINGS and may fix the seed
 export const getVehicleWorkflow = (options) => {
-    const { name, vehicleType, attributes } = options;
+    const { name, vehicleType, attributes, traits = [] } = options;
+    const {
+      checkpoint,
+      width,
+      height,
+      sampler,
+      seed = Math.floor(Math.random() * 1000000000)
+    } = { ...DEFAULT_SETTINGS, ...options.settings };
     
     // Build the prompt based on the options
     let prompt = `${attributes.condition} post-apocalyptic ${vehicleType}`;
@@ -39,6 +79,7 @@ export const getVehicleWorkflow = (options) => {
     
     // Add general post-apocalyptic styling
     prompt += ', wasteland background, dramatic lighting, highly detailed, photorealistic';
+    prompt = composeTraitPrompt(prompt, traits);
     
     // Workflow is structured according to ComfyUI's expected format
     return {
@@ -51,24 +92,24 @@ export const getVehicleWorkflow = (options) => {
           "latent_image": ["5", 0],
           "negative": ["7", 0],
           "positive": ["6", 0],
-          "sampler_name": "euler_ancestral",
+          "sampler_name": sampler,
           "scheduler": "normal",
-          "seed": Math.floor(Math.random() * 1000000000),
+          "seed": seed,
           "steps": 30
         }
       },
       "4": {
         "class_type": "CheckpointLoaderSimple",
         "inputs": {
-          "ckpt_name": "epicrealism_naturalSinRC1VAE.safetensors"
+          "ckpt_name": checkpoint
         }
       },
       "5": {
         "class_type": "EmptyLatentImage",
         "inputs": {
           "batch_size": 1,
-          "height": 768,
-          "width": 768
+          "height": height,
+          "width": width
         }
       },
       "6": {
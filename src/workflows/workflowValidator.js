@@ -0,0 +1,197 @@
+// src/workflows/workflowValidator.js
+
+const MAX_LISTED_OPTIONS = 5;
+const MAX_SUGGESTIONS = 3;
+// Share of characters two file names must have in common to count as similar
+const MIN_SIMILARITY = 0.5;
+
+const isLink = (value) =>
+  Array.isArray(value) && value.length === 2 && typeof value[0] === 'string' && Number.isInteger(value[1]);
+
+/**
+ * Get the allowed values of an enum input, or null if the input is not an enum.
+ * Older servers describe enums as `[[...values], {}]`, newer ones as
+ * `['COMBO', { options: [...values] }]`.
+ * @param {Array} spec - Input spec from /object_info
+ */
+export const getEnumOptions = (spec) => {
+  if (!Array.isArray(spec)) return null;
+  if (Array.isArray(spec[0])) return spec[0];
+  if (spec[0] === 'COMBO') return spec[1]?.options || [];
+  return null;
+};
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Compare file names without folder, extension, case or separators, so a
+// model moved into a sub folder or renamed from .ckpt to .safetensors still matches
+const normalizeFileName = (name) =>
+  String(name).split(/[\\/]/).pop().replace(/\.[^.]+$/, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Find the options closest to a value that isn't available, e.g. the
+ * installed checkpoints most like a missing one
+ * @param {string} value - The missing value
+ * @param {Array<string>} options - Allowed values from /object_info
+ * @returns {Array<{value: string, similarity: number}>} Best match first, similarity from 0 to 1
+ */
+export const findClosestMatches = (value, options = []) => {
+  const target = normalizeFileName(value);
+
+  return options
+    .map(option => {
+      const candidate = normalizeFileName(option);
+      const longest = Math.max(target.length, candidate.length) || 1;
+      let similarity = 1 - levenshtein(target, candidate) / longest;
+      // A name that contains the other, e.g. a pruned or fp16 build, is a strong hint
+      if (candidate && target && (candidate.includes(target) || target.includes(candidate))) {
+        similarity = Math.max(similarity, 0.8);
+      }
+      return { value: option, similarity: Math.round(similarity * 100) / 100 };
+    })
+    .filter(match => match.similarity >= MIN_SIMILARITY)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, MAX_SUGGESTIONS);
+};
+
+// Input types may be '*' (anything) or a comma separated list
+const typesMatch = (outputType, inputType) => {
+  if (outputType === '*' || inputType === '*') return true;
+  const accepted = String(inputType).split(',').map(t => t.trim());
+  return String(outputType).split(',').some(t => accepted.includes(t.trim()));
+};
+
+const listOptions = (options) => {
+  const shown = options.slice(0, MAX_LISTED_OPTIONS).join(', ');
+  return options.length > MAX_LISTED_OPTIONS ? `${shown} and ${options.length - MAX_LISTED_OPTIONS} more` : shown;
+};
+
+/**
+ * Check a workflow in API format against the node definitions of a server.
+ *
+ * Every problem names the node and input it concerns so callers can point
+ * users at the right setting. Problem codes: unknown_node, missing_input,
+ * invalid_value, out_of_range, broken_link, type_mismatch, no_outputs.
+ *
+ * @param {Object} workflow - Workflow keyed by node id
+ * @param {Object} objectInfo - Response of /object_info
+ * @returns {Array<{nodeId: string, classType: string, input: string, code: string, message: string}>}
+ */
+export const validateWorkflow = (workflow, objectInfo) => {
+  const problems = [];
+  const add = (nodeId, classType, input, code, message) => {
+    problems.push({
+      nodeId,
+      classType,
+      input,
+      code,
+      message: `Node ${nodeId} (${classType})${input ? ` ${input}` : ''}: ${message}`
+    });
+  };
+
+  let hasOutput = false;
+
+  Object.entries(workflow).forEach(([nodeId, node]) => {
+    const classType = node.class_type;
+    const definition = objectInfo[classType];
+
+    if (!definition) {
+      add(nodeId, classType, null, 'unknown_node', 'node type is not installed on the server');
+      return;
+    }
+
+    if (definition.output_node) {
+      hasOutput = true;
+    }
+
+    const inputs = node.inputs || {};
+
+    Object.keys(definition.input?.required || {}).forEach((name) => {
+      if (inputs[name] === undefined) {
+        add(nodeId, classType, name, 'missing_input', 'required input is missing');
+      }
+    });
+
+    const specs = { ...(definition.input?.optional || {}), ...(definition.input?.required || {}) };
+
+    Object.entries(inputs).forEach(([name, value]) => {
+      const spec = specs[name];
+      if (!spec) return;
+
+      const [type, options = {}] = spec;
+
+      if (isLink(value)) {
+        const [sourceId, outputIndex] = value;
+        const source = workflow[sourceId];
+        const sourceDefinition = source && objectInfo[source.class_type];
+
+        if (!source) {
+          add(nodeId, classType, name, 'broken_link', `linked to node ${sourceId}, which is not in the workflow`);
+          return;
+        }
+        if (!sourceDefinition) return; // already reported as unknown_node
+
+        const outputType = sourceDefinition.output?.[outputIndex];
+        if (outputType === undefined) {
+          add(nodeId, classType, name, 'broken_link',
+            `linked to output ${outputIndex} of node ${sourceId} (${source.class_type}), which has only ${sourceDefinition.output?.length || 0} outputs`);
+          return;
+        }
+
+        const expected = getEnumOptions(spec) ? 'COMBO' : type;
+        if (!typesMatch(outputType, expected)) {
+          add(nodeId, classType, name, 'type_mismatch',
+            `expects ${expected} but node ${sourceId} (${source.class_type}) output ${outputIndex} is ${outputType}`);
+        }
+        return;
+      }
+
+      const enumOptions = getEnumOptions(spec);
+      if (enumOptions) {
+        // Uploaded files, e.g. LoadImage's image, are checked by the server
+        // itself and may sit in a sub folder the listing doesn't show yet
+        if (options.image_upload) return;
+        if (!enumOptions.includes(value)) {
+          add(nodeId, classType, name, 'invalid_value', enumOptions.length > 0
+            ? `"${value}" is not available on the server. Options: ${listOptions(enumOptions)}`
+            : `"${value}" is not available on the server, which has no options for this input`);
+        }
+        return;
+      }
+
+      if ((type === 'INT' || type === 'FLOAT') && typeof value === 'number') {
+        if (options.min !== undefined && value < options.min) {
+          add(nodeId, classType, name, 'out_of_range', `${value} is below the minimum of ${options.min}`);
+        } else if (options.max !== undefined && value > options.max) {
+          add(nodeId, classType, name, 'out_of_range', `${value} is above the maximum of ${options.max}`);
+        }
+      }
+    });
+  });
+
+  if (!hasOutput && problems.every(problem => problem.code !== 'unknown_node')) {
+    problems.push({
+      nodeId: null,
+      classType: null,
+      input: null,
+      code: 'no_outputs',
+      message: 'Workflow has no output node such as SaveImage, so ComfyUI would not run it'
+    });
+  }
+
+  return problems;
+};